@@ -3,11 +3,16 @@
 namespace App\Http\Controllers\Api;
 
 use App\Http\Controllers\Controller;
+use App\Services\Export\XlsxStreamWriter;
+use App\Services\Zoho\ZohoApiException;
 use App\Services\Zoho\ZohoInventoryService;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Http\Response;
+use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Arr;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 use Throwable;
 
 /**
@@ -15,11 +20,115 @@
  *
  * Provides REST API endpoints for Zoho Inventory integration:
  *  - GET /api/zoho/health
+ *  - GET /api/zoho/dashboard/sales
+ *  - GET /api/zoho/dashboard/low-stock
+ *  - GET /api/zoho/dashboard/purchaseorders
  *  - GET /api/zoho/items?q=...
+ *  - GET /api/zoho/items/catalog
+ *  - GET /api/zoho/items/categories
+ *  - GET /api/zoho/items/lookup?code=...
+ *  - GET /api/zoho/items/{id}/image
+ *  - GET /api/zoho/taxes
+ *  - GET /api/zoho/currencies
+ *  - GET /api/zoho/warehouses
+ *  - GET /api/zoho/salesorders/export?format=csv|xlsx
+ *  - GET /api/zoho/salesorders/{id}/pdf
  *  - POST /api/zoho/salesorders
+ *  - PUT /api/zoho/salesorders/{id}
+ *  - POST /api/zoho/salesorders/{id}/status/{confirmed|void|open}
+ *  - DELETE /api/zoho/salesorders/{id}
+ *  - POST /api/zoho/salesorders/{id}/packages
+ *  - POST /api/zoho/salesorders/{id}/shipments
+ *  - POST /api/zoho/salesorders/{id}/invoice
+ *  - POST /api/zoho/invoices/{id}/payments
+ *  - GET /api/zoho/customers
+ *  - GET /api/zoho/contacts/{id}/receivables
+ *  - POST /api/zoho/contacts
+ *  - PUT /api/zoho/contacts/{id}
+ *  - GET /api/zoho/purchaseorders
+ *  - GET /api/zoho/purchaseorders/{id}
+ *  - POST /api/zoho/purchaseorders/{id}/status/issued
+ *  - POST /api/zoho/purchaseorders/{id}/receive
  */
 class ZohoInventoryController extends Controller
 {
+    /** List status filter (SPA value) → Zoho `filter_by` value */
+    private const SO_STATUS_FILTERS = [
+        'draft'     => 'Status.Draft',
+        'confirmed' => 'Status.Confirmed',
+        'open'      => 'Status.Open',
+        'invoiced'  => 'Status.Invoiced',
+        'closed'    => 'Status.Closed',
+        'void'      => 'Status.Void',
+    ];
+
+    /** PO list status filter (SPA value) → Zoho `filter_by` value */
+    private const PO_STATUS_FILTERS = [
+        'draft'              => 'Status.Draft',
+        'issued'             => 'Status.Issued',
+        'partially_received' => 'Status.PartiallyReceived',
+        'received'           => 'Status.Received',
+        'billed'             => 'Status.Billed',
+        'cancelled'          => 'Status.Cancelled',
+    ];
+
+    /** Item catalog status filter (SPA value) → Zoho `filter_by` value */
+    private const ITEM_STATUS_FILTERS = [
+        'active'   => 'Status.Active',
+        'inactive' => 'Status.Inactive',
+    ];
+
+    /** Customer list status filter (SPA value) → Zoho `filter_by` value */
+    private const CUSTOMER_STATUS_FILTERS = [
+        'active'   => 'Status.Active',
+        'inactive' => 'Status.Inactive',
+    ];
+
+    /** Columns Zoho accepts as `sort_column` for GET /contacts */
+    private const CUSTOMER_SORT_COLUMNS = ['contact_name', 'company_name', 'outstanding_receivable_amount', 'created_time'];
+
+    /** Columns Zoho accepts as `sort_column` for GET /items */
+    private const ITEM_SORT_COLUMNS = ['name', 'sku', 'rate', 'stock_on_hand', 'created_time', 'last_modified_time'];
+
+    /** How long a Sales Order submit result is kept for replay (Idempotency-Key), seconds */
+    private const IDEMPOTENCY_TTL = 86400;
+
+    /**
+     * Lock held while one Sales Order submit runs, seconds. Longer than the slowest submit:
+     * every Zoho call may take 4 attempts × 20s (contact check, POST, lookup, address PUTs,
+     * one call per Purchase Order), so a short lock could let a retry in mid-request.
+     */
+    private const IDEMPOTENCY_LOCK_TTL = 1800;
+
+    /** Columns Zoho accepts as `sort_column` for GET /salesorders */
+    private const SO_SORT_COLUMNS = [
+        'date', 'salesorder_number', 'reference_number', 'customer_name', 'total', 'shipment_date', 'created_time',
+    ];
+
+    /** Sales Order export columns: Zoho list field → header */
+    private const SO_EXPORT_COLUMNS = [
+        'salesorder_number' => 'Sales Order#',
+        'date'              => 'Date',
+        'shipment_date'     => 'Expected shipment',
+        'customer_name'     => 'Customer',
+        'reference_number'  => 'Reference#',
+        'status'            => 'Status',
+        'invoiced_status'   => 'Invoiced',
+        'paid_status'       => 'Paid',
+        'shipped_status'    => 'Shipped',
+        'delivery_method'   => 'Delivery method',
+        'salesperson_name'  => 'Salesperson',
+        'currency_code'     => 'Currency',
+        'total'             => 'Total',
+        'created_time'      => 'Created',
+    ];
+
+    /** An export reads at most this many Zoho pages (200 orders each) */
+    private const SO_EXPORT_MAX_PAGES = 100;
+
+    /** Time limit restarted for every export page: a page read with all its retries fits in it */
+    private const SO_EXPORT_PAGE_SECONDS = 120;
+
     /**
      * GET /api/zoho/health
      * Checks connectivity and retrieves basic organization info.
@@ -31,36 +140,48 @@ public function health(ZohoInventoryService $inventory): JsonResponse
         return response()->json([
             'status' => 'ok',
             'organization' => [
-                'id'   => $org['organization_id'] ?? null,
-                'name' => $org['name'] ?? null,
+                'id'              => $org['organization_id'] ?? null,
+                'name'            => $org['name'] ?? null,
+                // Base currency + formatting hints for the SPA money formatter
+                'currency_id'     => $org['currency_id'] ?? null,
+                'currency_code'   => $org['currency_code'] ?? null,
+                'currency_symbol' => $org['currency_symbol'] ?? null,
+                'price_precision' => isset($org['price_precision']) ? (int) $org['price_precision'] : 2,
+                'language_code'   => $org['language_code'] ?? null,
             ],
         ]);
     }
 
     /**
-     * GET /api/zoho/items?q={query}
+     * GET /api/zoho/items?q={query}&page=&per_page=
      * Performs a search for items in Zoho Inventory by keyword.
+     * One page of results (per_page 1..200, default 50) with Zoho's page_context.
      */
     public function items(Request $request, ZohoInventoryService $inventory): JsonResponse
     {
-        $q = trim((string) $request->query('q', ''));
+        $q       = trim((string) $request->query('q', ''));
+        $page    = max(1, (int) $request->query('page', 1));
+        $perPage = min(200, max(1, (int) $request->query('per_page', 50)));
 
         if ($q === '') {
             return response()->json(['error' => 'Missing query parameter q'], 400);
         }
 
         try {
-            $items = $inventory->itemsSearch($q);
+            $res   = $inventory->itemsSearchPage($q, $page, $perPage);
+            $items = $res['items'];
 
             Log::debug('Zoho Inventory item search', [
                 'query' => $q,
+                'page'  => $page,
                 'count' => is_array($items) ? count($items) : 0,
             ]);
 
             return response()->json([
-                'status' => 'ok',
-                'query'  => $q,
-                'data'   => $items,
+                'status'       => 'ok',
+                'query'        => $q,
+                'data'         => $items,
+                'page_context' => $res['page_context'],
             ]);
         } catch (Throwable $e) {
             Log::error('Zoho Inventory item search failed', [
@@ -68,10 +189,209 @@ public function items(Request $request, ZohoInventoryService $inventory): JsonRe
                 'message' => $e->getMessage(),
             ]);
 
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/items/catalog?q=&status=&tracked=&low_stock=&category_id=&page=&per_page=&sort_column=&sort_order=
+     * One page of the item catalog. `status` (active|inactive) and `category_id` are
+     * passed to Zoho; `tracked` and `low_stock` (stock at or below the reorder level)
+     * are applied to the page Zoho returned, so such a page can hold fewer than per_page rows.
+     */
+    public function itemsCatalog(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        $filters = $request->validate([
+            'status'      => 'nullable|string|in:' . implode(',', array_keys(self::ITEM_STATUS_FILTERS)),
+            'category_id' => 'nullable|string|max:64',
+            'tracked'     => 'nullable|boolean',
+            'low_stock'   => 'nullable|boolean',
+        ]);
+
+        try {
+            $page      = max(1, (int) $request->query('page', 1));
+            $perPage   = min(200, max(1, (int) $request->query('per_page', 25)));
+            $sortCol   = in_array($request->query('sort_column'), self::ITEM_SORT_COLUMNS, true)
+                ? (string) $request->query('sort_column')
+                : 'name';
+            $sortOrder = strtoupper((string) $request->query('sort_order', 'A')) === 'D' ? 'D' : 'A';
+            $q         = trim((string) $request->query('q', ''));
+
+            $query = [
+                'page'        => $page,
+                'per_page'    => $perPage,
+                'sort_column' => $sortCol,
+                'sort_order'  => $sortOrder,
+            ];
+            if ($q !== '') {
+                $query['search_text'] = $q;
+            }
+            if (!empty($filters['status'])) {
+                $query['filter_by'] = self::ITEM_STATUS_FILTERS[$filters['status']];
+            }
+            if (!empty($filters['category_id'])) {
+                $query['category_id'] = $filters['category_id'];
+            }
+
+            $res = $inventory->listItems($query);
+
+            $rows = array_map(static function ($i) {
+                $stock   = $i['available_stock'] ?? ($i['actual_available_stock'] ?? ($i['stock_on_hand'] ?? null));
+                $reorder = isset($i['reorder_level']) && $i['reorder_level'] !== '' ? (float) $i['reorder_level'] : null;
+                $tracked = (bool) ($i['track_inventory'] ?? ($i['is_storage'] ?? false));
+
+                return [
+                    'item_id'           => (string) ($i['item_id'] ?? ''),
+                    'name'              => (string) ($i['name'] ?? ($i['item_name'] ?? '')),
+                    'sku'               => (string) ($i['sku'] ?? ''),
+                    'status'            => (string) ($i['status'] ?? 'active'),
+                    'category_id'       => (string) ($i['category_id'] ?? ''),
+                    'category_name'     => (string) ($i['category_name'] ?? ''),
+                    'unit'              => (string) ($i['unit'] ?? ''),
+                    'rate'              => (float) ($i['rate'] ?? 0),
+                    'purchase_rate'     => isset($i['purchase_rate']) ? (float) $i['purchase_rate'] : null,
+                    'tax_id'            => (string) ($i['tax_id'] ?? ''),
+                    'tax_name'          => (string) ($i['tax_name'] ?? ''),
+                    'tax_percentage'    => (float) ($i['tax_percentage'] ?? 0),
+                    'track_inventory'   => $tracked,
+                    'available_stock'   => $stock,
+                    'stock_on_hand'     => $i['stock_on_hand'] ?? null,
+                    'reorder_level'     => $reorder,
+                    'low_stock'         => $tracked && $reorder !== null && $reorder > 0
+                        && $stock !== null && (float) $stock <= $reorder,
+                    'image_document_id' => (string) ($i['image_document_id'] ?? ''),
+                ];
+            }, $res['items']);
+
+            if (!empty($filters['tracked'])) {
+                $rows = array_filter($rows, static fn ($r) => $r['track_inventory']);
+            }
+            if (!empty($filters['low_stock'])) {
+                $rows = array_filter($rows, static fn ($r) => $r['low_stock']);
+            }
+            if (!empty($filters['category_id'])) {
+                $rows = array_filter($rows, static fn ($r) => $r['category_id'] === '' || $r['category_id'] === $filters['category_id']);
+            }
+
+            return response()->json([
+                'status'       => 'ok',
+                'data'         => array_values($rows),
+                'page_context' => $res['page_context'],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] itemsCatalog failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/items/categories
+     * Item categories for the catalog filter (empty when none are set up).
+     */
+    public function itemCategories(ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $list = array_map(static fn ($c) => [
+                'category_id' => (string) ($c['category_id'] ?? ''),
+                'name'        => (string) ($c['name'] ?? ($c['category_name'] ?? '')),
+                'parent_id'   => (string) ($c['parent_category_id'] ?? ''),
+            ], $inventory->listItemCategories());
+
+            $list = array_filter($list, static fn ($c) => $c['category_id'] !== '' && $c['category_id'] !== '-1');
+
             return response()->json([
-                'status'  => 'error',
-                'message' => $e->getMessage(),
-            ], 500);
+                'status' => 'ok',
+                'data'   => array_values($list),
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] itemCategories failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/taxes
+     * Organization taxes for the per-line tax picker.
+     */
+    public function taxes(ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $list = array_map(static function ($t) {
+                return [
+                    'tax_id'         => (string) ($t['tax_id'] ?? ''),
+                    'tax_name'       => (string) ($t['tax_name'] ?? ''),
+                    'tax_percentage' => (float)  ($t['tax_percentage'] ?? 0),
+                    'tax_type'       => (string) ($t['tax_type'] ?? 'tax'),
+                    'is_default_tax' => (bool)   ($t['is_default_tax'] ?? false),
+                ];
+            }, $inventory->listTaxes());
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => array_values($list),
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] taxes failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/currencies
+     * Organization currencies with exchange rates (base currency has rate 1).
+     */
+    public function currencies(ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $list = array_map(static function ($c) {
+                $isBase = (bool) ($c['is_base_currency'] ?? false);
+                return [
+                    'currency_id'      => (string) ($c['currency_id'] ?? ''),
+                    'currency_code'    => (string) ($c['currency_code'] ?? ''),
+                    'currency_name'    => (string) ($c['currency_name'] ?? ''),
+                    'currency_symbol'  => (string) ($c['currency_symbol'] ?? ''),
+                    'price_precision'  => (int)    ($c['price_precision'] ?? 2),
+                    'exchange_rate'    => $isBase ? 1.0 : (float) ($c['exchange_rate'] ?? 1),
+                    'is_base_currency' => $isBase,
+                ];
+            }, $inventory->listCurrencies());
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => array_values($list),
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] currencies failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/warehouses
+     * Active organization warehouses for the per-line warehouse picker
+     * (empty when multi-warehouse is off).
+     */
+    public function warehouses(ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $list = array_map(static function ($w) {
+                return [
+                    'warehouse_id'   => (string) ($w['warehouse_id'] ?? ''),
+                    'warehouse_name' => (string) ($w['warehouse_name'] ?? ''),
+                    'is_primary'     => (bool)   ($w['is_primary'] ?? false),
+                    'status'         => (string) ($w['status'] ?? 'active'),
+                ];
+            }, $inventory->listWarehouses());
+
+            $active = array_filter($list, static fn ($w) => $w['status'] === 'active');
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => array_values($active),
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] warehouses failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
         }
     }
 
@@ -79,61 +399,98 @@ public function items(Request $request, ZohoInventoryService $inventory): JsonRe
      * Create Sales Order in Zoho Inventory.
      * Accepts extended payload:
      *   - createPurchaseOrders: bool
-     *   - purchasePlan: [{ item_id: string, quantity: number }]
+     *   - purchasePlan: [{ item_id: string, quantity: number, vendor_id?: string,
+     *                      rate?: number, warehouse_id?: string, line_ref?: string, name?: string }]
+     *   - customer.billing_address / customer.shipping_address, shipment_date,
+     *     delivery_method, reference_number, salesperson_name, notes, terms
      *
      * On success may also create Purchase Orders based on purchasePlan.
+     * Per-order addresses Zoho refused are reported in `warnings`.
+     *
+     * Idempotency-Key header (optional, client-generated): the first successful
+     * result is stored for 24h and returned again (`replayed: true`) when the same
+     * key arrives, so a retry after a lost response never creates a second order.
+     * The key is recorded before Zoho is called and the order id as soon as Zoho
+     * has it: a failure after that (customer check, addresses, POs) still answers
+     * 201 with a warning, and an attempt that got no answer from Zoho is looked up
+     * before the order is sent again.
+     * 409 while the first request with that key is still running, or when the key
+     * was already used for a different payload.
      */
     public function createSalesOrder(Request $request, ZohoInventoryService $zoho): JsonResponse
     {
         // Validate incoming payload (keep existing shape)
-        $validated = $request->validate([
-            'customer.name'  => ['required','string','max:255'],
-            'customer.email' => ['required','email','max:255'],
-            'customer.phone' => ['nullable','string','max:255'],
+        $validated = $request->validate($this->salesOrderRules());
 
-            'items'                  => ['required','array','min:1'],
-            'items.*.item_id'        => ['required','string'],
-            'items.*.name'           => ['required','string'],
-            'items.*.sku'            => ['nullable','string'],
-            'items.*.qty'            => ['required','numeric','min:0.0001'],
-            'items.*.rate'           => ['required','numeric'],
-            'items.*.tax'            => ['nullable','numeric'],
+        $idempotencyKey = $this->idempotencyKey($request);
+        $fingerprint    = sha1(json_encode($validated));
+        $lock           = null;
 
-            'createPurchaseOrders'   => ['sometimes','boolean'],
-            'purchasePlan'           => ['sometimes','array'],
-            'purchasePlan.*.item_id' => ['required_with:createPurchaseOrders','string'],
-            'purchasePlan.*.quantity'=> ['required_with:createPurchaseOrders','numeric','min:0.0001'],
-        ]);
+        if ($idempotencyKey !== null) {
+            if ($replay = $this->idempotentReplay($idempotencyKey, $fingerprint)) {
+                return $replay;
+            }
 
-        $createPO     = (bool) Arr::get($validated, 'createPurchaseOrders', false);
-        $purchasePlan = Arr::get($validated, 'purchasePlan', []);
+            $lock = Cache::lock("zoho:idempotency:lock:{$idempotencyKey}", self::IDEMPOTENCY_LOCK_TTL);
+            if (!$lock->get()) {
+                return response()->json([
+                    'status'  => 'error',
+                    'error'   => 'conflict',
+                    'reason'  => 'in_progress',
+                    'message' => 'This Sales Order is already being submitted.',
+                ], 409);
+            }
+
+            // Finished by a concurrent request between the check and the lock
+            if ($replay = $this->idempotentReplay($idempotencyKey, $fingerprint)) {
+                $lock->release();
+                return $replay;
+            }
+
+            // An earlier attempt sent the order but never got an answer: it may exist
+            if ($replay = $this->recoverSubmission($idempotencyKey, $zoho)) {
+                $lock->release();
+                return $replay;
+            }
+
+            $this->rememberSubmission($idempotencyKey, ['state' => 'pending', 'fingerprint' => $fingerprint]);
+        }
+
+        // Progress of the submit: from `created` on, the order exists in Zoho whatever fails next
+        $created = null;
+        $hooks   = [
+            'sending' => function (array $body, array $marker) use ($idempotencyKey, $fingerprint) {
+                if ($idempotencyKey !== null) {
+                    $this->rememberSubmission($idempotencyKey, [
+                        'state'       => 'sent',
+                        'fingerprint' => $fingerprint,
+                        'marker'      => $marker,
+                    ]);
+                }
+            },
+            'created' => function (array $so) use (&$created, $idempotencyKey, $fingerprint) {
+                $created = $this->createdResult($so);
+                if ($idempotencyKey !== null) {
+                    $this->rememberSubmission($idempotencyKey, [
+                        'state'       => 'created',
+                        'fingerprint' => $fingerprint,
+                        'result'      => $created,
+                    ]);
+                }
+            },
+        ];
 
         try {
             // Create SO in Zoho
-            $soResponse = $zoho->createSalesOrder($validated);
+            $soResponse = $zoho->createSalesOrder($validated, $hooks, $idempotencyKey);
 
             Log::info('Zoho SO create: response', [
                 'endpoint' => 'salesorders',
                 'response' => $soResponse,
             ]);
 
-            // Normalize for frontend (single source of truth)
-            // Service returns flat keys; fallback to nested path just in case.
-            $soId = data_get($soResponse, 'salesorder_id')
-                 ?? data_get($soResponse, 'salesorder.salesorder_id');
-            $soNo = data_get($soResponse, 'salesorder_number')
-                 ?? data_get($soResponse, 'salesorder.salesorder_number');
-
-            $statusMessage = 'Sales Order created';
-
-            $result = [
-                'status'  => 'ok',
-                'message' => $soNo ? "{$statusMessage} (#{$soNo})" : $statusMessage,
-                'data'    => [
-                    'salesorder_id'     => $soId,
-                    'salesorder_number' => $soNo,
-                ],
-            ];
+            $result = $this->createdResult($soResponse);
+            $soId   = $result['data']['salesorder_id'];
 
             // Include raw response only in debug to avoid duplication in production.
             if (config('app.debug')) {
@@ -141,20 +498,14 @@ public function createSalesOrder(Request $request, ZohoInventoryService $zoho):
             }
 
             // Optionally create POs based on purchase plan
-            if ($createPO && is_array($purchasePlan) && count($purchasePlan) > 0) {
-                $poReport = $zoho->createPurchaseOrdersFromPlan($purchasePlan, [
-                    'salesorder_id' => (string) ($soId ?? ''),
-                ]);
-
-                Log::info('Zoho PO create: summary', ['summary' => $poReport]);
+            $this->attachPurchaseOrders($result, $validated, (string) ($soId ?? ''), $zoho);
 
-                $result['purchase_orders'] = $poReport;
-                if (!empty($poReport['created'])) {
-                    $result['message'] .= ' • Purchase Orders created';
-                }
-                if (!empty($poReport['skipped'])) {
-                    $result['message'] .= ' • Some items skipped (no vendor)';
-                }
+            if ($idempotencyKey !== null) {
+                $this->rememberSubmission($idempotencyKey, [
+                    'state'       => 'done',
+                    'fingerprint' => $fingerprint,
+                    'result'      => $result,
+                ]);
             }
 
             return response()->json($result, 201);
@@ -164,137 +515,518 @@ public function createSalesOrder(Request $request, ZohoInventoryService $zoho):
                 'trace'     => $e->getTraceAsString(),
             ]);
 
-            return response()->json([
-                'status'  => 'error',
-                'message' => $e->getMessage() ?: 'Failed to create Sales Order',
-            ], 422);
+            // The order exists: answer with it (and replay it) instead of inviting a second submit
+            if ($created !== null) {
+                $created['warnings'][] = 'The Sales Order was created, but a follow-up step failed: ' . $e->getMessage();
+                if ($idempotencyKey !== null) {
+                    $this->rememberSubmission($idempotencyKey, [
+                        'state'       => 'done',
+                        'fingerprint' => $fingerprint,
+                        'result'      => $created,
+                    ]);
+                }
+                return response()->json($created, 201);
+            }
+
+            if ($idempotencyKey !== null) {
+                $state = Cache::get("zoho:idempotency:so:{$idempotencyKey}")['state'] ?? null;
+                // Never sent, or Zoho rejected it: the key may be used again.
+                // Sent without a definitive answer: kept, the next attempt looks the order up first.
+                if ($state === 'pending' || ($state === 'sent' && $e instanceof ZohoApiException && $e->type() === 'zoho')) {
+                    Cache::forget("zoho:idempotency:so:{$idempotencyKey}");
+                }
+            }
+
+            return $this->errorResponse($e, 'Failed to create Sales Order');
+        } finally {
+            $lock?->release();
         }
     }
 
     /**
-     * GET /api/zoho/salesorders
-     * Paginated list of Sales Orders from Zoho Inventory.
+     * PUT /api/zoho/salesorders/{id}
+     * Update an existing Sales Order (customer, line items, tax).
+     * Accepts the same payload as createSalesOrder, plus:
+     *   - items.*.line_item_id: string (existing Zoho line; lines without it are added)
      */
-    public function listSalesOrders(Request $request, ZohoInventoryService $inventory): JsonResponse
+    public function updateSalesOrder(Request $request, string $id, ZohoInventoryService $zoho): JsonResponse
     {
+        $validated = $request->validate(array_merge($this->salesOrderRules(), [
+            'items.*.line_item_id' => ['nullable','string'],
+        ]));
+
         try {
-            $page       = (int) $request->query('page', 1);
-            $perPage    = (int) $request->query('per_page', 25);
-            $sortCol    = (string) $request->query('sort_column', 'date');
-            $sortOrder  = (string) $request->query('sort_order', 'D');
-            $q          = trim((string) $request->query('q', ''));
+            $soResponse = $zoho->updateSalesOrder($id, $validated);
 
-            $query = [
-                'page'        => $page,
-                'per_page'    => $perPage,
-                'sort_column' => $sortCol,
-                'sort_order'  => $sortOrder,
+            Log::info('Zoho SO update: response', [
+                'endpoint' => 'salesorders/' . $id,
+                'response' => $soResponse,
+            ]);
+
+            $soNo = data_get($soResponse, 'salesorder_number');
+
+            $result = [
+                'status'  => 'ok',
+                'message' => $soNo ? "Sales Order updated (#{$soNo})" : 'Sales Order updated',
+                'data'    => [
+                    'salesorder_id'     => data_get($soResponse, 'salesorder_id') ?? $id,
+                    'salesorder_number' => $soNo,
+                ],
             ];
 
-            if ($q !== '') {
-                $query['search_text'] = $q;
+            if (!empty($soResponse['warnings'])) {
+                $result['warnings'] = $soResponse['warnings'];
+            }
 
-                // Optional exact SO number helper
-                if (preg_match('/^\d+$/', $q)) {
-                    $query['salesorder_number'] = 'SO-' . str_pad($q, 5, '0', STR_PAD_LEFT);
-                }
+            if (config('app.debug')) {
+                $result['data']['raw'] = $soResponse; // debugging/inspection only
             }
 
-            $res = $inventory->listSalesOrders($query);
+            $this->attachPurchaseOrders($result, $validated, $id, $zoho);
 
-            return response()->json([
-                'status'       => 'ok',
-                'data'         => $res['salesorders'] ?? [],
-                'filters'      => [
-                    'page'        => (string) $page,
-                    'per_page'    => (string) $perPage,
-                    'sort_column' => $sortCol,
-                    'sort_order'  => $sortOrder,
-                    'q'           => $q,
-                ],
-                'page_context' => $res['page_context'] ?? [
-                    'page' => $page, 'per_page' => $perPage, 'has_more_page' => false, 'report_name' => 'Sales Orders',
-                ],
-            ]);
+            return response()->json($result);
         } catch (Throwable $e) {
-            Log::error('[Zoho] listSalesOrders failed', ['message' => $e->getMessage()]);
-            return response()->json(['status' => 'error', 'message' => $e->getMessage()], 422);
+            Log::error('Zoho SO update: exception', [
+                'id'        => $id,
+                'exception' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e, 'Failed to update Sales Order');
         }
     }
 
     /**
-     * GET /api/zoho/salesorders/{id}
-     * Full details for a single Sales Order.
+     * POST /api/zoho/salesorders/{id}/status/{status}
+     * Status transition: confirmed | void | open.
      */
-    public function getSalesOrder(string $id, ZohoInventoryService $inventory): JsonResponse
+    public function setSalesOrderStatus(string $id, string $status, ZohoInventoryService $inventory): JsonResponse
     {
-        try {
-            $so = $inventory->getSalesOrder($id);
+        $messages = [
+            'confirmed' => 'Sales Order confirmed',
+            'void'      => 'Sales Order voided',
+            'open'      => 'Sales Order marked as open',
+        ];
 
-            if (empty($so)) {
-                return response()->json([
-                    'status'  => 'error',
-                    'message' => 'Sales Order not found.',
-                ], 404);
-            }
+        try {
+            $inventory->markSalesOrderStatus($id, $status);
 
             return response()->json([
-                'status' => 'ok',
-                'data'   => $so,
+                'status'  => 'ok',
+                'message' => $messages[$status] ?? 'Sales Order status updated',
+                'data'    => ['salesorder_id' => $id, 'status' => $status],
             ]);
         } catch (Throwable $e) {
-            Log::error('[Zoho] getSalesOrder failed', [
+            Log::error('[Zoho] setSalesOrderStatus failed', [
                 'id'      => $id,
+                'status'  => $status,
                 'message' => $e->getMessage(),
             ]);
 
-            return response()->json([
-                'status'  => 'error',
-                'message' => $e->getMessage(),
-            ], 422);
+            return $this->errorResponse($e);
         }
     }
 
-    public function getItem(string $id, \App\Services\Zoho\ZohoInventoryService $inventory): \Illuminate\Http\JsonResponse
+    /**
+     * DELETE /api/zoho/salesorders/{id}
+     */
+    public function deleteSalesOrder(string $id, ZohoInventoryService $inventory): JsonResponse
     {
         try {
-            $raw = $inventory->getItem($id);
-
-            if (empty($raw)) {
-                return response()->json([
-                    'status'  => 'error',
-                    'message' => 'Item not found.',
-                ], 404);
-            }
-
-            // Compact payload for the frontend
-            $item = [
-                'item_id'                => $raw['item_id'] ?? $id,
-                'name'                   => $raw['name'] ?? ($raw['item_name'] ?? ''),
-                'sku'                    => $raw['sku'] ?? ($raw['product_code'] ?? ''),
-                'rate'                   => $raw['rate'] ?? ($raw['selling_price'] ?? 0),
-                'track_inventory'        => (bool)($raw['track_inventory'] ?? false),
-                'can_be_sold'            => (bool)($raw['can_be_sold'] ?? true),
-                'can_be_purchased'       => (bool)($raw['can_be_purchased'] ?? false),
-                'available_stock'        => $raw['available_stock']        ?? ($raw['actual_available_stock'] ?? null),
-                'actual_available_stock' => $raw['actual_available_stock'] ?? null,
-                'physical_stock'         => $raw['physical_stock']         ?? null,
-            ];
+            $inventory->deleteSalesOrder($id);
 
             return response()->json([
-                'status' => 'ok',
-                'data'   => $item,
+                'status'  => 'ok',
+                'message' => 'Sales Order deleted',
+                'data'    => ['salesorder_id' => $id],
             ]);
         } catch (Throwable $e) {
-            Log::error('[Zoho] getItem failed', [
+            Log::error('[Zoho] deleteSalesOrder failed', [
                 'id'      => $id,
                 'message' => $e->getMessage(),
             ]);
 
-            return response()->json([
-                'status'  => 'error',
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/salesorders
+     * Paginated list of Sales Orders from Zoho Inventory.
+     *
+     * Query: page, per_page, q, sort_column, sort_order (A|D) and the optional filters
+     * status, date_from, date_to (Y-m-d), customer_id, item_id, amount_min, amount_max —
+     * translated to Zoho's filter_by / date_start / date_end / total_* list params.
+     */
+    public function listSalesOrders(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        // Optional list filters (all nullable; empty values are ignored)
+        $filters = $request->validate($this->salesOrderFilterRules());
+
+        try {
+            $page    = max(1, (int) $request->query('page', 1));
+            $perPage = min(200, max(1, (int) $request->query('per_page', 25)));
+            $query   = $this->salesOrderListQuery($request, $filters) + [
+                'page'     => $page,
+                'per_page' => $perPage,
+            ];
+            $sortCol   = $query['sort_column'];
+            $sortOrder = $query['sort_order'];
+            $q         = trim((string) $request->query('q', ''));
+
+            $res = $inventory->listSalesOrders($query);
+
+            return response()->json([
+                'status'       => 'ok',
+                'data'         => $res['salesorders'] ?? [],
+                'filters'      => [
+                    'page'        => (string) $page,
+                    'per_page'    => (string) $perPage,
+                    'sort_column' => $sortCol,
+                    'sort_order'  => $sortOrder,
+                    'q'           => $q,
+                ] + array_filter($filters, fn ($v) => $v !== null && $v !== ''),
+                'page_context' => $res['page_context'] ?? [
+                    'page' => $page, 'per_page' => $perPage, 'has_more_page' => false, 'report_name' => 'Sales Orders',
+                ],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] listSalesOrders failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/salesorders/export?format=csv|xlsx&columns=a,b,c + the list's q / sort / filters
+     * The whole filtered list (every page, up to SO_EXPORT_MAX_PAGES × 200 orders) as a
+     * download; `columns` picks and orders SO_EXPORT_COLUMNS (all of them when empty).
+     * Rows are streamed page by page while Zoho is read, so memory stays flat. The first
+     * page is read before the response starts, so an early Zoho error still comes back as JSON.
+     * A later page failing, or the page cap, ends the file with an "EXPORT INCOMPLETE" row.
+     */
+    public function exportSalesOrders(Request $request, ZohoInventoryService $inventory): StreamedResponse|JsonResponse
+    {
+        $validated = $request->validate($this->salesOrderFilterRules() + [
+            'format'  => 'nullable|string|in:csv,xlsx',
+            'columns' => 'nullable|string|max:1000',
+        ]);
+
+        $format  = $validated['format'] ?? 'csv';
+        $columns = array_values(array_intersect(
+            array_map('trim', explode(',', (string) ($validated['columns'] ?? ''))),
+            array_keys(self::SO_EXPORT_COLUMNS)
+        ));
+        if ($columns === []) {
+            $columns = array_keys(self::SO_EXPORT_COLUMNS);
+        }
+
+        try {
+            $query = $this->salesOrderListQuery($request, $validated) + ['per_page' => 200];
+            $first = $inventory->listSalesOrders($query + ['page' => 1]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] exportSalesOrders failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+
+        $headers = array_map(static fn ($c) => self::SO_EXPORT_COLUMNS[$c], $columns);
+        $cells   = static function (array $so) use ($columns): array {
+            return array_map(static function ($c) use ($so) {
+                if ($c === 'total') {
+                    return (float) ($so['total'] ?? 0);
+                }
+                if ($c === 'status') {
+                    return (string) ($so['order_status'] ?? ($so['status'] ?? ''));
+                }
+                return (string) ($so[$c] ?? '');
+            }, $columns);
+        };
+
+        $stream = function () use ($format, $headers, $cells, $first, $query, $inventory) {
+            set_time_limit(self::SO_EXPORT_PAGE_SECONDS);
+
+            if ($format === 'xlsx') {
+                $xlsx   = new XlsxStreamWriter(static function (string $bytes) {
+                    echo $bytes;
+                });
+                $xlsx->start($headers, 'Sales Orders');
+                $write  = static fn (array $row, bool $bold = false) => $xlsx->row($row, $bold);
+                $finish = static fn () => $xlsx->finish();
+            } else {
+                $out = fopen('php://output', 'w');
+                fwrite($out, "\xEF\xBB\xBF"); // BOM: Excel opens the file as UTF-8
+                fputcsv($out, $headers, ',', '"', '');
+                // Text starting with = + - @ would run as a formula in spreadsheet apps
+                $write  = static fn (array $row) => fputcsv($out, array_map(
+                    static fn ($v) => is_string($v) && preg_match('/^[=+\-@\t\r]/', $v) ? "'" . $v : $v,
+                    $row
+                ), ',', '"', '');
+                $finish = static fn () => fclose($out);
+            }
+
+            $res        = $first;
+            $page       = 1;
+            $written    = 0;
+            $incomplete = null;
+            while (true) {
+                foreach ($res['salesorders'] ?? [] as $so) {
+                    $write($cells($so));
+                    $written++;
+                }
+                if (ob_get_level() > 0) {
+                    ob_flush();
+                }
+                flush();
+
+                if (empty($res['page_context']['has_more_page'])) {
+                    break;
+                }
+                if ($page >= self::SO_EXPORT_MAX_PAGES) {
+                    Log::warning('[Zoho] exportSalesOrders truncated', ['pages' => $page]);
+                    $incomplete = 'the export is limited to ' . $written . ' orders; narrow the filters to export the rest';
+                    break;
+                }
+
+                set_time_limit(self::SO_EXPORT_PAGE_SECONDS);
+                try {
+                    $res = $inventory->listSalesOrders($query + ['page' => ++$page]);
+                } catch (Throwable $e) {
+                    // Headers are gone already: end the file with what was read, and say so
+                    Log::error('[Zoho] exportSalesOrders stopped', [
+                        'page'    => $page,
+                        'message' => $e->getMessage(),
+                    ]);
+                    $incomplete = 'Zoho failed while reading page ' . $page . ', only the first ' . $written
+                        . ' orders are included; export again';
+                    break;
+                }
+            }
+
+            if ($incomplete !== null) {
+                $write(['EXPORT INCOMPLETE: ' . $incomplete], true);
+            }
+            $finish();
+        };
+
+        $contentType = $format === 'xlsx'
+            ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            : 'text/csv; charset=UTF-8';
+
+        return response()->streamDownload($stream, 'salesorders-' . now()->format('Ymd-His') . '.' . $format, [
+            'Content-Type'      => $contentType,
+            'Cache-Control'     => 'no-store',
+            'X-Accel-Buffering' => 'no', // nginx: pass rows through as they come
+        ]);
+    }
+
+    /**
+     * GET /api/zoho/salesorders/{id}/pdf?download=1
+     * Printable Sales Order rendered by Zoho with the organization's template
+     * (paper confirmation for customers); inline unless `download` is set.
+     */
+    public function salesOrderPdf(Request $request, string $id, ZohoInventoryService $inventory): Response|JsonResponse
+    {
+        try {
+            $pdf = $inventory->salesOrderPdf($id);
+
+            if ($pdf === null) {
+                return response()->json([
+                    'status'  => 'error',
+                    'error'   => 'not_found',
+                    'message' => 'Sales Order not found.',
+                ], 404);
+            }
+
+            $filename    = preg_replace('/[^A-Za-z0-9._-]/', '_', $pdf['filename'] ?: 'salesorder-' . $id . '.pdf');
+            $disposition = $request->boolean('download') ? 'attachment' : 'inline';
+
+            return response($pdf['body'], 200, [
+                'Content-Type'        => 'application/pdf',
+                'Content-Disposition' => $disposition . '; filename="' . $filename . '"',
+                'Cache-Control'       => 'private, no-store',
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] salesOrderPdf failed', [
+                'id'      => $id,
                 'message' => $e->getMessage(),
-            ], 422);
+            ]);
+
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/salesorders/{id}
+     * Full details for a single Sales Order.
+     */
+    public function getSalesOrder(string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $so = $inventory->getSalesOrder($id);
+
+            if (empty($so)) {
+                return response()->json([
+                    'status'  => 'error',
+                    'message' => 'Sales Order not found.',
+                ], 404);
+            }
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => $so,
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] getSalesOrder failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/items/lookup?code={code}
+     * Barcode scanner lookup: the item whose SKU / UPC / EAN / ISBN / part
+     * number equals the code exactly (404 when none does).
+     */
+    public function lookupItem(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate([
+            'code' => ['required', 'string', 'max:100'],
+        ]);
+        $code = trim($validated['code']);
+
+        try {
+            $found = $inventory->findItemByCode($code);
+
+            if ($found === null) {
+                return response()->json([
+                    'status'  => 'error',
+                    'error'   => 'not_found',
+                    'message' => "No item with code {$code}.",
+                ], 404);
+            }
+
+            [$raw, $field] = $found;
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => [
+                    'item_id'        => $raw['item_id'] ?? null,
+                    'name'           => $raw['name'] ?? ($raw['item_name'] ?? ''),
+                    'sku'            => $raw['sku'] ?? '',
+                    'rate'           => $raw['rate'] ?? 0,
+                    'tax_id'         => $raw['tax_id'] ?? null,
+                    'tax_name'       => $raw['tax_name'] ?? null,
+                    'tax_percentage' => $raw['tax_percentage'] ?? null,
+                    'matched_on'     => $field,
+                ],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] lookupItem failed', [
+                'code'    => $code,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/items/{id}/image
+     * Item picture proxied from Zoho (the browser has no Zoho token), cached
+     * by the browser for a day; the SPA adds the image document id to the URL
+     * so a new picture gets a new URL. 404 when the item has no image.
+     */
+    public function itemImage(string $id, ZohoInventoryService $inventory): Response|JsonResponse
+    {
+        try {
+            $image = $inventory->itemImage($id);
+
+            if ($image === null) {
+                return response()->json([
+                    'status'  => 'error',
+                    'error'   => 'not_found',
+                    'message' => 'Item has no image.',
+                ], 404);
+            }
+
+            return response($image['body'], 200, [
+                'Content-Type'  => $image['content_type'],
+                'Cache-Control' => 'private, max-age=86400',
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] itemImage failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e);
+        }
+    }
+
+    public function getItem(string $id, \App\Services\Zoho\ZohoInventoryService $inventory): \Illuminate\Http\JsonResponse
+    {
+        try {
+            $raw = $inventory->getItem($id);
+
+            if (empty($raw)) {
+                return response()->json([
+                    'status'  => 'error',
+                    'message' => 'Item not found.',
+                ], 404);
+            }
+
+            // Compact payload for the frontend
+            $item = [
+                'item_id'                => $raw['item_id'] ?? $id,
+                'name'                   => $raw['name'] ?? ($raw['item_name'] ?? ''),
+                'sku'                    => $raw['sku'] ?? ($raw['product_code'] ?? ''),
+                'rate'                   => $raw['rate'] ?? ($raw['selling_price'] ?? 0),
+                // Catalog / detail page
+                'description'            => $raw['description'] ?? '',
+                'status'                 => $raw['status'] ?? 'active',
+                'unit'                   => $raw['unit'] ?? '',
+                'category_id'            => $raw['category_id'] ?? '',
+                'category_name'          => $raw['category_name'] ?? '',
+                'upc'                    => $raw['upc'] ?? '',
+                'ean'                    => $raw['ean'] ?? '',
+                'tax_id'                 => $raw['tax_id'] ?? '',
+                'tax_name'               => $raw['tax_name'] ?? '',
+                'tax_percentage'         => $raw['tax_percentage'] ?? 0,
+                'image_document_id'      => $raw['image_document_id'] ?? '',
+                'track_inventory'        => (bool)($raw['track_inventory'] ?? false),
+                'can_be_sold'            => (bool)($raw['can_be_sold'] ?? true),
+                'can_be_purchased'       => (bool)($raw['can_be_purchased'] ?? false),
+                'available_stock'        => $raw['available_stock']        ?? ($raw['actual_available_stock'] ?? null),
+                'actual_available_stock' => $raw['actual_available_stock'] ?? null,
+                'physical_stock'         => $raw['physical_stock']         ?? null,
+                // Purchasing hints for the purchase plan editor
+                'vendor_id'              => $raw['preferred_vendor_id'] ?? ($raw['vendor_id'] ?? null),
+                'vendor_name'            => $raw['preferred_vendor_name'] ?? ($raw['vendor_name'] ?? null),
+                'purchase_rate'          => $raw['purchase_rate'] ?? null,
+                'reorder_level'          => $raw['reorder_level'] ?? null,
+                // Stock per location (multi-warehouse organizations)
+                'warehouses'             => array_values(array_map(static fn ($w) => [
+                    'warehouse_id'    => (string) ($w['warehouse_id'] ?? ''),
+                    'warehouse_name'  => (string) ($w['warehouse_name'] ?? ''),
+                    'is_primary'      => (bool) ($w['is_primary'] ?? false),
+                    'available_stock' => $w['warehouse_available_stock']
+                        ?? ($w['warehouse_actual_available_stock'] ?? ($w['warehouse_stock_on_hand'] ?? null)),
+                    'stock_on_hand'   => $w['warehouse_stock_on_hand'] ?? null,
+                ], $raw['warehouses'] ?? [])),
+            ];
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => $item,
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] getItem failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e);
         }
     }
 
@@ -303,6 +1035,9 @@ public function contacts(Request $request, \App\Services\Zoho\ZohoInventoryServi
         $q       = trim((string) $request->query('q', ''));
         $page    = (int) $request->query('page', 1);
         $perPage = (int) $request->query('per_page', 20);
+        // Optional: 'customer' | 'vendor' (vendor search in the purchase plan editor)
+        $type    = (string) $request->query('contact_type', '');
+        $type    = in_array($type, ['customer', 'vendor'], true) ? $type : '';
 
         if ($q === '') {
             return response()->json(['status' => 'ok', 'data' => [], 'page_context' => [
@@ -311,7 +1046,7 @@ public function contacts(Request $request, \App\Services\Zoho\ZohoInventoryServi
         }
 
         try {
-            $res = $inventory->contactsSearch($q, $page, $perPage);
+            $res = $inventory->contactsSearch($q, $page, $perPage, $type);
 
             // Normalize to a compact list for the UI
             $list = array_map(static function ($c) {
@@ -332,7 +1067,114 @@ public function contacts(Request $request, \App\Services\Zoho\ZohoInventoryServi
             ]);
         } catch (\Throwable $e) {
             \Log::error('[Zoho] contacts search failed', ['message' => $e->getMessage()]);
-            return response()->json(['status' => 'error', 'message' => $e->getMessage()], 422);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/customers?q=&status=&page=&per_page=&sort_column=&sort_order=
+     * One page of customers (contact_type customer) with currency and outstanding receivables.
+     */
+    public function listCustomers(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        $filters = $request->validate([
+            'status' => 'nullable|string|in:' . implode(',', array_keys(self::CUSTOMER_STATUS_FILTERS)),
+        ]);
+
+        try {
+            $page      = max(1, (int) $request->query('page', 1));
+            $perPage   = min(200, max(1, (int) $request->query('per_page', 25)));
+            $sortCol   = in_array($request->query('sort_column'), self::CUSTOMER_SORT_COLUMNS, true)
+                ? (string) $request->query('sort_column')
+                : 'contact_name';
+            $sortOrder = strtoupper((string) $request->query('sort_order', 'A')) === 'D' ? 'D' : 'A';
+            $q         = trim((string) $request->query('q', ''));
+
+            $query = [
+                'contact_type' => 'customer',
+                'page'         => $page,
+                'per_page'     => $perPage,
+                'sort_column'  => $sortCol,
+                'sort_order'   => $sortOrder,
+            ];
+            if ($q !== '') {
+                $query['search_text'] = $q;
+            }
+            if (!empty($filters['status'])) {
+                $query['filter_by'] = self::CUSTOMER_STATUS_FILTERS[$filters['status']];
+            }
+
+            $res = $inventory->listContacts($query);
+
+            $rows = array_map(static fn ($c) => [
+                'contact_id'                       => (string) ($c['contact_id'] ?? ''),
+                'contact_name'                     => (string) ($c['contact_name'] ?? ''),
+                'company_name'                     => (string) ($c['company_name'] ?? ''),
+                'email'                            => (string) ($c['email'] ?? ''),
+                'phone'                            => (string) ($c['phone'] ?? ($c['mobile'] ?? '')),
+                'status'                           => (string) ($c['status'] ?? 'active'),
+                'currency_code'                    => (string) ($c['currency_code'] ?? ''),
+                'outstanding_receivable_amount'    => (float) ($c['outstanding_receivable_amount'] ?? 0),
+                'unused_credits_receivable_amount' => (float) ($c['unused_credits_receivable_amount'] ?? 0),
+            ], $res['contacts']);
+
+            return response()->json([
+                'status'       => 'ok',
+                'data'         => $rows,
+                'page_context' => $res['page_context'],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] listCustomers failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/contacts/{id}/receivables
+     * Open invoices of a customer (unpaid, partially paid, overdue) with totals:
+     * { outstanding, overdue, currency_code, invoices:[{ invoice_id, invoice_number, date, due_date, status, total, balance }] }
+     */
+    public function customerReceivables(string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $res = $inventory->listInvoices([
+                'customer_id' => $id,
+                'filter_by'   => 'Status.Unpaid',
+                'sort_column' => 'due_date',
+                'sort_order'  => 'A',
+                'per_page'    => 200,
+            ]);
+
+            $invoices = array_map(static fn ($inv) => [
+                'invoice_id'     => (string) ($inv['invoice_id'] ?? ''),
+                'invoice_number' => (string) ($inv['invoice_number'] ?? ''),
+                'date'           => (string) ($inv['date'] ?? ''),
+                'due_date'       => (string) ($inv['due_date'] ?? ''),
+                'status'         => (string) ($inv['status'] ?? ''),
+                'total'          => (float) ($inv['total'] ?? 0),
+                'balance'        => (float) ($inv['balance'] ?? 0),
+                'currency_code'  => (string) ($inv['currency_code'] ?? ''),
+            ], $res['invoices'] ?? []);
+
+            $invoices = array_values(array_filter($invoices, static fn ($i) => $i['balance'] > 0));
+            $overdue  = array_filter($invoices, static fn ($i) => $i['status'] === 'overdue');
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => [
+                    'outstanding'   => round(array_sum(array_column($invoices, 'balance')), 2),
+                    'overdue'       => round(array_sum(array_column($overdue, 'balance')), 2),
+                    'currency_code' => $invoices[0]['currency_code'] ?? '',
+                    'has_more'      => (bool) ($res['page_context']['has_more_page'] ?? false),
+                    'invoices'      => $invoices,
+                ],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] customerReceivables failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+            return $this->errorResponse($e);
         }
     }
 
@@ -345,7 +1187,894 @@ public function getContact(string $id, ZohoInventoryService $inventory): JsonRes
             }
             return response()->json(['status'=>'ok','data'=>$contact]);
         } catch (\Throwable $e) {
-            return response()->json(['status'=>'error','message'=>$e->getMessage()], 422);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * POST /api/zoho/contacts
+     * Create a customer from the SPA form (company, addresses, contact persons,
+     * payment terms, currency, tax treatment). Returns the Zoho contact.
+     */
+    public function createContact(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate($this->contactRules());
+
+        try {
+            $contact = $inventory->createContact($validated);
+
+            return response()->json([
+                'status'  => 'ok',
+                'data'    => $contact,
+                'message' => 'Customer created in Zoho Inventory.',
+            ], 201);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] createContact failed', [
+                'name'    => $validated['contact_name'] ?? null,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e, 'Failed to create customer');
+        }
+    }
+
+    /**
+     * PUT /api/zoho/contacts/{id}
+     * Update a customer from the SPA form (same fields as create; the currency
+     * can't be changed once the contact exists).
+     */
+    public function updateContact(Request $request, string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate($this->contactRules());
+
+        try {
+            $contact = $inventory->updateContact($id, $validated);
+
+            return response()->json([
+                'status'  => 'ok',
+                'data'    => $contact,
+                'message' => 'Customer updated in Zoho Inventory.',
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] updateContact failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e, 'Failed to update customer');
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Purchase Orders
+    // ------------------------------------------------------------------
+
+    /**
+     * GET /api/zoho/purchaseorders
+     * Paginated list of Purchase Orders. Query: page, per_page, q, status, sort_column, sort_order.
+     * Each row gets `salesorder_id` when the PO was auto-created for a Sales Order.
+     */
+    public function listPurchaseOrders(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        $filters = $request->validate([
+            'status' => 'nullable|string|in:' . implode(',', array_keys(self::PO_STATUS_FILTERS)),
+        ]);
+
+        try {
+            $page      = max(1, (int) $request->query('page', 1));
+            $perPage   = min(200, max(1, (int) $request->query('per_page', 25)));
+            $sortCol   = in_array($request->query('sort_column'), ['date', 'purchaseorder_number', 'vendor_name', 'total'], true)
+                ? (string) $request->query('sort_column')
+                : 'date';
+            $sortOrder = strtoupper((string) $request->query('sort_order', 'D')) === 'A' ? 'A' : 'D';
+            $q         = trim((string) $request->query('q', ''));
+
+            $query = [
+                'page'        => $page,
+                'per_page'    => $perPage,
+                'sort_column' => $sortCol,
+                'sort_order'  => $sortOrder,
+            ];
+            if ($q !== '') {
+                $query['search_text'] = $q;
+            }
+            if (!empty($filters['status'])) {
+                $query['filter_by'] = self::PO_STATUS_FILTERS[$filters['status']];
+            }
+
+            $res = $inventory->listPurchaseOrders($query);
+
+            $rows = array_map(fn ($po) => $po + [
+                'salesorder_id' => $inventory->linkedSalesOrderId($po),
+            ], $res['purchaseorders'] ?? []);
+
+            return response()->json([
+                'status'       => 'ok',
+                'data'         => $rows,
+                'page_context' => $res['page_context'] ?? [
+                    'page' => $page, 'per_page' => $perPage, 'has_more_page' => false, 'report_name' => 'Purchase Orders',
+                ],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] listPurchaseOrders failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/purchaseorders/{id}
+     * Full PO details plus `salesorder` ({ salesorder_id, salesorder_number }) when
+     * it was created for a Sales Order.
+     */
+    public function getPurchaseOrder(string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $po = $inventory->getPurchaseOrder($id);
+
+            if (empty($po)) {
+                return response()->json([
+                    'status'  => 'error',
+                    'message' => 'Purchase Order not found.',
+                ], 404);
+            }
+
+            $soId = $inventory->linkedSalesOrderId($po);
+            $po['salesorder'] = null;
+            if ($soId) {
+                // Best effort: the number is only for display, the link works with the id
+                try {
+                    $so = $inventory->getSalesOrder($soId);
+                } catch (Throwable $e) {
+                    $so = [];
+                }
+                $po['salesorder'] = [
+                    'salesorder_id'     => $soId,
+                    'salesorder_number' => $so['salesorder_number'] ?? null,
+                ];
+            }
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => $po,
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] getPurchaseOrder failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * POST /api/zoho/purchaseorders/{id}/status/issued
+     * Draft → issued (required before goods can be received).
+     */
+    public function issuePurchaseOrder(string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $inventory->markPurchaseOrderIssued($id);
+
+            return response()->json([
+                'status'  => 'ok',
+                'message' => 'Purchase Order issued',
+                'data'    => ['purchaseorder_id' => $id],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] issuePurchaseOrder failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * POST /api/zoho/purchaseorders/{id}/receive
+     * Records received quantities (a Zoho purchase receive).
+     * Payload:
+     *   - date?:  Y-m-d (defaults to today)
+     *   - notes?: string
+     *   - lines:  [{ line_item_id: string, item_id?: string, quantity: number }]
+     */
+    public function receivePurchaseOrder(Request $request, string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate([
+            'date'                 => ['nullable','date_format:Y-m-d'],
+            'notes'                => ['nullable','string','max:1000'],
+            'lines'                => ['required','array','min:1'],
+            'lines.*.line_item_id' => ['required','string'],
+            'lines.*.item_id'      => ['nullable','string'],
+            'lines.*.quantity'     => ['required','numeric','min:0'],
+        ]);
+
+        $lines = array_values(array_filter($validated['lines'], fn ($l) => (float) $l['quantity'] > 0));
+        if (!$lines) {
+            return response()->json([
+                'status'  => 'error',
+                'message' => 'Enter a received quantity for at least one line.',
+            ], 422);
+        }
+
+        try {
+            $receive = $inventory->receivePurchaseOrder(
+                $id,
+                $lines,
+                $validated['date'] ?? null,
+                (string) ($validated['notes'] ?? '')
+            );
+
+            return response()->json([
+                'status'  => 'ok',
+                'message' => 'Items received',
+                'data'    => [
+                    'purchaseorder_id'       => $id,
+                    'purchasereceive_id'     => $receive['receive_id'] ?? ($receive['purchasereceive_id'] ?? null),
+                    'purchasereceive_number' => $receive['receive_number'] ?? ($receive['purchasereceive_number'] ?? null),
+                ],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] receivePurchaseOrder failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Packages & shipments
+    // ------------------------------------------------------------------
+
+    /**
+     * POST /api/zoho/salesorders/{id}/packages
+     * Packs (part of) a confirmed Sales Order.
+     * Payload:
+     *   - date?:  Y-m-d (defaults to today)
+     *   - notes?: string
+     *   - lines:  [{ line_item_id: string, quantity: number }] (0 = not in this package)
+     */
+    public function createPackage(Request $request, string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate([
+            'date'                 => ['nullable','date_format:Y-m-d'],
+            'notes'                => ['nullable','string','max:1000'],
+            'lines'                => ['required','array','min:1'],
+            'lines.*.line_item_id' => ['required','string'],
+            'lines.*.quantity'     => ['required','numeric','min:0'],
+        ]);
+
+        $lines = array_values(array_filter($validated['lines'], fn ($l) => (float) $l['quantity'] > 0));
+        if (!$lines) {
+            return response()->json([
+                'status'  => 'error',
+                'message' => 'Enter a packed quantity for at least one line.',
+            ], 422);
+        }
+
+        try {
+            $package = $inventory->createPackage(
+                $id,
+                $lines,
+                $validated['date'] ?? null,
+                (string) ($validated['notes'] ?? '')
+            );
+        } catch (Throwable $e) {
+            Log::error('[Zoho] createPackage failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e, 'Failed to create the package');
+        }
+
+        // Created in Zoho: only the POST itself can answer "failed"
+        $number = $package['package_number'] ?? null;
+
+        return response()->json([
+            'status'  => 'ok',
+            'message' => $number ? "Package {$number} created" : 'Package created',
+            'data'    => [
+                'salesorder_id'  => $id,
+                'package_id'     => (string) ($package['package_id'] ?? ''),
+                'package_number' => $number,
+            ],
+        ], 201);
+    }
+
+    /**
+     * POST /api/zoho/salesorders/{id}/shipments
+     * Ships one package of the Sales Order.
+     * Payload:
+     *   - package_id:       string
+     *   - carrier:          string (Zoho delivery method)
+     *   - tracking_number?: string
+     *   - date?:            Y-m-d (defaults to today)
+     *   - notes?:           string
+     */
+    public function createShipment(Request $request, string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate([
+            'package_id'      => ['required','string'],
+            'carrier'         => ['required','string','max:100'],
+            'tracking_number' => ['nullable','string','max:100'],
+            'date'            => ['nullable','date_format:Y-m-d'],
+            'notes'           => ['nullable','string','max:1000'],
+        ]);
+
+        try {
+            $shipment = $inventory->createShipment($id, $validated['package_id'], $validated);
+            $number   = $shipment['shipment_number'] ?? null;
+
+            return response()->json([
+                'status'  => 'ok',
+                'message' => $number ? "Shipment {$number} created" : 'Shipment created',
+                'data'    => [
+                    'salesorder_id'   => $id,
+                    'package_id'      => $validated['package_id'],
+                    'shipment_id'     => (string) ($shipment['shipment_id'] ?? ''),
+                    'shipment_number' => $number,
+                ],
+            ], 201);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] createShipment failed', [
+                'id'         => $id,
+                'package_id' => $validated['package_id'],
+                'message'    => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e, 'Failed to create the shipment');
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Invoices & payments
+    // ------------------------------------------------------------------
+
+    /**
+     * POST /api/zoho/salesorders/{id}/invoice
+     * Converts the Sales Order into a (draft) invoice in Zoho.
+     */
+    public function invoiceSalesOrder(string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $invoice = $inventory->createInvoiceFromSalesOrder($id);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] invoiceSalesOrder failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e, 'Failed to create the invoice');
+        }
+
+        // Created in Zoho: answer 201 whatever the summary holds
+        $summary = $this->invoiceSummary($invoice);
+
+        return response()->json([
+            'status'  => 'ok',
+            'message' => $summary['invoice_number']
+                ? "Invoice {$summary['invoice_number']} created"
+                : 'Invoice created',
+            'data'    => $summary + ['salesorder_id' => $id],
+        ], 201);
+    }
+
+    /**
+     * POST /api/zoho/invoices/{id}/payments
+     * Records a full or partial customer payment against the invoice.
+     * Payload:
+     *   - amount:            number (> 0, at most the open balance)
+     *   - date?:             Y-m-d (defaults to today)
+     *   - payment_mode?:     cash | check | banktransfer | creditcard | bankremittance | others
+     *   - reference_number?: string
+     *   - description?:      string
+     */
+    public function recordInvoicePayment(Request $request, string $id, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate([
+            'amount'           => ['required','numeric','gt:0'],
+            'date'             => ['nullable','date_format:Y-m-d'],
+            'payment_mode'     => ['nullable','in:' . implode(',', ZohoInventoryService::PAYMENT_MODES)],
+            'reference_number' => ['nullable','string','max:100'],
+            'description'      => ['nullable','string','max:500'],
+        ]);
+
+        try {
+            $payment = $inventory->recordInvoicePayment($id, $validated);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] recordInvoicePayment failed', [
+                'id'      => $id,
+                'message' => $e->getMessage(),
+            ]);
+
+            return $this->errorResponse($e, 'Failed to record the payment');
+        }
+
+        // The payment exists from here on: a failed refresh must not read as a failed payment
+        try {
+            $invoice = $inventory->getInvoice($id);
+        } catch (Throwable $e) {
+            Log::warning('[Zoho] recordInvoicePayment: invoice refresh failed', [
+                'id'         => $id,
+                'payment_id' => $payment['payment_id'] ?? null,
+                'message'    => $e->getMessage(),
+            ]);
+            $invoice = null;
+        }
+
+        return response()->json([
+            'status'  => 'ok',
+            'message' => 'Payment recorded',
+            'data'    => [
+                'payment_id' => (string) ($payment['payment_id'] ?? ''),
+                'invoice'    => $invoice ? $this->invoiceSummary($invoice) : null,
+            ],
+        ], 201);
+    }
+
+    // ------------------------------------------------------------------
+    // Dashboard (aggregated + cached on the server, see ZohoInventoryService)
+    // ------------------------------------------------------------------
+
+    /**
+     * GET /api/zoho/dashboard/sales?days=7|30|90&interval=day|week
+     * Orders / revenue per day or week over the last `days` days (today included),
+     * status counts, top customers and top items.
+     */
+    public function dashboardSales(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        $validated = $request->validate([
+            'days'     => 'nullable|integer|in:7,30,90',
+            'interval' => 'nullable|string|in:day,week',
+        ]);
+
+        try {
+            $days     = (int) ($validated['days'] ?? 30);
+            $interval = (string) ($validated['interval'] ?? ($days > 30 ? 'week' : 'day'));
+            $to       = now()->format('Y-m-d');
+            $from     = now()->subDays($days - 1)->format('Y-m-d');
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => $inventory->salesSummary($from, $to, $interval),
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] dashboardSales failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/dashboard/low-stock?limit=
+     * Tracked items at or below their reorder level (largest shortfall first).
+     */
+    public function dashboardLowStock(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $limit = min(50, max(1, (int) $request->query('limit', 10)));
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => $inventory->lowStockSummary($limit),
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] dashboardLowStock failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    /**
+     * GET /api/zoho/dashboard/purchaseorders?limit=
+     * Purchase Orders awaiting receipt (issued / partially received), expected delivery first.
+     */
+    public function dashboardPurchaseOrders(Request $request, ZohoInventoryService $inventory): JsonResponse
+    {
+        try {
+            $limit = min(50, max(1, (int) $request->query('limit', 10)));
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => $inventory->purchaseOrdersAwaitingReceipt($limit),
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] dashboardPurchaseOrders failed', ['message' => $e->getMessage()]);
+            return $this->errorResponse($e);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------
+
+    /** Validation rules of the Sales Order list filters (list + export) */
+    private function salesOrderFilterRules(): array
+    {
+        return [
+            'status'      => 'nullable|string|in:' . implode(',', array_keys(self::SO_STATUS_FILTERS)),
+            'date_from'   => 'nullable|date_format:Y-m-d',
+            'date_to'     => 'nullable|date_format:Y-m-d',
+            'customer_id' => 'nullable|string|max:64',
+            'item_id'     => 'nullable|string|max:64',
+            'amount_min'  => 'nullable|numeric|min:0',
+            'amount_max'  => 'nullable|numeric|min:0',
+        ];
+    }
+
+    /**
+     * Zoho list params for the SO list and export (without page / per_page):
+     * q, sort_column, sort_order and the validated filters translated to
+     * Zoho's search_text / filter_by / date_start / date_end / total_* params.
+     */
+    private function salesOrderListQuery(Request $request, array $filters): array
+    {
+        $sortCol   = (string) $request->query('sort_column', 'date');
+        $sortOrder = strtoupper((string) $request->query('sort_order', 'D')) === 'A' ? 'A' : 'D';
+        $q         = trim((string) $request->query('q', ''));
+
+        // Zoho rejects unknown sort columns; fall back to the default one
+        if (!in_array($sortCol, self::SO_SORT_COLUMNS, true)) {
+            $sortCol = 'date';
+        }
+
+        $query = [
+            'sort_column' => $sortCol,
+            'sort_order'  => $sortOrder,
+        ];
+
+        if ($q !== '') {
+            $query['search_text'] = $q;
+
+            // Optional exact SO number helper
+            if (preg_match('/^\d+$/', $q)) {
+                $query['salesorder_number'] = 'SO-' . str_pad($q, 5, '0', STR_PAD_LEFT);
+            }
+        }
+
+        // Filters → Zoho list params
+        if (!empty($filters['status'])) {
+            $query['filter_by'] = self::SO_STATUS_FILTERS[$filters['status']];
+        }
+        if (!empty($filters['date_from'])) {
+            $query['date_start'] = $filters['date_from'];
+        }
+        if (!empty($filters['date_to'])) {
+            $query['date_end'] = $filters['date_to'];
+        }
+        if (!empty($filters['customer_id'])) {
+            $query['customer_id'] = $filters['customer_id'];
+        }
+        if (!empty($filters['item_id'])) {
+            $query['item_id'] = $filters['item_id'];
+        }
+        if (isset($filters['amount_min']) && $filters['amount_min'] !== '') {
+            $query['total_greater_equals'] = (float) $filters['amount_min'];
+        }
+        if (isset($filters['amount_max']) && $filters['amount_max'] !== '') {
+            $query['total_less_equals'] = (float) $filters['amount_max'];
+        }
+
+        return $query;
+    }
+
+    /**
+     * Idempotency-Key header when it looks like a client-generated key
+     * (UUID or similar: 8–100 chars of letters, digits, '-' and '_'), else null.
+     */
+    private function idempotencyKey(Request $request): ?string
+    {
+        $key = trim((string) $request->header('Idempotency-Key', ''));
+
+        return preg_match('/^[A-Za-z0-9_-]{8,100}$/', $key) ? $key : null;
+    }
+
+    /**
+     * Stored result for a Sales Order submit key, or null when the key is new
+     * (or its earlier attempt ended before the order was known to exist).
+     * Same payload → the original 201 body with `replayed: true`;
+     * different payload → 409 with the original data (the key is spent).
+     * States: pending (before the POST) → sent → created (order exists) → done.
+     */
+    private function idempotentReplay(string $key, string $fingerprint): ?JsonResponse
+    {
+        $stored = Cache::get("zoho:idempotency:so:{$key}");
+        if (!is_array($stored)) {
+            return null;
+        }
+
+        if (($stored['fingerprint'] ?? null) !== $fingerprint) {
+            return response()->json([
+                'status'  => 'error',
+                'error'   => 'conflict',
+                'reason'  => 'payload_mismatch',
+                'message' => 'This submission was already processed with different data.',
+                'data'    => $stored['result']['data'] ?? null,
+            ], 409);
+        }
+
+        if (!isset($stored['result'])) {
+            return null;
+        }
+
+        Log::info('Zoho SO create: idempotent replay', ['key' => $key]);
+
+        return response()->json(
+            ['replayed' => true] + $stored['result'],
+            201,
+            ['Idempotent-Replayed' => 'true']
+        );
+    }
+
+    /**
+     * A previous attempt with this key POSTed the order and got no answer (`sent`):
+     * look the order up before sending it again. Found → replayed as created;
+     * not found → null (the caller creates it); lookup failed → that error;
+     * order not identifiable (customer reference only) → 409, the key is freed
+     * and the user checks Zoho before submitting again.
+     */
+    private function recoverSubmission(string $key, ZohoInventoryService $zoho): ?JsonResponse
+    {
+        $stored = Cache::get("zoho:idempotency:so:{$key}");
+        if (($stored['state'] ?? null) !== 'sent' || !is_array($stored['marker'] ?? null)) {
+            return null;
+        }
+
+        try {
+            $so = $zoho->findCreatedSalesOrder($stored['marker']);
+        } catch (ZohoApiException $e) {
+            // Still unknown: the record stays `sent` and the next attempt asks again
+            Log::error('Zoho SO create: lookup of an unanswered attempt failed', ['key' => $key, 'message' => $e->getMessage()]);
+            return $this->errorResponse($e, 'Could not check whether the Sales Order was created');
+        } catch (\Throwable $e) {
+            Cache::forget("zoho:idempotency:so:{$key}");
+            return response()->json([
+                'status'  => 'error',
+                'error'   => 'conflict',
+                'reason'  => 'unverified',
+                'message' => $e->getMessage(),
+            ], 409);
+        }
+        if (!$so) {
+            return null;
+        }
+
+        Log::warning('Zoho SO create: recovered an order created by an unanswered attempt', [
+            'key'           => $key,
+            'salesorder_id' => $so['salesorder_id'] ?? null,
+        ]);
+
+        $result = $this->createdResult($so);
+        $this->rememberSubmission($key, [
+            'state'       => 'done',
+            'fingerprint' => $stored['fingerprint'],
+            'result'      => $result,
+        ]);
+
+        return response()->json(
+            ['replayed' => true] + $result,
+            201,
+            ['Idempotent-Replayed' => 'true']
+        );
+    }
+
+    /** Progress / result of a Sales Order submit key, kept IDEMPOTENCY_TTL seconds */
+    private function rememberSubmission(string $key, array $record): void
+    {
+        Cache::put("zoho:idempotency:so:{$key}", $record, self::IDEMPOTENCY_TTL);
+    }
+
+    /**
+     * 201 body for a created Sales Order (Zoho object or the service's flat result).
+     */
+    private function createdResult(array $so): array
+    {
+        // Service returns flat keys; fallback to nested path just in case.
+        $soId = data_get($so, 'salesorder_id') ?? data_get($so, 'salesorder.salesorder_id');
+        $soNo = data_get($so, 'salesorder_number') ?? data_get($so, 'salesorder.salesorder_number');
+
+        $statusMessage = 'Sales Order created';
+
+        $result = [
+            'status'  => 'ok',
+            'message' => $soNo ? "{$statusMessage} (#{$soNo})" : $statusMessage,
+            'data'    => [
+                'salesorder_id'     => $soId,
+                'salesorder_number' => $soNo,
+            ],
+        ];
+
+        // Addresses Zoho refused after the order was created
+        if (!empty($so['warnings'])) {
+            $result['warnings'] = $so['warnings'];
+        }
+
+        return $result;
+    }
+
+    /**
+     * Error response for a failed Zoho call. `error` tells the SPA what went
+     * wrong (see api/ApiError.js); the HTTP status follows it:
+     *  - rate_limit → 429 (+ Retry-After when Zoho sent one)
+     *  - auth       → 502 (Zoho token / permissions, not the SPA session)
+     *  - network    → 503 (Zoho unreachable or 5xx)
+     *  - zoho       → 422 (Zoho rejected the request)
+     */
+    private function errorResponse(Throwable $e, string $fallback = 'Request to Zoho failed'): JsonResponse
+    {
+        $type = $e instanceof ZohoApiException ? $e->type() : 'zoho';
+
+        $status = match ($type) {
+            'rate_limit' => 429,
+            'auth'       => 502,
+            'network'    => 503,
+            default      => 422,
+        };
+
+        $payload = [
+            'status'  => 'error',
+            'error'   => $type,
+            'message' => $e->getMessage() ?: $fallback,
+        ];
+
+        $headers = [];
+        if ($e instanceof ZohoApiException && $e->retryAfter) {
+            $payload['retry_after'] = $e->retryAfter;
+            $headers['Retry-After'] = (string) $e->retryAfter;
+        }
+
+        return response()->json($payload, $status, $headers);
+    }
+
+    /**
+     * Validation rules shared by Sales Order create/update.
+     */
+    private function salesOrderRules(): array
+    {
+        $rules = [
+            'customer.name'       => ['required','string','max:255'],
+            // A picked Zoho contact is used as-is; without one the email finds / creates it
+            'customer.contact_id' => ['nullable','string'],
+            'customer.email'      => ['required_without:customer.contact_id','nullable','email','max:255'],
+            'customer.phone'      => ['nullable','string','max:255'],
+            // Addresses for this order: address_id = the contact's address unchanged
+            'customer.billing_address'  => ['nullable','array'],
+            'customer.shipping_address' => ['nullable','array'],
+
+            // Delivery details (Zoho field names)
+            'shipment_date'    => ['nullable','date_format:Y-m-d'],
+            'delivery_method'  => ['nullable','string','max:100'],
+            'reference_number' => ['nullable','string','max:50'],
+            'salesperson_name' => ['nullable','string','max:100'],
+            'notes'            => ['nullable','string','max:5000'],
+            'terms'            => ['nullable','string','max:10000'],
+
+            'items'                  => ['required','array','min:1'],
+            'items.*.item_id'        => ['required','string'],
+            'items.*.name'           => ['required','string'],
+            'items.*.sku'            => ['nullable','string'],
+            'items.*.qty'            => ['required','numeric','min:0.0001'],
+            'items.*.rate'           => ['required','numeric'],
+            'items.*.tax'            => ['nullable','numeric'],
+            'items.*.tax_id'         => ['nullable','string'],
+            'items.*.tax_percentage' => ['nullable','numeric','min:0'],
+            'items.*.discount'       => ['nullable','numeric','min:0'],
+            'items.*.discount_unit'  => ['nullable','in:percent,amount'],
+            'items.*.warehouse_id'   => ['nullable','string'],
+
+            // Order-level pricing (Zoho field names)
+            'discount_type'          => ['sometimes','in:item_level,entity_level'],
+            'discount'               => ['nullable','numeric','min:0'],
+            'discount_unit'          => ['nullable','in:percent,amount'],
+            'is_discount_before_tax' => ['sometimes','boolean'],
+            'is_inclusive_tax'       => ['sometimes','boolean'],
+            'shipping_charge'        => ['nullable','numeric','min:0'],
+            'adjustment'             => ['nullable','numeric'],
+            'adjustment_description' => ['nullable','string','max:255'],
+            'exchange_rate'          => ['nullable','numeric','gt:0'],
+
+            'createPurchaseOrders'   => ['sometimes','boolean'],
+            'purchasePlan'           => ['sometimes','array'],
+            'purchasePlan.*.item_id' => ['required_with:createPurchaseOrders','string'],
+            'purchasePlan.*.quantity'=> ['required_with:createPurchaseOrders','numeric','min:0.0001'],
+            // Editor overrides + echo fields for the per-line report
+            'purchasePlan.*.vendor_id' => ['nullable','string'],
+            'purchasePlan.*.rate'      => ['nullable','numeric','min:0'],
+            'purchasePlan.*.warehouse_id' => ['nullable','string'],
+            'purchasePlan.*.line_ref'  => ['nullable','string','max:64'],
+            'purchasePlan.*.name'      => ['nullable','string','max:255'],
+        ];
+
+        foreach (['billing_address', 'shipping_address'] as $kind) {
+            $rules["customer.{$kind}.address_id"] = ['nullable','string'];
+            foreach (ZohoInventoryService::ADDRESS_FIELDS as $field) {
+                $rules["customer.{$kind}.{$field}"] = ['nullable','string','max:255'];
+            }
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Validation for the customer form (POST / PUT /contacts).
+     */
+    private function contactRules(): array
+    {
+        $rules = [
+            'contact_name'        => ['required','string','max:200'],
+            'company_name'        => ['nullable','string','max:200'],
+            'payment_terms'       => ['nullable','integer','min:0','max:999'],
+            'payment_terms_label' => ['nullable','string','max:100'],
+            'currency_id'         => ['nullable','string','max:64'],
+            'tax_treatment'       => ['nullable','string','max:64'],
+            'billing_address'     => ['nullable','array'],
+            'shipping_address'    => ['nullable','array'],
+
+            'contact_persons'                      => ['nullable','array','max:20'],
+            'contact_persons.*.contact_person_id'  => ['nullable','string'],
+            'contact_persons.*.first_name'         => ['nullable','string','max:100'],
+            'contact_persons.*.last_name'          => ['nullable','string','max:100'],
+            'contact_persons.*.email'              => ['nullable','email','max:255'],
+            'contact_persons.*.phone'              => ['nullable','string','max:50'],
+            'contact_persons.*.mobile'             => ['nullable','string','max:50'],
+            'contact_persons.*.is_primary_contact' => ['sometimes','boolean'],
+        ];
+
+        foreach (['billing_address', 'shipping_address'] as $kind) {
+            foreach (ZohoInventoryService::ADDRESS_FIELDS as $field) {
+                $rules["{$kind}.{$field}"] = ['nullable','string','max:255'];
+            }
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Compact invoice for the SPA (same keys as the `invoices` list on a Sales Order).
+     */
+    private function invoiceSummary(array $invoice): array
+    {
+        return [
+            'invoice_id'     => (string) ($invoice['invoice_id'] ?? ''),
+            'invoice_number' => $invoice['invoice_number'] ?? null,
+            'status'         => $invoice['status'] ?? null,
+            'date'           => $invoice['date'] ?? null,
+            'due_date'       => $invoice['due_date'] ?? null,
+            'currency_code'  => $invoice['currency_code'] ?? null,
+            'total'          => (float) ($invoice['total'] ?? 0),
+            'balance'        => (float) ($invoice['balance'] ?? 0),
+        ];
+    }
+
+    /**
+     * Create Purchase Orders from the validated purchasePlan (when requested)
+     * and merge the report into the JSON result.
+     */
+    private function attachPurchaseOrders(array &$result, array $validated, string $soId, ZohoInventoryService $zoho): void
+    {
+        $createPO     = (bool) Arr::get($validated, 'createPurchaseOrders', false);
+        $purchasePlan = Arr::get($validated, 'purchasePlan', []);
+
+        if (!$createPO || !is_array($purchasePlan) || count($purchasePlan) === 0) {
+            return;
+        }
+
+        $poReport = $zoho->createPurchaseOrdersFromPlan($purchasePlan, [
+            'salesorder_id'     => $soId,
+            'salesorder_number' => (string) data_get($result, 'data.salesorder_number', ''),
+        ]);
+
+        Log::info('Zoho PO create: summary', ['summary' => $poReport]);
+
+        $result['purchase_orders'] = $poReport;
+        if (!empty($poReport['created'])) {
+            $result['message'] .= ' • Purchase Orders created';
+        }
+        if (!empty($poReport['skipped'])) {
+            $count = count($poReport['skipped']);
+            $result['message'] .= ' • ' . $count . ' item' . ($count === 1 ? '' : 's') . ' not ordered';
         }
     }
 
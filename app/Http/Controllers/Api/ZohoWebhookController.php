@@ -0,0 +1,304 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Services\Zoho\ZohoEventBus;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Http\Response;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+use Throwable;
+
+/**
+ * ZohoWebhookController
+ *
+ * Live updates for the SPA:
+ *  - POST /api/zoho/webhooks/{topic?}  Zoho workflow webhooks (sales orders, items, stock)
+ *  - GET /api/zoho/events              Server-Sent Events stream of what the webhooks reported
+ *
+ * Webhooks are turned into small events and handed to ZohoEventBus:
+ *  - salesorder: { salesorder_id, action: created|updated|deleted, patch: list fields, item_ids }
+ *  - stock:      { item_ids, source: item|inventory_adjustment|purchasereceive|... }
+ * The SPA refreshes / patches what it shows from these; it never trusts them as the
+ * full record (the payload is whatever the Zoho workflow was set up to send).
+ * A stream that fell behind gets `reset` instead, and the SPA reloads.
+ */
+class ZohoWebhookController extends Controller
+{
+    /** Sales Order list columns a webhook may patch in place (see SalesOrdersTable) */
+    private const SO_PATCH_FIELDS = [
+        'salesorder_number',
+        'date',
+        'shipment_date',
+        'customer_id',
+        'customer_name',
+        'reference_number',
+        'status',
+        'order_status',
+        'invoiced_status',
+        'paid_status',
+        'shipped_status',
+        'currency_code',
+        'total',
+        'last_modified_time',
+    ];
+
+    /** Payload keys that mean "stock of these lines' items changed" */
+    private const STOCK_SOURCES = [
+        'inventory_adjustment',
+        'transfer_order',
+        'purchasereceive',
+        'package',
+        'shipmentorder',
+        'invoice',
+        'bill',
+    ];
+
+    /** A stream stays open this long; EventSource then reconnects with Last-Event-ID */
+    private const STREAM_SECONDS = 25;
+
+    private const STREAM_POLL_SECONDS = 1;
+
+    private const STREAM_HEARTBEAT_SECONDS = 15;
+
+    /**
+     * POST /api/zoho/webhooks/{topic?}[?event=created|updated|deleted]
+     * Body: JSON (or a form with `JSONString`, Zoho's "Entity parameters" default).
+     * Secret: `X-Zoho-Webhook-Secret` header or `?secret=`, compared with ZOHO_WEBHOOK_SECRET.
+     */
+    public function receive(Request $request, ZohoEventBus $bus, ?string $topic = null): JsonResponse
+    {
+        $secret = (string) config('zoho.webhook_secret', '');
+        if ($secret === '') {
+            return response()->json([
+                'status'  => 'error',
+                'error'   => 'disabled',
+                'message' => 'Webhooks are disabled (ZOHO_WEBHOOK_SECRET is not set)',
+            ], 503);
+        }
+
+        $given = (string) ($request->header('X-Zoho-Webhook-Secret') ?? $request->query('secret', ''));
+        if (!hash_equals($secret, $given)) {
+            Log::warning('[Zoho] webhook rejected (bad secret)', ['topic' => $topic, 'ip' => $request->ip()]);
+            return response()->json([
+                'status'  => 'error',
+                'error'   => 'auth',
+                'message' => 'Invalid webhook secret',
+            ], 401);
+        }
+
+        $payload = $this->payload($request);
+        if ($payload === null) {
+            return response()->json([
+                'status'  => 'error',
+                'error'   => 'validation',
+                'message' => 'Webhook body must be JSON (or a JSONString form field)',
+            ], 422);
+        }
+
+        $action = in_array($request->query('event'), ['created', 'updated', 'deleted'], true)
+            ? (string) $request->query('event')
+            : null;
+
+        try {
+            if (config('zoho.webhook_record')) {
+                $this->record($topic, $action, $payload);
+            }
+
+            $published = [];
+            foreach ($this->events($topic, $action, $payload) as $event) {
+                $published[] = $bus->publish($event)['id'];
+            }
+
+            return response()->json([
+                'status' => 'ok',
+                'data'   => ['events' => $published],
+            ]);
+        } catch (Throwable $e) {
+            Log::error('[Zoho] webhook failed', ['topic' => $topic, 'message' => $e->getMessage()]);
+            return response()->json([
+                'status'  => 'error',
+                'error'   => 'server',
+                'message' => 'Webhook could not be processed',
+            ], 500);
+        }
+    }
+
+    /** Webhooks configured and the stream not switched off (ZOHO_LIVE_UPDATES) */
+    public static function liveUpdatesEnabled(): bool
+    {
+        return (string) config('zoho.webhook_secret', '') !== '' && (bool) config('zoho.live_updates', true);
+    }
+
+    /**
+     * GET /api/zoho/events[?last_id=N]
+     * SSE: `ready` once, then `salesorder` / `stock` events with their bus id as `id:`.
+     * Reconnects resume from the Last-Event-ID header (or ?last_id); a `reset` event says
+     * events were missed since then (see ZohoEventBus::since()).
+     * 204 when live updates are off: no event can arrive, and EventSource stops on it
+     * instead of holding a worker.
+     */
+    public function stream(Request $request, ZohoEventBus $bus): StreamedResponse|Response
+    {
+        if (!self::liveUpdatesEnabled()) {
+            return response()->noContent();
+        }
+
+        $lastId = $request->header('Last-Event-ID') ?? $request->query('last_id');
+        $cursor = is_numeric($lastId) ? max(0, (int) $lastId) : $bus->latestId();
+
+        return response()->stream(function () use ($bus, $cursor) {
+            set_time_limit(self::STREAM_SECONDS + 10);
+
+            $send = function (string $chunk) {
+                echo $chunk;
+                if (ob_get_level() > 0) {
+                    ob_flush();
+                }
+                flush();
+            };
+
+            $send("retry: 3000\n" . $this->sseEvent('ready', ['id' => $cursor], $cursor));
+
+            $started   = time();
+            $heartbeat = time();
+            while (time() - $started < self::STREAM_SECONDS && !connection_aborted()) {
+                foreach ($bus->since($cursor) as $event) {
+                    $cursor = (int) $event['id'];
+                    $send($this->sseEvent((string) ($event['type'] ?? 'message'), $event, $cursor));
+                }
+
+                if (time() - $heartbeat >= self::STREAM_HEARTBEAT_SECONDS) {
+                    $send(": ping\n\n");
+                    $heartbeat = time();
+                }
+
+                sleep(self::STREAM_POLL_SECONDS);
+            }
+        }, 200, [
+            'Content-Type'      => 'text/event-stream',
+            'Cache-Control'     => 'no-cache, no-transform',
+            'Connection'        => 'keep-alive',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
+    // ------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------
+
+    /** JSON body, or Zoho's form-encoded `JSONString` */
+    private function payload(Request $request): ?array
+    {
+        if ($request->isJson()) {
+            $data = $request->json()->all();
+            return is_array($data) && $data !== [] ? $data : null;
+        }
+
+        $raw  = $request->input('JSONString');
+        $data = is_string($raw) ? json_decode($raw, true) : null;
+
+        return is_array($data) ? $data : null;
+    }
+
+    /**
+     * Webhook payload → bus events. The payload's top-level key says what it is
+     * (`salesorder`, `item`, `inventory_adjustment`, ...); a bare record needs the URL topic.
+     */
+    private function events(?string $topic, ?string $action, array $payload): array
+    {
+        $events = [];
+
+        $order = $payload['salesorder'] ?? ($topic === 'salesorder' ? $payload : null);
+        if (is_array($order) && !empty($order['salesorder_id'])) {
+            $itemIds  = $this->lineItemIds($order);
+            $events[] = [
+                'type'          => 'salesorder',
+                'action'        => $action ?? $this->salesOrderAction($order),
+                'salesorder_id' => (string) $order['salesorder_id'],
+                'patch'         => Arr::only($order, self::SO_PATCH_FIELDS),
+                'item_ids'      => $itemIds,
+            ];
+            // Committed / available stock moves with the order
+            if ($itemIds) {
+                $events[] = ['type' => 'stock', 'source' => 'salesorder', 'item_ids' => $itemIds];
+            }
+            return $events;
+        }
+
+        $item = $payload['item'] ?? ($topic === 'item' ? $payload : null);
+        if (is_array($item) && !empty($item['item_id'])) {
+            return [[
+                'type'     => 'stock',
+                'source'   => 'item',
+                'item_ids' => [(string) $item['item_id']],
+                'action'   => $action ?? 'updated',
+            ]];
+        }
+
+        foreach (self::STOCK_SOURCES as $source) {
+            $record = $payload[$source] ?? ($topic === $source ? $payload : null);
+            if (is_array($record) && ($itemIds = $this->lineItemIds($record))) {
+                return [['type' => 'stock', 'source' => $source, 'item_ids' => $itemIds]];
+            }
+        }
+
+        Log::info('[Zoho] webhook ignored (unknown payload)', [
+            'topic' => $topic,
+            'keys'  => array_slice(array_keys($payload), 0, 10),
+        ]);
+
+        return [];
+    }
+
+    /** Distinct item ids of a record's line_items */
+    private function lineItemIds(array $record): array
+    {
+        $ids = [];
+        foreach ((array) ($record['line_items'] ?? []) as $line) {
+            if (is_array($line) && !empty($line['item_id'])) {
+                $ids[] = (string) $line['item_id'];
+            }
+        }
+
+        return array_values(array_unique($ids));
+    }
+
+    /** Without ?event=: a record created and never modified since is "created" */
+    private function salesOrderAction(array $order): string
+    {
+        $created  = $order['created_time'] ?? null;
+        $modified = $order['last_modified_time'] ?? null;
+
+        return $created && $modified && $created === $modified ? 'created' : 'updated';
+    }
+
+    /** storage/app/private/zoho-webhooks/{time}-{topic}[-{action}]-{rand}.json, in replay format */
+    private function record(?string $topic, ?string $action, array $payload): void
+    {
+        $name = implode('-', array_filter([
+            now()->format('Ymd-His'),
+            $topic ?? 'auto',
+            $action,
+            Str::lower(Str::random(6)),
+        ]));
+
+        Storage::disk('local')->put('zoho-webhooks/' . $name . '.json', json_encode([
+            'topic'   => $topic,
+            'event'   => $action,
+            'payload' => $payload,
+        ], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+    }
+
+    private function sseEvent(string $type, array $data, int $id): string
+    {
+        return 'id: ' . $id . "\n"
+            . 'event: ' . $type . "\n"
+            . 'data: ' . json_encode($data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n\n";
+    }
+}
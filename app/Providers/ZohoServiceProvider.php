@@ -3,6 +3,7 @@
 namespace App\Providers;
 
 use App\Services\Zoho\ZohoAuthService;
+use App\Services\Zoho\ZohoEventBus;
 use App\Services\Zoho\ZohoInventoryService;
 use Illuminate\Contracts\Support\DeferrableProvider;
 use Illuminate\Support\ServiceProvider;
@@ -36,6 +37,17 @@ public function register(): void
                 'timeout_ms'         => (int)    ($cfg['timeout_ms'] ?? 20000),
                 'retry_policy'       => (string) ($cfg['retry_policy'] ?? 'standard'),
                 'log_level'          => (string) ($cfg['log_level'] ?? 'info'),
+                'dashboard_ttl'      => (int)    ($cfg['dashboard_ttl'] ?? 300),
+                'so_key_field'       => (string) ($cfg['so_key_field'] ?? ''),
+            ]);
+        });
+
+        $this->app->singleton(ZohoEventBus::class, function ($app) {
+            $cfg = config('zoho');
+
+            return new ZohoEventBus([
+                'organization_id' => (string) ($cfg['organization_id'] ?? ''),
+                'events_ttl'      => (int)    ($cfg['events_ttl'] ?? 600),
             ]);
         });
     }
@@ -48,6 +60,7 @@ public function provides(): array
         return [
             ZohoAuthService::class,
             ZohoInventoryService::class,
+            ZohoEventBus::class,
         ];
     }
 
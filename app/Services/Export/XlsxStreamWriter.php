@@ -0,0 +1,230 @@
+<?php
+
+namespace App\Services\Export;
+
+use RuntimeException;
+
+/**
+ * XlsxStreamWriter
+ *
+ * Writes a single-sheet XLSX workbook straight to an output callback, row by row,
+ * so large exports never sit in memory. No spreadsheet library needed:
+ *  - the package is a ZIP written as a stream (deflate + data descriptors, the
+ *    layout zip streamers use), with the central directory at the end;
+ *  - cells are inline strings or numbers, the header row is bold.
+ *
+ * Usage:
+ *   $xlsx = new XlsxStreamWriter(fn (string $bytes) => print($bytes));
+ *   $xlsx->start(['Number', 'Total'], 'Sales Orders');
+ *   $xlsx->row(['SO-00001', 12.5]);
+ *   $xlsx->finish();
+ */
+class XlsxStreamWriter
+{
+    /** @var callable(string): void */
+    private $output;
+
+    /** Bytes written so far (local header offsets for the central directory) */
+    private int $offset = 0;
+
+    /** Finished entries: name, crc, sizes, offset */
+    private array $entries = [];
+
+    /** Entry being written: name, offset, deflate context, crc context, sizes */
+    private ?array $current = null;
+
+    private int $rowNumber = 0;
+
+    private int $dosTime;
+    private int $dosDate;
+
+    public function __construct(callable $output)
+    {
+        $this->output = $output;
+
+        $now           = getdate();
+        $this->dosTime = ($now['hours'] << 11) | ($now['minutes'] << 5) | intdiv($now['seconds'], 2);
+        $this->dosDate = (max(0, $now['year'] - 1980) << 9) | ($now['mon'] << 5) | $now['mday'];
+    }
+
+    /**
+     * Package parts + the sheet header; `headers` becomes the (bold) first row.
+     */
+    public function start(array $headers, string $sheetName = 'Sheet1'): void
+    {
+        $sheetName = $this->escape(mb_substr(str_replace(['\\', '/', '?', '*', '[', ']', ':'], ' ', $sheetName), 0, 31));
+
+        $this->file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            . '<Default Extension="xml" ContentType="application/xml"/>'
+            . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            . '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            . '</Types>');
+
+        $this->file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            . '</Relationships>');
+
+        $this->file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            . '<sheets><sheet name="' . $sheetName . '" sheetId="1" r:id="rId1"/></sheets>'
+            . '</workbook>');
+
+        $this->file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            . '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            . '</Relationships>');
+
+        // Style 1 = bold (header row)
+        $this->file('xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            . '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            . '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            . '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            . '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+            . '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            . '</styleSheet>');
+
+        $this->open('xl/worksheets/sheet1.xml');
+        $this->write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            . '<sheetData>');
+
+        $this->row($headers, true);
+    }
+
+    /**
+     * One row; ints / floats become numbers, everything else an inline string.
+     */
+    public function row(array $cells, bool $bold = false): void
+    {
+        if ($this->current === null) {
+            throw new RuntimeException('XlsxStreamWriter: start() must be called before row().');
+        }
+
+        $r   = ++$this->rowNumber;
+        $xml = '<row r="' . $r . '">';
+        foreach (array_values($cells) as $i => $value) {
+            $ref   = $this->column($i) . $r;
+            $style = $bold ? ' s="1"' : '';
+            if (is_int($value) || is_float($value)) {
+                $xml .= '<c r="' . $ref . '"' . $style . '><v>' . $value . '</v></c>';
+            } elseif ($value !== null && $value !== '') {
+                $xml .= '<c r="' . $ref . '"' . $style . ' t="inlineStr"><is><t xml:space="preserve">'
+                    . $this->escape((string) $value) . '</t></is></c>';
+            }
+        }
+        $this->write($xml . '</row>');
+    }
+
+    /**
+     * Close the sheet and write the ZIP central directory.
+     */
+    public function finish(): void
+    {
+        $this->write('</sheetData></worksheet>');
+        $this->close();
+
+        $start = $this->offset;
+        foreach ($this->entries as $e) {
+            $this->emit(pack('VvvvvvvVVVvvvvvVV', 0x02014b50, 20, 20, 0x0808, 8, $this->dosTime, $this->dosDate,
+                $e['crc'], $e['compressed'], $e['size'], strlen($e['name']), 0, 0, 0, 0, 0, $e['offset']) . $e['name']);
+        }
+        $size = $this->offset - $start;
+
+        $this->emit(pack('VvvvvVVv', 0x06054b50, 0, 0, count($this->entries), count($this->entries), $size, $start, 0));
+    }
+
+    // ------------------------------------------------------------------
+    // ZIP stream
+    // ------------------------------------------------------------------
+
+    /** Small entry written in one go */
+    private function file(string $name, string $contents): void
+    {
+        $this->open($name);
+        $this->write($contents);
+        $this->close();
+    }
+
+    /** Local header with the "sizes follow in a data descriptor" flag (bit 3) + UTF-8 names (bit 11) */
+    private function open(string $name): void
+    {
+        $this->current = [
+            'name'       => $name,
+            'offset'     => $this->offset,
+            'deflate'    => deflate_init(ZLIB_ENCODING_RAW, ['level' => 6]),
+            'crc'        => hash_init('crc32b'),
+            'size'       => 0,
+            'compressed' => 0,
+        ];
+
+        $this->emit(pack('VvvvvvVVVvv', 0x04034b50, 20, 0x0808, 8, $this->dosTime, $this->dosDate,
+            0, 0, 0, strlen($name), 0) . $name);
+    }
+
+    private function write(string $data): void
+    {
+        hash_update($this->current['crc'], $data);
+        $this->current['size'] += strlen($data);
+
+        $chunk = deflate_add($this->current['deflate'], $data, ZLIB_NO_FLUSH);
+        $this->current['compressed'] += strlen($chunk);
+        $this->emit($chunk);
+    }
+
+    private function close(): void
+    {
+        $chunk = deflate_add($this->current['deflate'], '', ZLIB_FINISH);
+        $this->current['compressed'] += strlen($chunk);
+        $this->emit($chunk);
+
+        $crc = unpack('N', hash_final($this->current['crc'], true))[1];
+        $this->emit(pack('VVVV', 0x08074b50, $crc, $this->current['compressed'], $this->current['size']));
+
+        $this->entries[] = [
+            'name'       => $this->current['name'],
+            'offset'     => $this->current['offset'],
+            'crc'        => $crc,
+            'compressed' => $this->current['compressed'],
+            'size'       => $this->current['size'],
+        ];
+        $this->current = null;
+    }
+
+    private function emit(string $bytes): void
+    {
+        if ($bytes === '') {
+            return;
+        }
+        $this->offset += strlen($bytes);
+        ($this->output)($bytes);
+    }
+
+    // ------------------------------------------------------------------
+    // Sheet helpers
+    // ------------------------------------------------------------------
+
+    /** 0 → A, 25 → Z, 26 → AA */
+    private function column(int $index): string
+    {
+        $name = '';
+        for ($n = $index + 1; $n > 0; $n = intdiv($n - 1, 26)) {
+            $name = chr(65 + ($n - 1) % 26) . $name;
+        }
+        return $name;
+    }
+
+    /** XML text without the control characters XML 1.0 forbids */
+    private function escape(string $text): string
+    {
+        $text = preg_replace('/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u', '', $text) ?? '';
+        return htmlspecialchars($text, ENT_XML1 | ENT_QUOTES, 'UTF-8');
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+
+namespace App\Services\Zoho;
+
+use RuntimeException;
+use Throwable;
+
+/**
+ * ZohoApiException
+ *
+ * Thrown by the Zoho services when Zoho (API or OAuth) rejects a call or
+ * cannot be reached. Carries what the controller needs to answer the SPA
+ * with a typed error instead of a bare 422:
+ *  - status:     HTTP status returned by Zoho (0 when there was no response)
+ *  - zohoCode:   Zoho's own `code` from the response body, when present
+ *  - retryAfter: seconds from Zoho's Retry-After header (rate limits)
+ */
+class ZohoApiException extends RuntimeException
+{
+    /** Zoho `code` values meaning "too many requests" */
+    private const RATE_LIMIT_CODES = [43, 44, 1070];
+
+    /** Zoho `code` values meaning "token invalid / not authorized" */
+    private const AUTH_CODES = [14, 57];
+
+    public function __construct(
+        string $message,
+        public readonly int $status = 0,
+        public readonly ?int $zohoCode = null,
+        public readonly ?int $retryAfter = null,
+        ?Throwable $previous = null,
+    ) {
+        parent::__construct($message, 0, $previous);
+    }
+
+    /**
+     * Error type as understood by the SPA (see api/ApiError.js):
+     * rate_limit | auth | network | zoho
+     */
+    public function type(): string
+    {
+        if ($this->status === 429 || in_array($this->zohoCode, self::RATE_LIMIT_CODES, true)) {
+            return 'rate_limit';
+        }
+        if (in_array($this->status, [401, 403], true) || in_array($this->zohoCode, self::AUTH_CODES, true)) {
+            return 'auth';
+        }
+        if ($this->status === 0 || $this->status >= 500) {
+            return 'network';
+        }
+
+        return 'zoho';
+    }
+}
@@ -107,7 +107,7 @@ public function refreshAccessToken(): void
         // Try up to 3 times with backoff if rate limited (429/5xx)
         $response = Http::asForm()
             ->timeout(max(1, $timeoutMs / 1000))
-            ->retry(3, 300, fn($e) => in_array(optional($e->response())->status(), [429, 500, 502, 503, 504], true))
+            ->retry(3, 300, fn($e) => in_array(optional($e->response())->status(), [429, 500, 502, 503, 504], true), throw: false)
             ->post($url, [
                 'refresh_token' => $this->refreshToken,
                 'client_id'     => $this->clientId,
@@ -119,9 +119,9 @@ public function refreshAccessToken(): void
             $bodySample = substr($response->body() ?? '', 0, 400);
             // Handle rate limit error more clearly
             if (str_contains($bodySample, 'too many requests') || $response->status() === 429) {
-                throw new RuntimeException('ZohoAuthService: rate limit on token refresh. Please retry in a few minutes.');
+                throw new ZohoApiException('ZohoAuthService: rate limit on token refresh. Please retry in a few minutes.', 429);
             }
-            throw new RuntimeException('ZohoAuthService: refresh failed with HTTP ' . $response->status() . ' body=' . $bodySample);
+            throw new ZohoApiException('ZohoAuthService: refresh failed with HTTP ' . $response->status() . ' body=' . $bodySample, 401);
         }
 
         $json = $response->json();
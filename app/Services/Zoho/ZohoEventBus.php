@@ -0,0 +1,94 @@
+<?php
+
+namespace App\Services\Zoho;
+
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * ZohoEventBus
+ *
+ * Hands live events (from Zoho webhooks) to the SSE streams of open SPA tabs.
+ * Webhook requests and SSE requests run in different PHP workers, so the
+ * events go through the cache:
+ *  - zoho.events.{org}.seq   last event id (never expires)
+ *  - zoho.events.{org}.{id}  the event itself (kept for `ttl` seconds)
+ * Publishing holds a cache lock and stores the event before moving `seq`,
+ * so a reader that sees `seq` = N can read every event up to N.
+ * Streams poll since($cursor); ids are the SSE `id:` (Last-Event-ID on reconnect).
+ * A cursor whose events can no longer all be returned gets a `reset` event instead.
+ */
+class ZohoEventBus
+{
+    /** Events returned per since() call */
+    private const BATCH = 50;
+
+    protected string $organizationId;
+    protected int $ttl;
+
+    public function __construct(array $config)
+    {
+        $this->organizationId = (string) ($config['organization_id'] ?? '');
+        $this->ttl            = max(60, (int) ($config['events_ttl'] ?? 600));
+    }
+
+    /**
+     * Store an event and return it with its `id` and `at` (ISO 8601).
+     */
+    public function publish(array $event): array
+    {
+        return Cache::lock($this->key('lock'), 5)->block(5, function () use ($event) {
+            $id    = $this->latestId() + 1;
+            $event = ['id' => $id, 'at' => now()->toIso8601String()] + $event;
+
+            Cache::put($this->key((string) $id), $event, $this->ttl);
+            Cache::forever($this->key('seq'), $id);
+
+            return $event;
+        });
+    }
+
+    /** Id of the newest event (0 before the first one) */
+    public function latestId(): int
+    {
+        return (int) Cache::get($this->key('seq'), 0);
+    }
+
+    /**
+     * Events after `afterId`, oldest first. When some of them cannot be returned — more
+     * than BATCH behind, an event expired, or a cursor past `seq` (cache cleared) — a
+     * single `reset` event with the latest id comes instead: the reader must reload
+     * what it shows rather than patch it.
+     */
+    public function since(int $afterId): array
+    {
+        $latest = $this->latestId();
+        if ($latest === $afterId) {
+            return [];
+        }
+        if ($latest < $afterId || $latest - $afterId > self::BATCH) {
+            return [$this->reset($latest)];
+        }
+
+        $events = [];
+        for ($id = $afterId + 1; $id <= $latest; $id++) {
+            $event = Cache::get($this->key((string) $id));
+            if (!is_array($event)) {
+                return [$this->reset($latest)];
+            }
+            $events[] = $event;
+        }
+
+        return $events;
+    }
+
+    /** "Events were missed up to `id`" */
+    protected function reset(int $id): array
+    {
+        return ['id' => $id, 'at' => now()->toIso8601String(), 'type' => 'reset'];
+    }
+
+    protected function key(string $suffix): string
+    {
+        return 'zoho.events.' . $this->organizationId . '.' . $suffix;
+    }
+}
@@ -2,9 +2,14 @@
 
 namespace App\Services\Zoho;
 
+use Illuminate\Contracts\Cache\LockTimeoutException;
+use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Http;
 use Illuminate\Support\Facades\Log;
+use Illuminate\Http\Client\ConnectionException;
 use Illuminate\Http\Client\PendingRequest;
+use Illuminate\Http\Client\RequestException;
+use Illuminate\Http\Client\Response;
 use RuntimeException;
 
 /**
@@ -16,12 +21,33 @@
  */
 class ZohoInventoryService
 {
+    /** Address keys Zoho accepts on contacts and Sales Orders */
+    public const ADDRESS_FIELDS = ['attention', 'address', 'street2', 'city', 'state', 'zip', 'country', 'phone'];
+
+    /** Zoho payment modes accepted by recordInvoicePayment() */
+    public const PAYMENT_MODES = ['cash', 'check', 'banktransfer', 'creditcard', 'bankremittance', 'others'];
+
+    /** Dashboard summaries read at most this many list pages (200 rows each) */
+    private const SUMMARY_MAX_PAGES = 10;
+
+    /** Recent orders of the customer searched for the submit key (see findCreatedSalesOrder) */
+    private const RECOVERY_SCAN = 25;
+
+    /** Newest orders of a range whose lines feed the top-items ranking (a sample: one GET per order) */
+    private const SUMMARY_LINE_ORDERS = 30;
+
+    /** A summary rebuild holds its lock this long; others wait up to SUMMARY_LOCK_WAIT for it */
+    private const SUMMARY_LOCK_SECONDS = 120;
+    private const SUMMARY_LOCK_WAIT = 60;
+
     protected ZohoAuthService $auth;
     protected string $inventoryBaseUrl;
     protected string $organizationId;
     protected int $timeoutMs;
     protected string $retryPolicy;
     protected string $logLevel;
+    protected int $dashboardTtl;
+    protected string $soKeyField;
 
     public function __construct(ZohoAuthService $auth, array $config)
     {
@@ -31,6 +57,8 @@ public function __construct(ZohoAuthService $auth, array $config)
         $this->timeoutMs        = (int)    ($config['timeout_ms'] ?? 20000);
         $this->retryPolicy      = (string) ($config['retry_policy'] ?? 'standard');
         $this->logLevel         = (string) ($config['log_level'] ?? 'info');
+        $this->dashboardTtl     = max(0, (int) ($config['dashboard_ttl'] ?? 300));
+        $this->soKeyField       = trim((string) ($config['so_key_field'] ?? ''));
     }
 
     // ------------------------------------------------------------------
@@ -39,9 +67,10 @@ public function __construct(ZohoAuthService $auth, array $config)
 
     /**
      * Build a configured HTTP client for Zoho Inventory.
-     * Adds conditional retry/backoff based on $this->retryPolicy.
+     * Adds conditional retry/backoff based on $this->retryPolicy; `retry: false` for
+     * POSTs that must not run twice (a 5xx does not mean Zoho didn't create the record).
      */
-    protected function http(): PendingRequest
+    protected function http(bool $retry = true): PendingRequest
     {
         $token = $this->auth->getAccessToken();
 
@@ -56,7 +85,7 @@ protected function http(): PendingRequest
             ->withQueryParameters(['organization_id' => $this->organizationId]);
 
         // Add retry/backoff depending on policy
-        [$times, $sleepMs] = $this->retryConfig();
+        [$times, $sleepMs] = $retry ? $this->retryConfig() : [0, 0];
         if ($times > 0) {
             // Retry on 429 and typical transient 5xx.
             $shouldRetry = function ($exception, $request, $response) {
@@ -93,41 +122,69 @@ protected function retryConfig(): array
         }
     }
 
+    /**
+     * One Zoho call. Options: query, json, retry (default true; false for POSTs that
+     * create something, see http()).
+     */
     protected function request(string $method, string $path, array $options = []): array
     {
         $url   = '/' . ltrim($path, '/');
         $query = (array)($options['query'] ?? []);
         $json  = (array)($options['json']  ?? []);
 
-        $client = $this->http();
+        $client = $this->http((bool) ($options['retry'] ?? true));
 
         $this->logOutbound('REQ', $method, $url, $query, $json);
 
-        $response = match (strtoupper($method)) {
-            'GET'    => $client->get($url, $query),
-            'POST'   => $client->withQueryParameters($query)->post($url, $json),
-            'PUT'    => $client->withQueryParameters($query)->put($url, $json),
-            'DELETE' => $client->withQueryParameters($query)->delete($url, $json),
-            default  => throw new RuntimeException('Unsupported HTTP method: ' . $method),
-        };
+        try {
+            $response = match (strtoupper($method)) {
+                'GET'    => $client->get($url, $query),
+                'POST'   => $client->withQueryParameters($query)->post($url, $json),
+                'PUT'    => $client->withQueryParameters($query)->put($url, $json),
+                'DELETE' => $client->withQueryParameters($query)->delete($url, $json),
+                default  => throw new RuntimeException('Unsupported HTTP method: ' . $method),
+            };
+        } catch (RequestException $e) {
+            // Retries exhausted (429 / 5xx): the last response is on the exception
+            $response = $e->response;
+        } catch (ConnectionException $e) {
+            throw new ZohoApiException('Zoho API unreachable: ' . $e->getMessage(), 0, null, null, $e);
+        }
 
         $this->logInbound('RESP', $method, $url, $response->status(), $response->json(), $response->body());
 
         // IMPORTANT: treat any 2xx as success
         if (!$response->successful()) {
-            $body = $response->json();
-            $msg  = is_array($body) ? ($body['message'] ?? $response->body()) : $response->body();
-            throw new RuntimeException('Zoho API error: ' . $msg);
+            throw $this->apiException($response);
         }
 
         $data = $response->json();
         if (isset($data['code']) && $data['code'] !== 0) {
-            throw new RuntimeException('Zoho API error: ' . ($data['message'] ?? 'Unknown'));
+            throw $this->apiException($response);
         }
 
         return $data;
     }
 
+    /**
+     * Typed error for a failed Zoho response (HTTP status, Zoho code, Retry-After).
+     */
+    protected function apiException(Response $response): ZohoApiException
+    {
+        $body = $response->json();
+        $msg  = is_array($body) ? ($body['message'] ?? $response->body()) : $response->body();
+        $code = is_array($body) && isset($body['code']) ? (int) $body['code'] : null;
+
+        $retryAfter = $response->header('Retry-After');
+
+        return new ZohoApiException(
+            'Zoho API error: ' . ($msg ?: 'Unknown'),
+            $response->status(),
+            $code,
+            is_numeric($retryAfter) ? (int) $retryAfter : null
+        );
+    }
+
     protected function logOutbound(string $tag, string $method, string $url, array $query = [], array $json = []): void
     {
         $payloadPreview = $this->truncate(json_encode($json, JSON_UNESCAPED_UNICODE), 2048);
@@ -416,11 +473,160 @@ private function enrichContactEmailAndPrimary(string $contactId, string $name, s
     // ------------------------------------------------------------------
 
     public function itemsSearch(string $q, int $page = 1, int $perPage = 50): array
+    {
+        return $this->itemsSearchPage($q, $page, $perPage)['items'];
+    }
+
+    /**
+     * One page of an item search with Zoho's page_context (has_more_page),
+     * for the paged item picker.
+     */
+    public function itemsSearchPage(string $q, int $page = 1, int $perPage = 25): array
     {
         $data = $this->request('GET', '/items', [
             'query' => ['search_text' => $q, 'page' => $page, 'per_page' => $perPage],
         ]);
-        return $data['items'] ?? [];
+
+        return [
+            'items'        => $data['items'] ?? [],
+            'page_context' => $data['page_context'] ?? ['page' => $page, 'per_page' => $perPage, 'has_more_page' => false],
+        ];
+    }
+
+    /**
+     * One page of the item catalog (GET /items) with Zoho list params
+     * (page, per_page, sort_column, sort_order, search_text, filter_by, category_id).
+     */
+    public function listItems(array $params = []): array
+    {
+        $data = $this->request('GET', '/items', ['query' => $params]);
+
+        return [
+            'items'        => $data['items'] ?? [],
+            'page_context' => $data['page_context'] ?? [
+                'page' => $params['page'] ?? 1, 'per_page' => $params['per_page'] ?? 25, 'has_more_page' => false,
+            ],
+        ];
+    }
+
+    /**
+     * Item categories (GET /categories), cached for 10 minutes.
+     * Empty when the organization does not use categories.
+     */
+    public function listItemCategories(): array
+    {
+        return Cache::remember('zoho.categories.' . $this->organizationId, 600, function () {
+            $data = $this->request('GET', '/categories');
+            return $data['categories'] ?? [];
+        });
+    }
+
+    /**
+     * Item image (GET /items/{id}/image). Zoho answers with the binary image,
+     * so this bypasses request()'s JSON handling.
+     * Returns ['body' => bytes, 'content_type' => mime] or null when the item has none.
+     */
+    public function itemImage(string $itemId): ?array
+    {
+        $url = '/items/' . $itemId . '/image';
+        $this->logOutbound('REQ', 'GET', $url, [], []);
+
+        try {
+            $response = $this->http()->withHeaders(['Accept' => 'image/*'])->get($url);
+        } catch (RequestException $e) {
+            $response = $e->response;
+        } catch (ConnectionException $e) {
+            throw new ZohoApiException('Zoho API unreachable: ' . $e->getMessage(), 0, null, null, $e);
+        }
+
+        $type = (string) $response->header('Content-Type');
+        $this->logInbound('RESP', 'GET', $url, $response->status(), null, "[{$type}, " . strlen($response->body()) . ' bytes]');
+
+        if ($response->status() === 404) {
+            return null;
+        }
+        if (!$response->successful()) {
+            throw $this->apiException($response);
+        }
+        // No image: Zoho replies with a JSON message instead
+        if (!str_starts_with($type, 'image/')) {
+            return null;
+        }
+
+        return ['body' => $response->body(), 'content_type' => $type];
+    }
+
+    /**
+     * Exact item for a scanned code: SKU, UPC, EAN, ISBN or part number
+     * (case-insensitive). Zoho's search_text narrows the list; the match
+     * itself is checked here so a partial hit never adds the wrong item.
+     * Returns [item, matched field] or null.
+     */
+    public function findItemByCode(string $code): ?array
+    {
+        $needle = mb_strtolower(trim($code));
+        if ($needle === '') {
+            return null;
+        }
+
+        foreach ($this->itemsSearch($code, 1, 200) as $item) {
+            foreach (['sku', 'upc', 'ean', 'isbn', 'part_number'] as $field) {
+                $value = mb_strtolower(trim((string) ($item[$field] ?? '')));
+                if ($value !== '' && $value === $needle) {
+                    return [$item, $field];
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // ------------------------------------------------------------------
+    // Taxes
+    // ------------------------------------------------------------------
+
+    /**
+     * Organization taxes (GET /settings/taxes), cached for 10 minutes —
+     * they rarely change and feed every tax picker in the SPA.
+     */
+    public function listTaxes(): array
+    {
+        return Cache::remember('zoho.taxes.' . $this->organizationId, 600, function () {
+            $data = $this->request('GET', '/settings/taxes');
+            return $data['taxes'] ?? [];
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Warehouses
+    // ------------------------------------------------------------------
+
+    /**
+     * Organization warehouses (GET /settings/warehouses), cached for 10 minutes.
+     * Empty when multi-warehouse is not enabled for the organization.
+     */
+    public function listWarehouses(): array
+    {
+        return Cache::remember('zoho.warehouses.' . $this->organizationId, 600, function () {
+            $data = $this->request('GET', '/settings/warehouses');
+            return $data['warehouses'] ?? [];
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Currencies
+    // ------------------------------------------------------------------
+
+    /**
+     * Organization currencies with their current exchange rate against the
+     * base currency (GET /settings/currencies), cached for 10 minutes.
+     */
+    public function listCurrencies(): array
+    {
+        return Cache::remember('zoho.currencies.' . $this->organizationId, 600, function () {
+            $data = $this->request('GET', '/settings/currencies');
+            return $data['currencies'] ?? [];
+        });
     }
 
     // ------------------------------------------------------------------
@@ -437,12 +643,20 @@ public function healthcheck(): array
     // Sales Orders
     // ------------------------------------------------------------------
 
-    public function createSalesOrderInZoho(array $body): array
+    /**
+     * POST a Sales Order (no automatic retry). `marker` identifies this order among the
+     * customer's orders if Zoho creates it without a 2xx (see findCreatedSalesOrder()).
+     * `hooks` let the caller record progress, so an idempotent submit knows whether the
+     * order may already exist:
+     *  - sending(array $body, array $marker): right before the POST
+     *  - created(array $so):                  Zoho has the order (called before the customer check)
+     * A 4xx rejection throws a ZohoApiException of type `zoho`.
+     */
+    public function createSalesOrderInZoho(array $body, array $marker, array $hooks = []): array
     {
         $sentCustomer = (string) ($body['customer_id'] ?? '');
-        $reference    = (string) ($body['reference_number'] ?? '');
-        if ($sentCustomer === '' || $reference === '') {
-            throw new RuntimeException('Internal error: customer_id/reference_number missing before SO creation.');
+        if ($sentCustomer === '') {
+            throw new RuntimeException('Internal error: customer_id missing before SO creation.');
         }
 
         // sanity: verify contact exists in this org
@@ -450,8 +664,15 @@ public function createSalesOrderInZoho(array $body): array
         $this->request('GET', '/contacts/' . $sentCustomer);
 
         // post
+        if (isset($hooks['sending'])) {
+            ($hooks['sending'])($body, $marker);
+        }
         $this->logOutbound('REQ', 'POST', '/salesorders', [], $body);
-        $post = $this->http()->post('/salesorders', $body);
+        try {
+            $post = $this->http(false)->post('/salesorders', $body);
+        } catch (ConnectionException $e) {
+            throw new ZohoApiException('Zoho API unreachable: ' . $e->getMessage(), 0, null, null, $e);
+        }
         $this->logInbound('RESP', 'POST', '/salesorders', $post->status(), $post->json(), $post->body());
 
         $so = null;
@@ -464,22 +685,25 @@ public function createSalesOrderInZoho(array $body): array
         } else {
             $msg = (string) (($post->json()['message'] ?? '') ?: '');
             if (stripos($msg, 'Sales Order has been created') !== false) {
-                $found = $this->request('GET', '/salesorders', [
-                    'query' => ['reference_number' => $reference, 'page' => 1, 'per_page' => 1],
-                ]);
-                $so = ($found['salesorders'] ?? [])[0] ?? null;
+                $so = $this->findCreatedSalesOrder($marker);
                 if (!$so) {
-                    throw new RuntimeException('Zoho HTTP error: SO was created but cannot be found by reference_number.');
+                    throw new RuntimeException(
+                        'Zoho reports the Sales Order as created but it cannot be identified; check Zoho before submitting again.'
+                    );
                 }
-                Log::warning('[Zoho] createSO: non-2xx but created; found by reference', [
-                    'reference'     => $reference,
+                Log::warning('[Zoho] createSO: non-2xx but created; found by marker', [
+                    'marker'        => $marker,
                     'salesorder_id' => $so['salesorder_id'] ?? null,
                 ]);
             } else {
-                throw new RuntimeException('Zoho HTTP error: ' . ($msg ?: $post->body()));
+                throw $this->apiException($post);
             }
         }
 
+        if (isset($hooks['created'])) {
+            ($hooks['created'])($so);
+        }
+
         // validate binding
         $gotCustomer = isset($so['customer_id']) ? (string)$so['customer_id'] : '';
         Log::info('[Zoho] createSO: customer check', [
@@ -504,39 +728,58 @@ public function createSalesOrderInZoho(array $body): array
         return $so;
     }
 
-    public function createSalesOrder(array $payload): array
+    /**
+     * Create a Sales Order from the SPA payload (customer, lines, pricing, delivery, addresses).
+     * `hooks`: see createSalesOrderInZoho(). `submitKey` (the Idempotency-Key) is written to
+     * the ZOHOINV_SO_KEY_FIELD custom field when one is configured.
+     */
+    public function createSalesOrder(array $payload, array $hooks = [], ?string $submitKey = null): array
     {
         $customer  = $payload['customer'] ?? [];
-        $contactId = $this->ensureCustomer($customer);
-
-        $lines = [];
-        foreach (($payload['items'] ?? []) as $i) {
-            $itemId = $i['item_id'] ?? $i['zoho_item_id'] ?? null;
-            if (!$itemId) {
-                throw new RuntimeException('Each line must contain item_id.');
-            }
-            $lines[] = [
-                'item_id'        => (string) $itemId,
-                'quantity'       => isset($i['qty'])  ? (float) $i['qty']  : 1.0,
-                'rate'           => isset($i['rate']) ? (float) $i['rate'] : 0.0,
-                'tax_percentage' => isset($i['tax'])  ? (float) $i['tax']  : 0.0,
-            ];
-        }
-        if (!$lines) {
-            throw new RuntimeException('Sales Order must contain at least one line item.');
+        // A contact picked / created in the SPA is used as-is; otherwise match by email / name
+        $contactId = trim((string) ($customer['contact_id'] ?? ''));
+        if ($contactId === '') {
+            $contactId = $this->ensureCustomer($customer);
         }
 
-        $reference = sprintf('SO-%s-%s', date('YmdHis'), substr(bin2hex(random_bytes(8)), 0, 8));
+        $pricing  = $this->buildPricingFields($payload);
+        $delivery = $this->buildDeliveryFields($payload);
+        $lines    = $this->buildLineItems($payload['items'] ?? [], $pricing['discount_type']);
+
+        // The customer's own reference when given (not unique: never used to find the
+        // order again); otherwise a generated, unique one that can be
+        $customerReference = trim((string) ($payload['reference_number'] ?? ''));
+        $reference         = $customerReference
+            ?: sprintf('SO-%s-%s', date('YmdHis'), substr(bin2hex(random_bytes(8)), 0, 8));
 
         $body = [
             'customer_id'      => (string) $contactId,
             'reference_number' => $reference,
             'date'             => now()->format('Y-m-d'),
             'line_items'       => $lines,
-            'notes'            => 'Created via Inventory SPA',
+        ] + $delivery + $pricing;
+        if (($body['notes'] ?? '') === '') {
+            $body['notes'] = 'Created via Inventory SPA';
+        }
+
+        // Unique internal key, kept apart from the customer's reference
+        $key = null;
+        if ($this->soKeyField !== '') {
+            $key = $submitKey ?: bin2hex(random_bytes(16));
+            $body['custom_fields'] = [
+                ['api_name' => $this->soKeyField, 'value' => $key],
+            ];
+        }
+
+        $marker = [
+            'customer_id' => (string) $contactId,
+            'reference'   => $customerReference === '' ? $reference : null,
+            'key'         => $key,
         ];
 
-        $so = $this->createSalesOrderInZoho($body);
+        $so = $this->createSalesOrderInZoho($body, $marker, $hooks);
+
+        $warnings = $this->applySalesOrderAddresses((string) ($so['salesorder_id'] ?? ''), $customer);
 
         return [
             'ok'                => true,
@@ -544,152 +787,672 @@ public function createSalesOrder(array $payload): array
             'salesorder_number' => $so['salesorder_number'] ?? null,
             'customer_id'       => $so['customer_id']       ?? null,
             'reference_number'  => $so['reference_number']  ?? $reference,
+            'warnings'          => $warnings,
             'message'           => 'Sales Order successfully created in Zoho Inventory.',
         ];
     }
 
-    // ------------------------------------------------------------------
-    // Sales Orders: listing & single fetch
-    // ------------------------------------------------------------------
-
-    public function listSalesOrders(array $params = []): array
+    /**
+     * Find an order Zoho created although the POST got no 2xx (or no answer).
+     * `marker` (from createSalesOrder()): customer_id plus one unique handle —
+     *  - key:       value of the ZOHOINV_SO_KEY_FIELD custom field, searched among the
+     *               customer's newest RECOVERY_SCAN orders;
+     *  - reference: a generated (unique) reference_number.
+     * Null when not found. Throws when the order cannot be identified (only a
+     * customer reference, which other orders may share): guessing could return
+     * someone else's order.
+     */
+    public function findCreatedSalesOrder(array $marker): ?array
     {
-        $data = $this->request('GET', '/salesorders', ['query' => $params]);
-        return $data ?? [];
-    }
+        $customerId = (string) ($marker['customer_id'] ?? '');
+        $key        = (string) ($marker['key'] ?? '');
+        $reference  = (string) ($marker['reference'] ?? '');
+
+        if ($key !== '' && $this->soKeyField !== '') {
+            $found = $this->request('GET', '/salesorders', [
+                'query' => [
+                    'customer_id' => $customerId,
+                    'sort_column' => 'created_time',
+                    'sort_order'  => 'D',
+                    'page'        => 1,
+                    'per_page'    => self::RECOVERY_SCAN,
+                ],
+            ]);
+            foreach ($found['salesorders'] ?? [] as $so) {
+                if ($this->customFieldValue($so, $this->soKeyField) === $key) {
+                    return $so;
+                }
+            }
+            return null;
+        }
 
-    public function getSalesOrder(string $salesorderId): array
-    {
-        $data = $this->request('GET', '/salesorders/' . $salesorderId);
-        return $data['salesorder'] ?? [];
+        if ($reference !== '') {
+            $found = $this->request('GET', '/salesorders', [
+                'query' => [
+                    'reference_number' => $reference,
+                    'customer_id'      => $customerId,
+                    'page'             => 1,
+                    'per_page'         => 1,
+                ],
+            ]);
+            return ($found['salesorders'] ?? [])[0] ?? null;
+        }
+
+        throw new RuntimeException(
+            'The Sales Order may have been created, but it cannot be identified by its customer reference; '
+            . 'check Zoho before submitting again (set ZOHOINV_SO_KEY_FIELD to avoid this).'
+        );
     }
 
-    public function getItem(string $itemId): array
+    /** Custom field value of a Zoho record: `cf_*` key on list rows, `custom_fields` on details */
+    protected function customFieldValue(array $record, string $apiName): ?string
     {
-        $data = $this->request('GET', '/items/' . $itemId);
-        return $data['item'] ?? [];
-    }
+        if (isset($record[$apiName]) && is_scalar($record[$apiName])) {
+            return (string) $record[$apiName];
+        }
+        foreach ((array) ($record['custom_fields'] ?? []) as $field) {
+            if (is_array($field) && ($field['api_name'] ?? null) === $apiName) {
+                return (string) ($field['value'] ?? '');
+            }
+        }
 
-    // ------------------------------------------------------------------
-    // Purchase Orders (NEW)
-    // ------------------------------------------------------------------
+        return null;
+    }
 
     /**
-     * Create Purchase Orders from a purchase plan.
-     * The plan is an array of rows: [{ item_id: string, quantity: number }]
-     * Rows are grouped by preferred_vendor_id/vendor_id; one PO is created per vendor.
-     *
-     * @param array $plan
-     * @param array $options  Optional: ['salesorder_id' => '...'] to mention SO in PO reference/notes.
-     * @return array
+     * Update an existing Sales Order.
+     * Lines carrying line_item_id are updated in place; lines without it are added;
+     * Zoho drops any existing line that is not present in the payload.
      */
-    public function createPurchaseOrdersFromPlan(array $plan, array $options = []): array
+    public function updateSalesOrder(string $salesorderId, array $payload): array
     {
-        $result = [
-            'created' => [],
-            'skipped' => [],
-        ];
+        $customer  = $payload['customer'] ?? [];
+        $contactId = trim((string) ($customer['contact_id'] ?? ''));
+        if ($contactId === '') {
+            $contactId = $this->ensureCustomer($customer);
+        }
 
-        if (empty($plan) || !is_array($plan)) {
-            return $result;
+        $pricing = $this->buildPricingFields($payload);
+
+        $body = [
+            'customer_id' => $contactId,
+            'line_items'  => $this->buildLineItems($payload['items'] ?? [], $pricing['discount_type']),
+        ] + $this->buildDeliveryFields($payload) + $pricing;
+        if (trim((string) ($payload['reference_number'] ?? '')) !== '') {
+            $body['reference_number'] = trim((string) $payload['reference_number']);
         }
 
-        // Local item cache to reduce API calls
-        $itemCache = [];
+        $data = $this->request('PUT', '/salesorders/' . $salesorderId, ['json' => $body]);
+        $so   = $data['salesorder'] ?? [];
 
-        // Group rows by vendor and aggregate duplicate items
-        $byVendor = []; // vendor_id => ['items' => [item_id => ['quantity'=>float, 'rate'=>float|null]], 'vendor_id'=>string]
+        $warnings = $this->applySalesOrderAddresses($salesorderId, $customer);
 
-        foreach ($plan as $row) {
-            $itemId = (string) ($row['item_id'] ?? '');
-            $qty    = (float)  ($row['quantity'] ?? 0);
+        return [
+            'ok'                => true,
+            'salesorder_id'     => $so['salesorder_id']     ?? $salesorderId,
+            'salesorder_number' => $so['salesorder_number'] ?? null,
+            'customer_id'       => $so['customer_id']       ?? $contactId,
+            'warnings'          => $warnings,
+            'message'           => 'Sales Order successfully updated in Zoho Inventory.',
+        ];
+    }
 
-            if ($itemId === '' || $qty <= 0) {
-                $result['skipped'][] = [
-                    'item_id'  => $itemId ?: null,
-                    'quantity' => $qty,
-                    'reason'   => 'bad_row',
-                ];
-                continue;
-            }
+    /**
+     * Move a Sales Order to another status via POST /salesorders/{id}/status/{status}.
+     * Supported: confirmed (from draft), void, open (reopen a voided order).
+     */
+    public function markSalesOrderStatus(string $salesorderId, string $status): array
+    {
+        if (!in_array($status, ['confirmed', 'void', 'open'], true)) {
+            throw new RuntimeException('Unsupported Sales Order status: ' . $status);
+        }
 
-            try {
-                if (!isset($itemCache[$itemId])) {
-                    $itemCache[$itemId] = $this->getItem($itemId);
-                }
-                $item = $itemCache[$itemId];
-            } catch (\Throwable $e) {
-                Log::warning('[Zoho] getItem failed while building PO plan', [
-                    'item_id' => $itemId,
-                    'message' => $e->getMessage(),
-                ]);
-                $result['skipped'][] = [
-                    'item_id'  => $itemId,
-                    'quantity' => $qty,
-                    'reason'   => 'get_item_failed',
-                ];
-                continue;
-            }
+        return $this->request('POST', '/salesorders/' . $salesorderId . '/status/' . $status);
+    }
 
-            $vendorId = $item['preferred_vendor_id'] ?? $item['vendor_id'] ?? null;
-            if (!$vendorId) {
-                $result['skipped'][] = [
-                    'item_id'  => $itemId,
-                    'quantity' => $qty,
-                    'reason'   => 'no_preferred_vendor',
-                ];
-                continue;
-            }
+    public function deleteSalesOrder(string $salesorderId): array
+    {
+        return $this->request('DELETE', '/salesorders/' . $salesorderId);
+    }
 
-            $rate = null;
-            if (isset($item['purchase_rate']) && is_numeric($item['purchase_rate'])) {
-                $rate = (float) $item['purchase_rate'];
-            } elseif (isset($item['rate']) && is_numeric($item['rate'])) {
-                $rate = (float) $item['rate'];
+    /**
+     * Map SPA order lines to Zoho `line_items`.
+     * Keeps line_item_id when present so updates touch existing lines.
+     * A picked tax_id wins over a bare tax_percentage (legacy `tax` is read as a percentage);
+     * line discounts are only sent for item-level discounting. warehouse_id (multi-warehouse
+     * organizations) picks the location the line ships from.
+     */
+    protected function buildLineItems(array $items, string $discountType = 'item_level'): array
+    {
+        $lines = [];
+        foreach ($items as $i) {
+            $itemId = $i['item_id'] ?? $i['zoho_item_id'] ?? null;
+            if (!$itemId) {
+                throw new RuntimeException('Each line must contain item_id.');
             }
-
-            if (!isset($byVendor[$vendorId])) {
-                $byVendor[$vendorId] = ['vendor_id' => $vendorId, 'items' => []];
+            $line = [
+                'item_id'  => (string) $itemId,
+                'quantity' => isset($i['qty'])  ? (float) $i['qty']  : 1.0,
+                'rate'     => isset($i['rate']) ? (float) $i['rate'] : 0.0,
+            ];
+            if (!empty($i['tax_id'])) {
+                $line['tax_id'] = (string) $i['tax_id'];
+            } else {
+                $line['tax_percentage'] = (float) ($i['tax_percentage'] ?? $i['tax'] ?? 0);
+            }
+            if ($discountType === 'item_level' && (float) ($i['discount'] ?? 0) > 0) {
+                $line['discount'] = $this->formatDiscount($i['discount'], $i['discount_unit'] ?? 'percent');
             }
-            if (!isset($byVendor[$vendorId]['items'][$itemId])) {
-                $byVendor[$vendorId]['items'][$itemId] = ['quantity' => 0.0, 'rate' => $rate];
+            if (!empty($i['warehouse_id'])) {
+                $line['warehouse_id'] = (string) $i['warehouse_id'];
             }
-            $byVendor[$vendorId]['items'][$itemId]['quantity'] += $qty;
-            if ($byVendor[$vendorId]['items'][$itemId]['rate'] === null && $rate !== null) {
-                $byVendor[$vendorId]['items'][$itemId]['rate'] = $rate;
+            if (!empty($i['line_item_id'])) {
+                $line['line_item_id'] = (string) $i['line_item_id'];
             }
+            $lines[] = $line;
         }
-
-        if (!$byVendor) {
-            Log::info('[Zoho] purchasePlan contained no vendor-bound lines; nothing to create');
-            return $result;
+        if (!$lines) {
+            throw new RuntimeException('Sales Order must contain at least one line item.');
         }
 
-        $soId = isset($options['salesorder_id']) ? (string)$options['salesorder_id'] : '';
-
-        foreach ($byVendor as $vendorId => $bucket) {
-            $rows = [];
-            foreach ($bucket['items'] as $iid => $meta) {
-                $row = [
-                    'item_id'  => $iid,
-                    'quantity' => (float) $meta['quantity'],
-                ];
-                if ($meta['rate'] !== null) {
-                    $row['rate'] = (float) $meta['rate'];
-                }
-                $rows[] = $row;
-            }
+        return $lines;
+    }
 
-            $payload = $this->buildPurchaseOrderPayload($vendorId, $rows, $soId);
+    /**
+     * Order-level pricing fields for the Zoho Sales Order body:
+     * discount level, order discount, tax inclusiveness, exchange rate, shipping and adjustment.
+     * Always returns `discount_type` so callers can pass it to buildLineItems().
+     */
+    protected function buildPricingFields(array $payload): array
+    {
+        $discountType = ($payload['discount_type'] ?? 'item_level') === 'entity_level' ? 'entity_level' : 'item_level';
 
-            try {
-                $resp = $this->request('POST', '/purchaseorders', ['json' => $payload]);
+        $fields = [
+            'discount_type'    => $discountType,
+            'is_inclusive_tax' => (bool) ($payload['is_inclusive_tax'] ?? false),
+        ];
 
-                $po   = $resp['purchaseorder'] ?? $resp ?? [];
-                $poId = $po['purchaseorder_id']     ?? null;
-                $poNo = $po['purchaseorder_number'] ?? null;
+        if ($discountType === 'entity_level') {
+            $fields['discount']               = $this->formatDiscount($payload['discount'] ?? 0, $payload['discount_unit'] ?? 'percent');
+            $fields['is_discount_before_tax'] = (bool) ($payload['is_discount_before_tax'] ?? true);
+        }
 
-                Log::info('[Zoho] PO created: summary', [
+        if (!empty($payload['exchange_rate'])) {
+            $fields['exchange_rate'] = (float) $payload['exchange_rate'];
+        }
+        if (isset($payload['shipping_charge'])) {
+            $fields['shipping_charge'] = (float) $payload['shipping_charge'];
+        }
+        if (isset($payload['adjustment'])) {
+            $fields['adjustment'] = (float) $payload['adjustment'];
+            if (!empty($payload['adjustment_description'])) {
+                $fields['adjustment_description'] = (string) $payload['adjustment_description'];
+            }
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Delivery details of the Sales Order body: expected shipment date, delivery method,
+     * salesperson, customer notes and terms. Keys that were not sent are left out (Zoho
+     * keeps its value); an empty string clears the field. A contact address used as-is
+     * is referenced by its address_id; edited ones are written by applySalesOrderAddresses().
+     */
+    protected function buildDeliveryFields(array $payload): array
+    {
+        $fields = [];
+
+        foreach (['shipment_date', 'delivery_method', 'salesperson_name', 'notes', 'terms'] as $field) {
+            if (array_key_exists($field, $payload)) {
+                $fields[$field] = trim((string) ($payload[$field] ?? ''));
+            }
+        }
+        // Zoho rejects an empty date: an unset shipment date is simply not sent
+        if (($fields['shipment_date'] ?? null) === '') {
+            unset($fields['shipment_date']);
+        }
+
+        foreach (['billing', 'shipping'] as $kind) {
+            $addressId = $payload['customer'][$kind . '_address']['address_id'] ?? '';
+            if ($addressId !== '' && $addressId !== null) {
+                $fields[$kind . '_address_id'] = (string) $addressId;
+            }
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Store addresses edited for this order only (no contact address_id) on the Sales Order:
+     * PUT /salesorders/{id}/address/{billing|shipping}. The order already exists at this
+     * point, so a refused address is logged and returned as a warning instead of failing.
+     */
+    protected function applySalesOrderAddresses(string $salesorderId, array $customer): array
+    {
+        $warnings = [];
+        if ($salesorderId === '') {
+            return $warnings;
+        }
+
+        foreach (['billing', 'shipping'] as $kind) {
+            $address = $customer[$kind . '_address'] ?? null;
+            if (!is_array($address) || !empty($address['address_id'])) {
+                continue;
+            }
+            $body = $this->addressBody($address);
+            if (implode('', $body) === '') {
+                continue;
+            }
+
+            try {
+                $this->request('PUT', '/salesorders/' . $salesorderId . '/address/' . $kind, ['json' => $body]);
+            } catch (\Throwable $e) {
+                Log::warning('[Zoho] SO address update failed', [
+                    'salesorder_id' => $salesorderId,
+                    'kind'          => $kind,
+                    'error'         => $e->getMessage(),
+                ]);
+                $warnings[] = ucfirst($kind) . ' address was not saved: ' . $e->getMessage();
+            }
+        }
+
+        return $warnings;
+    }
+
+    /**
+     * Known address keys (ADDRESS_FIELDS) as trimmed strings.
+     */
+    protected function addressBody(array $address): array
+    {
+        return array_map(
+            static fn ($v) => trim((string) ($v ?? '')),
+            array_intersect_key($address, array_flip(self::ADDRESS_FIELDS))
+        );
+    }
+
+    /**
+     * Zoho expects percentage discounts as "10%" and fixed ones as a number.
+     */
+    protected function formatDiscount($value, string $unit = 'percent')
+    {
+        $value = round((float) $value, 2);
+        return $unit === 'amount' ? $value : $value . '%';
+    }
+
+    // ------------------------------------------------------------------
+    // Packages & shipments
+    // ------------------------------------------------------------------
+
+    /**
+     * Pack (part of) a confirmed Sales Order: POST /packages?salesorder_id=.
+     * $lines: [{ line_item_id (Sales Order line), quantity }]; lines with 0 are skipped,
+     * so partial packing is simply a smaller quantity. The package number comes from
+     * Zoho's auto-numbering.
+     */
+    public function createPackage(string $salesorderId, array $lines, ?string $date = null, string $notes = ''): array
+    {
+        $lineItems = [];
+        foreach ($lines as $l) {
+            $qty = (float) ($l['quantity'] ?? 0);
+            if ($qty <= 0) {
+                continue;
+            }
+            $lineItems[] = [
+                'so_line_item_id' => (string) $l['line_item_id'],
+                'quantity'        => $qty,
+            ];
+        }
+
+        $body = [
+            'date'       => $date ?: now()->format('Y-m-d'),
+            'line_items' => $lineItems,
+        ];
+        if ($notes !== '') {
+            $body['notes'] = $notes;
+        }
+
+        $data = $this->request('POST', '/packages', [
+            'query' => ['salesorder_id' => $salesorderId],
+            'json'  => $body,
+            'retry' => false,
+        ]);
+
+        return $data['package'] ?? $data;
+    }
+
+    /**
+     * Ship a package: POST /shipmentorders?package_ids=&salesorder_id=.
+     * $data: carrier (Zoho `delivery_method`), tracking_number?, date?, notes?
+     */
+    public function createShipment(string $salesorderId, string $packageId, array $data): array
+    {
+        $body = [
+            'date'            => ($data['date'] ?? null) ?: now()->format('Y-m-d'),
+            'delivery_method' => trim((string) ($data['carrier'] ?? '')),
+        ];
+        foreach (['tracking_number', 'notes'] as $field) {
+            if (trim((string) ($data[$field] ?? '')) !== '') {
+                $body[$field] = trim((string) $data[$field]);
+            }
+        }
+
+        $res = $this->request('POST', '/shipmentorders', [
+            'query' => ['package_ids' => $packageId, 'salesorder_id' => $salesorderId],
+            'json'  => $body,
+            'retry' => false,
+        ]);
+
+        return $res['shipmentorder'] ?? $res;
+    }
+
+    // ------------------------------------------------------------------
+    // Invoices & payments
+    // ------------------------------------------------------------------
+
+    /**
+     * Invoice a Sales Order: POST /invoices/fromsalesorder.
+     * Zoho copies customer, addresses, pricing and the quantities not invoiced yet;
+     * the invoice starts as a draft and the order becomes (partially) invoiced.
+     */
+    public function createInvoiceFromSalesOrder(string $salesorderId): array
+    {
+        $data = $this->request('POST', '/invoices/fromsalesorder', [
+            'query' => ['salesorder_id' => $salesorderId],
+            'retry' => false,
+        ]);
+
+        // A 2xx means the invoice exists even if Zoho left it out of the body
+        $invoice = $data['invoice'] ?? null;
+        if (!$invoice) {
+            Log::warning('[Zoho] invoice from Sales Order: empty invoice in a successful response', [
+                'salesorder_id' => $salesorderId,
+            ]);
+        }
+
+        return $invoice ?: [];
+    }
+
+    public function getInvoice(string $invoiceId): array
+    {
+        $data = $this->request('GET', '/invoices/' . $invoiceId);
+        return $data['invoice'] ?? [];
+    }
+
+    /**
+     * List invoices (GET /invoices), e.g. ['customer_id' => ..., 'filter_by' => 'Status.Unpaid'].
+     */
+    public function listInvoices(array $params = []): array
+    {
+        $data = $this->request('GET', '/invoices', ['query' => $params]);
+        return $data ?? [];
+    }
+
+    /**
+     * Draft → sent without emailing the customer (Zoho only takes payments for sent invoices).
+     */
+    public function markInvoiceSent(string $invoiceId): array
+    {
+        return $this->request('POST', '/invoices/' . $invoiceId . '/status/sent');
+    }
+
+    /**
+     * Record a customer payment applied to one invoice (POST /customerpayments).
+     * Partial amounts are fine; more than the open balance is refused rather than
+     * left as an excess payment. A draft invoice is marked as sent first.
+     * $data: amount, date?, payment_mode?, reference_number?, description?
+     */
+    public function recordInvoicePayment(string $invoiceId, array $data): array
+    {
+        $invoice = $this->getInvoice($invoiceId);
+        if (!$invoice) {
+            throw new RuntimeException('Invoice not found.');
+        }
+
+        $status  = strtolower((string) ($invoice['status'] ?? ''));
+        $amount  = round((float) ($data['amount'] ?? 0), 2);
+        $balance = round((float) ($invoice['balance'] ?? 0), 2);
+
+        if ($status === 'void') {
+            throw new RuntimeException('Payments cannot be recorded for a void invoice.');
+        }
+        if ($amount <= 0 || $amount > $balance) {
+            throw new RuntimeException(sprintf('The amount must be between 0.01 and the open balance (%.2f).', $balance));
+        }
+
+        if ($status === 'draft') {
+            $this->markInvoiceSent($invoiceId);
+        }
+
+        $body = [
+            'customer_id'  => (string) ($invoice['customer_id'] ?? ''),
+            'payment_mode' => in_array($data['payment_mode'] ?? '', self::PAYMENT_MODES, true) ? $data['payment_mode'] : 'cash',
+            'amount'       => $amount,
+            'date'         => $data['date'] ?? now()->format('Y-m-d'),
+            'invoices'     => [
+                ['invoice_id' => $invoiceId, 'amount_applied' => $amount],
+            ],
+        ];
+        if (!empty($invoice['exchange_rate'])) {
+            $body['exchange_rate'] = (float) $invoice['exchange_rate'];
+        }
+        foreach (['reference_number', 'description'] as $field) {
+            if (trim((string) ($data[$field] ?? '')) !== '') {
+                $body[$field] = trim((string) $data[$field]);
+            }
+        }
+
+        // Not retried: a 5xx may still have recorded the payment
+        $res = $this->request('POST', '/customerpayments', ['json' => $body, 'retry' => false]);
+
+        return $res['payment'] ?? [];
+    }
+
+    // ------------------------------------------------------------------
+    // Sales Orders: listing & single fetch
+    // ------------------------------------------------------------------
+
+    public function listSalesOrders(array $params = []): array
+    {
+        $data = $this->request('GET', '/salesorders', ['query' => $params]);
+        return $data ?? [];
+    }
+
+    public function getSalesOrder(string $salesorderId): array
+    {
+        $data = $this->request('GET', '/salesorders/' . $salesorderId);
+        return $data['salesorder'] ?? [];
+    }
+
+    /**
+     * Sales Order as PDF in the organization's template (GET /salesorders/{id}?accept=pdf).
+     * Like itemImage(), this bypasses request()'s JSON handling.
+     * Returns ['body' => bytes, 'filename' => Zoho's file name or ''] or null when not found.
+     */
+    public function salesOrderPdf(string $salesorderId): ?array
+    {
+        $url = '/salesorders/' . $salesorderId;
+        $this->logOutbound('REQ', 'GET', $url, ['accept' => 'pdf'], []);
+
+        try {
+            $response = $this->http()->withHeaders(['Accept' => 'application/pdf'])->get($url, ['accept' => 'pdf']);
+        } catch (RequestException $e) {
+            $response = $e->response;
+        } catch (ConnectionException $e) {
+            throw new ZohoApiException('Zoho API unreachable: ' . $e->getMessage(), 0, null, null, $e);
+        }
+
+        $type = (string) $response->header('Content-Type');
+        $this->logInbound('RESP', 'GET', $url, $response->status(), null, "[{$type}, " . strlen($response->body()) . ' bytes]');
+
+        if ($response->status() === 404) {
+            return null;
+        }
+        if (!$response->successful() || !str_contains($type, 'pdf')) {
+            throw $this->apiException($response);
+        }
+
+        preg_match('/filename\*?=(?:UTF-8\'\')?"?([^";]+)"?/i', (string) $response->header('Content-Disposition'), $m);
+
+        return ['body' => $response->body(), 'filename' => isset($m[1]) ? rawurldecode($m[1]) : ''];
+    }
+
+    public function getItem(string $itemId): array
+    {
+        $data = $this->request('GET', '/items/' . $itemId);
+        return $data['item'] ?? [];
+    }
+
+    // ------------------------------------------------------------------
+    // Purchase Orders (NEW)
+    // ------------------------------------------------------------------
+
+    /**
+     * Create Purchase Orders from a purchase plan.
+     * The plan is an array of rows: [{ item_id: string, quantity: number }], optionally with
+     * vendor_id (overrides the item's preferred vendor), rate (purchase rate), warehouse_id
+     * (the warehouse that is short and receives the goods) and line_ref / name, which are
+     * echoed back so the SPA can report per order line.
+     * Rows are grouped by vendor; one PO is created per vendor.
+     * Skipped rows carry a reason: bad_row | get_item_failed | no_preferred_vendor | po_create_failed.
+     *
+     * @param array $plan
+     * @param array $options  Optional: ['salesorder_id' => '...', 'salesorder_number' => '...'] to mention SO in PO reference/notes.
+     * @return array
+     */
+    public function createPurchaseOrdersFromPlan(array $plan, array $options = []): array
+    {
+        $result = [
+            'created' => [],
+            'skipped' => [],
+        ];
+
+        if (empty($plan) || !is_array($plan)) {
+            return $result;
+        }
+
+        // Local item cache to reduce API calls
+        $itemCache = [];
+
+        // Group rows by vendor and aggregate duplicate items (per warehouse)
+        $byVendor = []; // vendor_id => ['items' => ["item_id|warehouse_id" => ['item_id', 'warehouse_id', 'quantity'=>float, 'rate'=>float|null, 'refs'=>[]]], 'vendor_id'=>string]
+
+        // Echo fields of a plan row (for per-line reporting in the SPA)
+        $echo = static fn (array $row, array $item = []): array => [
+            'line_ref' => isset($row['line_ref']) ? (string) $row['line_ref'] : null,
+            'name'     => $row['name'] ?? ($item['name'] ?? null),
+        ];
+
+        foreach ($plan as $row) {
+            $itemId = (string) ($row['item_id'] ?? '');
+            $qty    = (float)  ($row['quantity'] ?? 0);
+
+            if ($itemId === '' || $qty <= 0) {
+                $result['skipped'][] = [
+                    'item_id'  => $itemId ?: null,
+                    'quantity' => $qty,
+                    'reason'   => 'bad_row',
+                ] + $echo($row);
+                continue;
+            }
+
+            try {
+                if (!isset($itemCache[$itemId])) {
+                    $itemCache[$itemId] = $this->getItem($itemId);
+                }
+                $item = $itemCache[$itemId];
+            } catch (\Throwable $e) {
+                Log::warning('[Zoho] getItem failed while building PO plan', [
+                    'item_id' => $itemId,
+                    'message' => $e->getMessage(),
+                ]);
+                $result['skipped'][] = [
+                    'item_id'  => $itemId,
+                    'quantity' => $qty,
+                    'reason'   => 'get_item_failed',
+                ] + $echo($row);
+                continue;
+            }
+
+            // Vendor picked in the plan editor wins over the item's preferred vendor
+            $vendorId = ($row['vendor_id'] ?? null) ?: ($item['preferred_vendor_id'] ?? $item['vendor_id'] ?? null);
+            if (!$vendorId) {
+                $result['skipped'][] = [
+                    'item_id'  => $itemId,
+                    'quantity' => $qty,
+                    'reason'   => 'no_preferred_vendor',
+                ] + $echo($row, $item);
+                continue;
+            }
+
+            $rate = null;
+            if (isset($row['rate']) && is_numeric($row['rate'])) {
+                $rate = (float) $row['rate'];
+            } elseif (isset($item['purchase_rate']) && is_numeric($item['purchase_rate'])) {
+                $rate = (float) $item['purchase_rate'];
+            } elseif (isset($item['rate']) && is_numeric($item['rate'])) {
+                $rate = (float) $item['rate'];
+            }
+
+            // The short warehouse receives the goods
+            $warehouseId = (string) ($row['warehouse_id'] ?? '');
+            $key = $itemId . '|' . $warehouseId;
+
+            if (!isset($byVendor[$vendorId])) {
+                $byVendor[$vendorId] = ['vendor_id' => $vendorId, 'items' => []];
+            }
+            if (!isset($byVendor[$vendorId]['items'][$key])) {
+                $byVendor[$vendorId]['items'][$key] = [
+                    'item_id'      => $itemId,
+                    'warehouse_id' => $warehouseId,
+                    'quantity'     => 0.0,
+                    'rate'         => $rate,
+                    'refs'         => [],
+                ];
+            }
+            $byVendor[$vendorId]['items'][$key]['quantity'] += $qty;
+            $byVendor[$vendorId]['items'][$key]['refs'][] = $echo($row, $item);
+            if ($byVendor[$vendorId]['items'][$key]['rate'] === null && $rate !== null) {
+                $byVendor[$vendorId]['items'][$key]['rate'] = $rate;
+            }
+        }
+
+        if (!$byVendor) {
+            Log::info('[Zoho] purchasePlan contained no vendor-bound lines; nothing to create');
+            return $result;
+        }
+
+        $soId = isset($options['salesorder_id']) ? (string)$options['salesorder_id'] : '';
+        $soNo = isset($options['salesorder_number']) ? (string)$options['salesorder_number'] : '';
+
+        foreach ($byVendor as $vendorId => $bucket) {
+            $rows = [];
+            $refs = [];
+            foreach ($bucket['items'] as $key => $meta) {
+                $refs[$key] = $meta['refs'];
+                $row = [
+                    'item_id'  => $meta['item_id'],
+                    'quantity' => (float) $meta['quantity'],
+                ];
+                if ($meta['rate'] !== null) {
+                    $row['rate'] = (float) $meta['rate'];
+                }
+                if ($meta['warehouse_id'] !== '') {
+                    $row['warehouse_id'] = $meta['warehouse_id'];
+                }
+                $rows[] = $row;
+            }
+
+            $payload = $this->buildPurchaseOrderPayload($vendorId, $rows, $soId, $soNo);
+
+            try {
+                $resp = $this->request('POST', '/purchaseorders', ['json' => $payload]);
+
+                $po   = $resp['purchaseorder'] ?? $resp ?? [];
+                $poId = $po['purchaseorder_id']     ?? null;
+                $poNo = $po['purchaseorder_number'] ?? null;
+
+                Log::info('[Zoho] PO created: summary', [
                     'vendor_id' => $vendorId,
                     'purchaseorder_id' => $poId,
                     'purchaseorder_number' => $poNo,
@@ -699,7 +1462,9 @@ public function createPurchaseOrdersFromPlan(array $plan, array $options = []):
                     'purchaseorder_id'     => $poId,
                     'purchaseorder_number' => $poNo,
                     'vendor_id'            => $vendorId,
+                    'vendor_name'          => $po['vendor_name'] ?? null,
                     'lines'                => array_values($rows),
+                    'line_refs'            => array_values(array_filter(array_column(array_merge(...array_values($refs)), 'line_ref'))),
                 ];
             } catch (\Throwable $e) {
                 Log::error('[Zoho] create PO failed', [
@@ -709,11 +1474,14 @@ public function createPurchaseOrdersFromPlan(array $plan, array $options = []):
                 ]);
 
                 foreach ($rows as $li) {
-                    $result['skipped'][] = [
-                        'item_id'  => $li['item_id'],
-                        'quantity' => $li['quantity'],
-                        'reason'   => 'po_create_failed',
-                    ];
+                    foreach ($refs[$li['item_id'] . '|' . ($li['warehouse_id'] ?? '')] as $ref) {
+                        $result['skipped'][] = [
+                            'item_id'  => $li['item_id'],
+                            'quantity' => $li['quantity'],
+                            'reason'   => 'po_create_failed',
+                            'message'  => $e->getMessage(),
+                        ] + $ref;
+                    }
                 }
             }
         }
@@ -726,11 +1494,12 @@ public function createPurchaseOrdersFromPlan(array $plan, array $options = []):
      * Extend here if you need: delivery date, warehouse, custom fields, etc.
      *
      * @param string $vendorId
-     * @param array  $rows       Each row: ['item_id'=>..., 'quantity'=>..., 'rate'?=>...]
+     * @param array  $rows       Each row: ['item_id'=>..., 'quantity'=>..., 'rate'?=>..., 'warehouse_id'?=>...]
      * @param string $soId       Optional Sales Order id to reference in PO.
+     * @param string $soNo       Optional Sales Order number (human-readable notes).
      * @return array
      */
-    private function buildPurchaseOrderPayload(string $vendorId, array $rows, string $soId = ''): array
+    private function buildPurchaseOrderPayload(string $vendorId, array $rows, string $soId = '', string $soNo = ''): array
     {
         $lineItems = [];
         foreach ($rows as $r) {
@@ -741,6 +1510,9 @@ private function buildPurchaseOrderPayload(string $vendorId, array $rows, string
             if (isset($r['rate'])) {
                 $one['rate'] = (float) $r['rate']; // pass purchase rate when we know it
             }
+            if (!empty($r['warehouse_id'])) {
+                $one['warehouse_id'] = (string) $r['warehouse_id'];
+            }
             $lineItems[] = $one;
         }
 
@@ -749,15 +1521,81 @@ private function buildPurchaseOrderPayload(string $vendorId, array $rows, string
             'line_items' => $lineItems,
         ];
 
-        // Light backlink to SO is useful for operators
+        // Light backlink to SO is useful for operators (parsed back by linkedSalesOrderId())
         if ($soId !== '') {
             $payload['reference_number'] = 'SO:' . $soId . ' / ' . now()->format('YmdHis');
-            $payload['notes']            = 'Auto-created from Sales Order ' . $soId;
+            $payload['notes']            = 'Auto-created from Sales Order ' . ($soNo !== '' ? $soNo : $soId);
         }
 
         return $payload;
     }
 
+    /**
+     * Sales Order id a PO was auto-created for ("SO:{id} / ..." reference), or null.
+     */
+    public function linkedSalesOrderId(array $po): ?string
+    {
+        $ref = (string) ($po['reference_number'] ?? '');
+        return preg_match('/^SO:(\d+)/', $ref, $m) ? $m[1] : null;
+    }
+
+    public function listPurchaseOrders(array $params = []): array
+    {
+        $data = $this->request('GET', '/purchaseorders', ['query' => $params]);
+        return $data ?? [];
+    }
+
+    public function getPurchaseOrder(string $purchaseorderId): array
+    {
+        $data = $this->request('GET', '/purchaseorders/' . $purchaseorderId);
+        return $data['purchaseorder'] ?? [];
+    }
+
+    /**
+     * Mark a draft PO as issued (POST /purchaseorders/{id}/status/issued).
+     * Zoho only accepts receives for issued Purchase Orders.
+     */
+    public function markPurchaseOrderIssued(string $purchaseorderId): array
+    {
+        return $this->request('POST', '/purchaseorders/' . $purchaseorderId . '/status/issued');
+    }
+
+    /**
+     * Record received quantities for a PO (POST /purchasereceives?purchaseorder_id=...).
+     * Lines: [{ line_item_id, item_id, quantity }]; zero quantities are dropped.
+     */
+    public function receivePurchaseOrder(string $purchaseorderId, array $lines, ?string $date = null, string $notes = ''): array
+    {
+        $lineItems = [];
+        foreach ($lines as $l) {
+            $qty = (float) ($l['quantity'] ?? 0);
+            if ($qty <= 0) {
+                continue;
+            }
+            $lineItems[] = [
+                'line_item_id' => (string) $l['line_item_id'],
+                'item_id'      => (string) ($l['item_id'] ?? ''),
+                'quantity'     => $qty,
+            ];
+        }
+
+        $body = [
+            'date'       => $date ?: now()->format('Y-m-d'),
+            'line_items' => $lineItems,
+        ];
+        if ($notes !== '') {
+            $body['notes'] = $notes;
+        }
+
+        $data = $this->request('POST', '/purchasereceives', [
+            'query' => ['purchaseorder_id' => $purchaseorderId],
+            'json'  => $body,
+            'retry' => false,
+        ]);
+
+        return $data['purchasereceive'] ?? $data;
+    }
+
     /**
      * Search contacts in Zoho Inventory by name or email.
      *
@@ -774,19 +1612,24 @@ private function buildPurchaseOrderPayload(string $vendorId, array $rows, string
      * @param  string $q        Free-text query (name/email fragment).
      * @param  int    $page     Page number (1-based).
      * @param  int    $perPage  Page size.
+     * @param  string $contactType Optional 'customer' or 'vendor'.
      * @return array{contacts: array<int, array<string,mixed>>, page_context: array<string,mixed>}
      * @throws \RuntimeException On API errors.
      */
-    public function contactsSearch(string $q, int $page = 1, int $perPage = 20): array
+    public function contactsSearch(string $q, int $page = 1, int $perPage = 20, string $contactType = ''): array
     {
         // Zoho Contacts search; use search_text to allow name/email search
-        $data = $this->request('GET', '/contacts', [
-            'query' => [
-                'search_text' => $q,
-                'page'        => $page,
-                'per_page'    => $perPage,
-            ],
-        ]);
+        $query = [
+            'search_text' => $q,
+            'page'        => $page,
+            'per_page'    => $perPage,
+        ];
+        // 'customer' | 'vendor' narrows the search to one kind of contact
+        if ($contactType !== '') {
+            $query['contact_type'] = $contactType;
+        }
+
+        $data = $this->request('GET', '/contacts', ['query' => $query]);
 
         return [
             'contacts'     => $data['contacts']     ?? [],
@@ -794,6 +1637,22 @@ public function contactsSearch(string $q, int $page = 1, int $perPage = 20): arr
         ];
     }
 
+    /**
+     * One page of contacts (GET /contacts) with Zoho list params
+     * (page, per_page, contact_type, search_text, filter_by, sort_column, sort_order).
+     */
+    public function listContacts(array $params = []): array
+    {
+        $data = $this->request('GET', '/contacts', ['query' => $params]);
+
+        return [
+            'contacts'     => $data['contacts'] ?? [],
+            'page_context' => $data['page_context'] ?? [
+                'page' => $params['page'] ?? 1, 'per_page' => $params['per_page'] ?? 25, 'has_more_page' => false,
+            ],
+        ];
+    }
+
     /**
      * Retrieve a single contact by its Zoho `contact_id`.
      *
@@ -811,4 +1670,403 @@ public function getContact(string $contactId): array
         return $data['contact'] ?? [];
     }
 
+    /**
+     * Create a customer (POST /contacts) from the SPA customer form.
+     *
+     * @param  array $data Validated form fields (see buildContactBody()).
+     * @return array<string,mixed> The new contact as returned by Zoho.
+     */
+    public function createContact(array $data): array
+    {
+        $body = ['contact_type' => 'customer'] + $this->buildContactBody($data);
+
+        // The contact currency can only be chosen on creation
+        if (!empty($data['currency_id'])) {
+            $body['currency_id'] = (string) $data['currency_id'];
+        }
+
+        $resp = $this->request('POST', '/contacts', ['json' => $body, 'retry' => false]);
+        return $resp['contact'] ?? [];
+    }
+
+    /**
+     * Update a contact (PUT /contacts/{contact_id}) from the SPA customer form.
+     * The form always sends the full list of contact persons: persons with a
+     * contact_person_id are updated, persons without one are added.
+     *
+     * @return array<string,mixed> The updated contact as returned by Zoho.
+     */
+    public function updateContact(string $contactId, array $data): array
+    {
+        $resp = $this->request('PUT', '/contacts/' . $contactId, ['json' => $this->buildContactBody($data)]);
+        return $resp['contact'] ?? [];
+    }
+
+    /**
+     * Zoho contact body from the SPA form: name, company, payment terms, tax
+     * treatment, billing/shipping address and contact persons. Keys that were
+     * not sent are left out, so Zoho keeps their current value.
+     */
+    protected function buildContactBody(array $data): array
+    {
+        $body = [];
+
+        foreach (['contact_name', 'company_name', 'payment_terms_label', 'tax_treatment'] as $field) {
+            if (array_key_exists($field, $data)) {
+                $body[$field] = trim((string) ($data[$field] ?? ''));
+            }
+        }
+        if (isset($data['payment_terms']) && $data['payment_terms'] !== '') {
+            $body['payment_terms'] = (int) $data['payment_terms'];
+        }
+        // An empty tax treatment is rejected by Zoho: keep the current one
+        if (($body['tax_treatment'] ?? null) === '') {
+            unset($body['tax_treatment']);
+        }
+
+        foreach (['billing_address', 'shipping_address'] as $kind) {
+            if (isset($data[$kind]) && is_array($data[$kind])) {
+                $body[$kind] = $this->addressBody($data[$kind]);
+            }
+        }
+
+        if (isset($data['contact_persons']) && is_array($data['contact_persons'])) {
+            $body['contact_persons'] = array_values(array_map(static function (array $p) {
+                $person = [
+                    'first_name'         => trim((string) ($p['first_name'] ?? '')),
+                    'last_name'          => trim((string) ($p['last_name'] ?? '')),
+                    'email'              => trim((string) ($p['email'] ?? '')),
+                    'phone'              => trim((string) ($p['phone'] ?? '')),
+                    'mobile'             => trim((string) ($p['mobile'] ?? '')),
+                    'is_primary_contact' => (bool) ($p['is_primary_contact'] ?? false),
+                ];
+                if (!empty($p['contact_person_id'])) {
+                    $person['contact_person_id'] = (string) $p['contact_person_id'];
+                }
+                return $person;
+            }, $data['contact_persons']));
+        }
+
+        return $body;
+    }
+
+    // ------------------------------------------------------------------
+    // Dashboard summaries (aggregated from Zoho lists, cached)
+    // ------------------------------------------------------------------
+
+    /**
+     * Sales summary for a date range (Y-m-d, inclusive), cached for the dashboard TTL:
+     *  - series:        [{ date, orders, revenue }] per day or per ISO week (Monday), gaps filled
+     *  - totals:        { orders, revenue, average }
+     *  - status_counts: { draft, confirmed, shipped, invoiced } — each order counted once, at
+     *                   its furthest stage (invoiced > shipped > confirmed > draft)
+     *  - top_customers: [{ customer_id, customer_name, orders, revenue }] (5 by revenue)
+     *  - top_items:     [{ item_id, name, sku, quantity, revenue }] (5 by revenue), a sample:
+     *                   only the lines of the newest SUMMARY_LINE_ORDERS orders (`items_sample`)
+     * Void orders are left out. Amounts are in the base currency (total × exchange_rate).
+     * `truncated` is set when the range holds more than SUMMARY_MAX_PAGES pages of orders.
+     */
+    public function salesSummary(string $from, string $to, string $interval = 'day'): array
+    {
+        $key = 'zoho.dashboard.sales.' . $this->organizationId . '.' . $from . '.' . $to . '.' . $interval;
+
+        return $this->rememberSummary($key, function () use ($from, $to, $interval) {
+            $list = $this->listAllPages('/salesorders', 'salesorders', [
+                'date_start'  => $from,
+                'date_end'    => $to,
+                'sort_column' => 'date',
+                'sort_order'  => 'D',
+            ]);
+
+            $orders = array_values(array_filter(
+                $list['rows'],
+                static fn ($so) => strtolower((string) ($so['status'] ?? '')) !== 'void'
+            ));
+
+            // Empty buckets for the whole range, so the chart has no gaps
+            $bucketOf = static function (string $date) use ($interval): string {
+                $d = new \DateTimeImmutable($date);
+                return ($interval === 'week' ? $d->modify('monday this week') : $d)->format('Y-m-d');
+            };
+            $series = [];
+            $cursor = new \DateTimeImmutable($bucketOf($from));
+            $end    = new \DateTimeImmutable($to);
+            while ($cursor <= $end) {
+                $series[$cursor->format('Y-m-d')] = ['date' => $cursor->format('Y-m-d'), 'orders' => 0, 'revenue' => 0.0];
+                $cursor = $cursor->modify($interval === 'week' ? '+1 week' : '+1 day');
+            }
+
+            $statusCounts = ['draft' => 0, 'confirmed' => 0, 'shipped' => 0, 'invoiced' => 0];
+            $customers    = [];
+            $revenue      = 0.0;
+
+            foreach ($orders as $so) {
+                $amount  = $this->baseAmount($so['total'] ?? 0, $so);
+                $revenue += $amount;
+
+                $date = (string) ($so['date'] ?? '');
+                if ($date !== '') {
+                    $bucket = $bucketOf($date);
+                    $series[$bucket] ??= ['date' => $bucket, 'orders' => 0, 'revenue' => 0.0];
+                    $series[$bucket]['orders']  += 1;
+                    $series[$bucket]['revenue'] += $amount;
+                }
+
+                $statusCounts[$this->salesOrderStage($so)] += 1;
+
+                $cid = (string) ($so['customer_id'] ?? '');
+                if ($cid !== '') {
+                    $customers[$cid] ??= [
+                        'customer_id'   => $cid,
+                        'customer_name' => (string) ($so['customer_name'] ?? ''),
+                        'orders'        => 0,
+                        'revenue'       => 0.0,
+                    ];
+                    $customers[$cid]['orders']  += 1;
+                    $customers[$cid]['revenue'] += $amount;
+                }
+            }
+
+            usort($customers, static fn ($a, $b) => $b['revenue'] <=> $a['revenue']);
+
+            $sample   = array_slice($orders, 0, self::SUMMARY_LINE_ORDERS);
+            $topItems = $this->topItems($sample);
+
+            $round = static fn (array $rows) => array_map(static function ($r) {
+                $r['revenue'] = round($r['revenue'], 2);
+                return $r;
+            }, $rows);
+            ksort($series);
+
+            return [
+                'from'          => $from,
+                'to'            => $to,
+                'interval'      => $interval,
+                'series'        => $round(array_values($series)),
+                'totals'        => [
+                    'orders'  => count($orders),
+                    'revenue' => round($revenue, 2),
+                    'average' => count($orders) > 0 ? round($revenue / count($orders), 2) : 0.0,
+                ],
+                'status_counts' => $statusCounts,
+                'top_customers' => $round(array_slice($customers, 0, 5)),
+                'top_items'     => $round(array_slice($topItems, 0, 5)),
+                'items_sample'  => count($sample),
+                'truncated'     => $list['truncated'],
+                'generated_at'  => now()->toIso8601String(),
+            ];
+        });
+    }
+
+    /**
+     * Active tracked items at or below their reorder level, largest shortfall first,
+     * cached for the dashboard TTL: { count, items:[{ item_id, name, sku, unit, stock, reorder_level, shortfall }] }.
+     */
+    public function lowStockSummary(int $limit = 10): array
+    {
+        $key = 'zoho.dashboard.lowstock.' . $this->organizationId;
+
+        $summary = $this->rememberSummary($key, function () {
+            $list = $this->listAllPages('/items', 'items', ['filter_by' => 'Status.Active']);
+
+            $rows = [];
+            foreach ($list['rows'] as $i) {
+                $tracked = (bool) ($i['track_inventory'] ?? ($i['is_storage'] ?? false));
+                $reorder = isset($i['reorder_level']) && $i['reorder_level'] !== '' ? (float) $i['reorder_level'] : 0.0;
+                $stock   = $i['available_stock'] ?? ($i['actual_available_stock'] ?? ($i['stock_on_hand'] ?? null));
+                if (!$tracked || $reorder <= 0 || $stock === null || (float) $stock > $reorder) {
+                    continue;
+                }
+                $rows[] = [
+                    'item_id'       => (string) ($i['item_id'] ?? ''),
+                    'name'          => (string) ($i['name'] ?? ($i['item_name'] ?? '')),
+                    'sku'           => (string) ($i['sku'] ?? ''),
+                    'unit'          => (string) ($i['unit'] ?? ''),
+                    'stock'         => (float) $stock,
+                    'reorder_level' => $reorder,
+                    'shortfall'     => round($reorder - (float) $stock, 2),
+                ];
+            }
+
+            usort($rows, static fn ($a, $b) => $b['shortfall'] <=> $a['shortfall']);
+
+            return [
+                'items'        => $rows,
+                'truncated'    => $list['truncated'],
+                'generated_at' => now()->toIso8601String(),
+            ];
+        });
+
+        return [
+            'count'        => count($summary['items']),
+            'items'        => array_slice($summary['items'], 0, $limit),
+            'truncated'    => $summary['truncated'],
+            'generated_at' => $summary['generated_at'],
+        ];
+    }
+
+    /**
+     * Purchase Orders awaiting receipt (issued or partially received), expected delivery first,
+     * cached for the dashboard TTL: { count, overdue, purchaseorders:[{ ... }] }.
+     * `overdue` counts POs whose expected delivery date has passed.
+     */
+    public function purchaseOrdersAwaitingReceipt(int $limit = 10): array
+    {
+        $key = 'zoho.dashboard.po_awaiting.' . $this->organizationId;
+
+        $summary = $this->rememberSummary($key, function () {
+            $rows      = [];
+            $truncated = false;
+            foreach (['Status.Issued', 'Status.PartiallyReceived'] as $filter) {
+                $list = $this->listAllPages('/purchaseorders', 'purchaseorders', ['filter_by' => $filter]);
+                $truncated = $truncated || $list['truncated'];
+
+                foreach ($list['rows'] as $po) {
+                    $rows[] = [
+                        'purchaseorder_id'     => (string) ($po['purchaseorder_id'] ?? ''),
+                        'purchaseorder_number' => (string) ($po['purchaseorder_number'] ?? ''),
+                        'vendor_name'          => (string) ($po['vendor_name'] ?? ''),
+                        'date'                 => (string) ($po['date'] ?? ''),
+                        'delivery_date'        => (string) ($po['delivery_date'] ?? ''),
+                        'status'               => (string) ($po['status'] ?? ''),
+                        'total'                => (float) ($po['total'] ?? 0),
+                        'currency_code'        => (string) ($po['currency_code'] ?? ''),
+                    ];
+                }
+            }
+
+            // Undated POs go last
+            usort($rows, static fn ($a, $b) => [$a['delivery_date'] === '', $a['delivery_date']] <=> [$b['delivery_date'] === '', $b['delivery_date']]);
+
+            return [
+                'purchaseorders' => $rows,
+                'truncated'      => $truncated,
+                'generated_at'   => now()->toIso8601String(),
+            ];
+        });
+
+        $today   = now()->format('Y-m-d');
+        $overdue = array_filter(
+            $summary['purchaseorders'],
+            static fn ($po) => $po['delivery_date'] !== '' && $po['delivery_date'] < $today
+        );
+
+        return [
+            'count'          => count($summary['purchaseorders']),
+            'overdue'        => count($overdue),
+            'purchaseorders' => array_slice($summary['purchaseorders'], 0, $limit),
+            'truncated'      => $summary['truncated'],
+            'generated_at'   => $summary['generated_at'],
+        ];
+    }
+
+    /**
+     * Cache::remember for the dashboard summaries, with one rebuild at a time: a rebuild
+     * reads many Zoho pages, so requests arriving meanwhile wait for its result instead of
+     * starting their own. After SUMMARY_LOCK_WAIT seconds a waiting request builds it itself.
+     */
+    protected function rememberSummary(string $key, \Closure $build): array
+    {
+        $cached = Cache::get($key);
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        try {
+            return Cache::lock($key . '.lock', self::SUMMARY_LOCK_SECONDS)->block(
+                self::SUMMARY_LOCK_WAIT,
+                fn () => Cache::remember($key, $this->dashboardTtl, $build)
+            );
+        } catch (LockTimeoutException) {
+            Log::warning('[Zoho] dashboard summary lock timed out; building without it', ['key' => $key]);
+            return Cache::remember($key, $this->dashboardTtl, $build);
+        }
+    }
+
+    /**
+     * Read a Zoho list endpoint page by page (200 rows each, at most SUMMARY_MAX_PAGES).
+     * Returns ['rows' => [...], 'truncated' => bool].
+     */
+    protected function listAllPages(string $path, string $key, array $query): array
+    {
+        $rows = [];
+        $page = 1;
+        do {
+            $data = $this->request('GET', $path, ['query' => $query + ['page' => $page, 'per_page' => 200]]);
+            array_push($rows, ...($data[$key] ?? []));
+            $more = (bool) ($data['page_context']['has_more_page'] ?? false);
+            $page++;
+        } while ($more && $page <= self::SUMMARY_MAX_PAGES);
+
+        return ['rows' => $rows, 'truncated' => $more];
+    }
+
+    /** Amount in the base currency (the order's exchange_rate; 1 when missing) */
+    protected function baseAmount($amount, array $doc): float
+    {
+        $rate = (float) ($doc['exchange_rate'] ?? 1);
+        return (float) $amount * ($rate > 0 ? $rate : 1.0);
+    }
+
+    /** Furthest stage of a Sales Order for the dashboard status counts */
+    protected function salesOrderStage(array $so): string
+    {
+        $invoiced = strtolower((string) ($so['invoiced_status'] ?? ''));
+        $shipped  = strtolower((string) ($so['shipped_status'] ?? ''));
+        $status   = strtolower((string) ($so['order_status'] ?? ($so['status'] ?? '')));
+
+        if ($invoiced === 'invoiced' || $status === 'invoiced') {
+            return 'invoiced';
+        }
+        if (in_array($shipped, ['shipped', 'fulfilled'], true)) {
+            return 'shipped';
+        }
+        return $status === 'draft' ? 'draft' : 'confirmed';
+    }
+
+    /**
+     * Items ranked by revenue over the given orders' lines (base currency). Lines are
+     * cached per order and last_modified_time, so only new or changed orders are fetched.
+     */
+    protected function topItems(array $orders): array
+    {
+        $items = [];
+        foreach ($orders as $so) {
+            $id = (string) ($so['salesorder_id'] ?? '');
+            if ($id === '') {
+                continue;
+            }
+
+            $lineKey = 'zoho.dashboard.so_lines.' . $this->organizationId . '.' . $id . '.' . md5((string) ($so['last_modified_time'] ?? ''));
+            $lines   = Cache::remember($lineKey, 86400, function () use ($id) {
+                $full = $this->getSalesOrder($id);
+                return array_map(static fn ($l) => [
+                    'item_id'    => (string) ($l['item_id'] ?? ''),
+                    'name'       => (string) ($l['name'] ?? ($l['item_name'] ?? '')),
+                    'sku'        => (string) ($l['sku'] ?? ''),
+                    'quantity'   => (float) ($l['quantity'] ?? 0),
+                    'item_total' => (float) ($l['item_total'] ?? 0),
+                ], $full['line_items'] ?? []);
+            });
+
+            foreach ($lines as $l) {
+                if ($l['item_id'] === '') {
+                    continue;
+                }
+                $items[$l['item_id']] ??= [
+                    'item_id'  => $l['item_id'],
+                    'name'     => $l['name'],
+                    'sku'      => $l['sku'],
+                    'quantity' => 0.0,
+                    'revenue'  => 0.0,
+                ];
+                $items[$l['item_id']]['quantity'] += $l['quantity'];
+                $items[$l['item_id']]['revenue']  += $this->baseAmount($l['item_total'], $so);
+            }
+        }
+
+        usort($items, static fn ($a, $b) => $b['revenue'] <=> $a['revenue']);
+
+        return $items;
+    }
 }
@@ -17,4 +17,21 @@
     'timeout_ms' => (int) env('ZOHOINV_TIMEOUT_MS', 20000),
     'retry_policy' => env('ZOHOINV_RETRY_POLICY', 'standard'),
     'log_level' => env('ZOHOINV_LOG_LEVEL', 'info'),
+    // api_name of a Sales Order text custom field (e.g. cf_submit_key) that receives the
+    // submit's Idempotency-Key, so an order created without an answer can be found again
+    'so_key_field' => env('ZOHOINV_SO_KEY_FIELD'),
+
+    // Dashboard summaries are aggregated from Zoho lists and cached this long (seconds)
+    'dashboard_ttl' => (int) env('ZOHOINV_DASHBOARD_TTL', 300),
+
+    // Webhooks → live updates (SSE). Zoho must send the secret in the
+    // X-Zoho-Webhook-Secret header (or ?secret=); without one, webhooks are refused.
+    'webhook_secret' => env('ZOHO_WEBHOOK_SECRET'),
+    // SSE stream for open tabs (needs the webhooks too). Each open tab holds one PHP
+    // worker while its stream is open: turn it off where workers are scarce.
+    'live_updates' => (bool) env('ZOHO_LIVE_UPDATES', true),
+    // Keep raw webhook payloads in storage/app/private/zoho-webhooks (for `php artisan zoho:webhooks:replay`)
+    'webhook_record' => (bool) env('ZOHO_WEBHOOK_RECORD', false),
+    // Seconds a live event stays available to reconnecting streams
+    'events_ttl' => (int) env('ZOHOINV_EVENTS_TTL', 600),
 ];
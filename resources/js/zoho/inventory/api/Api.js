@@ -1,9 +1,18 @@
 // resources/js/zoho/inventory/api/Api.js
 // ============================================================
 // Axios API client for Zoho Inventory module
+// ------------------------------------------------------------
+// - Every failure is rethrown as an ApiError (see ApiError.js)
+// - Idempotent GETs are retried with exponential backoff on
+//   network errors / 5xx / rate limits (honours Retry-After)
+// - GET helpers take { signal } so superseded requests can be
+//   aborted (createRequestScope)
 // ============================================================
 
 import axios from 'axios';
+import { ApiError, ERROR_TYPES, toApiError } from '@inventory/api/ApiError';
+
+export { ApiError, ERROR_TYPES, errorMessage, isCancelled, toApiError } from '@inventory/api/ApiError';
 
 // Shared Axios instance for the Inventory SPA
 export const http = axios.create({
@@ -16,68 +25,358 @@ export const http = axios.create({
   },
 });
 
+// --- Retry / cancellation ----------------------------------
+
+const RETRY = {
+  retries: 2,          // extra attempts after the first one
+  baseDelayMs: 400,    // 400ms, 800ms, ... (+ jitter)
+  maxDelayMs: 5000,    // never wait longer than this between attempts
+};
+
+const RETRYABLE_TYPES = [ERROR_TYPES.NETWORK, ERROR_TYPES.RATE_LIMIT];
+
+function shouldRetry(config, err) {
+  if (!config || config.retry === false) return false;
+  if (String(config.method || 'get').toLowerCase() !== 'get') return false;
+  if (!RETRYABLE_TYPES.includes(err.type)) return false;
+  // A Retry-After longer than we are willing to wait: report instead
+  if (err.retryAfter !== null && err.retryAfter * 1000 > RETRY.maxDelayMs) return false;
+  return (config.retryCount || 0) < RETRY.retries;
+}
+
+function backoffDelay(attempt, retryAfter) {
+  if (retryAfter !== null) return retryAfter * 1000;
+  const exp = RETRY.baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(RETRY.maxDelayMs, exp + Math.random() * RETRY.baseDelayMs);
+}
+
+/** setTimeout that rejects as "cancelled" when the request's signal aborts */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancelled = () => new ApiError('', { type: ERROR_TYPES.CANCELLED });
+    if (signal?.aborted) return reject(cancelled());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(cancelled());
+      },
+      { once: true },
+    );
+  });
+}
+
+http.interceptors.response.use(
+  (response) => response,
+  async (e) => {
+    const err = toApiError(e);
+    const config = e?.config;
+    if (shouldRetry(config, err)) {
+      config.retryCount = (config.retryCount || 0) + 1;
+      await wait(backoffDelay(config.retryCount, err.retryAfter), config.signal);
+      return http(config);
+    }
+    throw err;
+  },
+);
+
+/**
+ * Latest-wins cancellation for one kind of request (a search box, a list):
+ * next() aborts the previous request of this scope and returns the signal
+ * for the new one; abort() cancels whatever is in flight (e.g. on unmount).
+ * Aborted calls reject with an ApiError of type 'cancelled' (see isCancelled).
+ */
+export function createRequestScope() {
+  let controller = null;
+  return {
+    next() {
+      controller?.abort();
+      controller = new AbortController();
+      return controller.signal;
+    },
+    abort() {
+      controller?.abort();
+      controller = null;
+    },
+  };
+}
+
 // Centralized endpoints
 export const API = {
   health: '/api/zoho/health',
-  items: '/api/zoho/items',
-  salesorders: '/api/zoho/salesorders', // POST creates an SO, GET lists SOs
+  items: '/api/zoho/items', // GET ?q= searches, GET /catalog pages the catalog, GET /categories, GET /:id
+  taxes: '/api/zoho/taxes',
+  currencies: '/api/zoho/currencies',
+  warehouses: '/api/zoho/warehouses',
+  salesorders: '/api/zoho/salesorders', // POST creates an SO, GET lists SOs (GET /export downloads them), PUT /:id updates one, GET /:id/pdf, POST /:id/packages|shipments|invoice
+  purchaseorders: '/api/zoho/purchaseorders', // GET lists POs, GET /:id, POST /:id/receive
+  invoices: '/api/zoho/invoices', // POST /:id/payments
+  customers: '/api/zoho/customers', // GET lists customers (details / receivables live under /contacts/:id)
+  dashboard: '/api/zoho/dashboard', // GET /sales, /low-stock, /purchaseorders (server-side cached summaries)
+  events: '/api/zoho/events', // SSE stream of webhook events (opened by useLiveUpdates, not axios)
 };
 
 // --- Helpers -------------------------------------------------
 const soShowUrl = (id) => `${API.salesorders}/${encodeURIComponent(id)}`;
+const poShowUrl = (id) => `${API.purchaseorders}/${encodeURIComponent(id)}`;
 const itemShowUrl = (id) => `${API.items}/${encodeURIComponent(id)}`;
 const contactShowUrl = (id) => `/api/zoho/contacts/${encodeURIComponent(id)}`;
+const invoiceShowUrl = (id) => `${API.invoices}/${encodeURIComponent(id)}`;
 
 // --- Calls ---------------------------------------------------
+// GET helpers accept `opts` passed to axios: { signal, retry:false }
 
 /** Simple backend availability check */
-export async function checkHealth() {
-  const { data } = await http.get(API.health);
+export async function checkHealth(opts = {}) {
+  const { data } = await http.get(API.health, opts);
+  return data;
+}
+
+/**
+ * Create Sales Order draft on the backend (payload comes from Pinia store).
+ * With `idempotencyKey` a repeated submit returns the first result instead of a second order.
+ */
+export async function createSalesOrder(payload, { idempotencyKey } = {}) {
+  const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+  const { data } = await http.post(API.salesorders, payload, { headers });
+  return data;
+}
+
+/** Update an existing Sales Order (same payload shape as create, plus line_item_id per line) */
+export async function updateSalesOrder(id, payload) {
+  const { data } = await http.put(soShowUrl(id), payload);
+  return data;
+}
+
+/** Status transitions for a Sales Order (draft → confirmed, void, reopen) */
+export async function confirmSalesOrder(id) {
+  const { data } = await http.post(`${soShowUrl(id)}/status/confirmed`);
+  return data;
+}
+
+export async function voidSalesOrder(id) {
+  const { data } = await http.post(`${soShowUrl(id)}/status/void`);
   return data;
 }
 
-/** Create Sales Order draft on the backend (payload comes from Pinia store) */
-export async function createSalesOrder(payload) {
-  const { data } = await http.post(API.salesorders, payload);
+export async function markSalesOrderOpen(id) {
+  const { data } = await http.post(`${soShowUrl(id)}/status/open`);
   return data;
 }
 
+/** Delete a Sales Order (Zoho allows this for drafts and voided orders) */
+export async function deleteSalesOrder(id) {
+  const { data } = await http.delete(soShowUrl(id));
+  return data;
+}
+
+/** Pack (part of) a confirmed order: { date?, notes?, lines:[{ line_item_id, quantity }] } */
+export async function createPackage(salesorderId, payload) {
+  const { data } = await http.post(`${soShowUrl(salesorderId)}/packages`, payload);
+  return data; // { status:'ok', data:{ package_id, package_number }, message }
+}
+
+/** Ship a package: { package_id, carrier, tracking_number?, date?, notes? } */
+export async function createShipment(salesorderId, payload) {
+  const { data } = await http.post(`${soShowUrl(salesorderId)}/shipments`, payload);
+  return data; // { status:'ok', data:{ shipment_id, shipment_number, package_id }, message }
+}
+
+/** Convert a Sales Order into a (draft) Zoho invoice */
+export async function convertSalesOrderToInvoice(id) {
+  const { data } = await http.post(`${soShowUrl(id)}/invoice`);
+  return data; // { status:'ok', data:{ invoice_id, invoice_number, status, total, balance, ... }, message }
+}
+
 /** Search items in Zoho Inventory by keyword */
-export async function searchItems(query) {
-  const { data } = await http.get(API.items, { params: { q: query } });
+export async function searchItems(query, opts = {}) {
+  const { data } = await http.get(API.items, { ...opts, params: { q: query } });
   // Backend returns { status:'ok', query, data:[...] }
   return Array.isArray(data?.data) ? data.data : [];
 }
 
+/**
+ * One page of an item search (paged picker):
+ * { status:'ok', query, data:[...items], page_context:{ page, per_page, has_more_page } }
+ */
+export async function searchItemsPage(query, { page = 1, per_page = 25 } = {}, opts = {}) {
+  const { data } = await http.get(API.items, { ...opts, params: { q: query, page, per_page } });
+  return data;
+}
+
+/**
+ * One page of the item catalog: params { q, status, tracked, low_stock, category_id, page, per_page, sort_column, sort_order }
+ * → { status:'ok', data:[...items], page_context:{ page, per_page, has_more_page } }
+ */
+export async function listItems(params = {}, opts = {}) {
+  const { data } = await http.get(`${API.items}/catalog`, { ...opts, params });
+  return data;
+}
+
+/** Item categories for the catalog filter */
+export async function getItemCategories(opts = {}) {
+  const { data } = await http.get(`${API.items}/categories`, opts);
+  return data; // { status:'ok', data:[{ category_id, name, parent_id }] }
+}
+
+/** Thumbnail URL (proxied by the backend); `version` (image_document_id) busts the browser cache */
+export function itemImageUrl(id, version = '') {
+  const v = version ? `?v=${encodeURIComponent(version)}` : '';
+  return `${itemShowUrl(id)}/image${v}`;
+}
+
+/** Exact item for a scanned code (SKU / UPC / EAN); 404 → ApiError type not_found */
+export async function lookupItemByCode(code, opts = {}) {
+  const { data } = await http.get(`${API.items}/lookup`, { ...opts, params: { code } });
+  // Controller returns { status:'ok', data:{ item_id, name, sku, rate, tax_*, matched_on } }
+  return data?.data ?? null;
+}
+
 /** List sales orders (supports params: page, per_page, query, sort_column, sort_order, etc.) */
-export async function listSalesOrders(params = {}) {
-  const { data } = await http.get(API.salesorders, { params });
+export async function listSalesOrders(params = {}, opts = {}) {
+  const { data } = await http.get(API.salesorders, { ...opts, params });
   // Return as-is (controller responds with status/data/page_context)
   return data;
 }
 
 /** Get a single sales order by ID */
-export async function getSalesOrder(id) {
-  const { data } = await http.get(soShowUrl(id));
+export async function getSalesOrder(id, opts = {}) {
+  const { data } = await http.get(soShowUrl(id), opts);
   // Controller returns { status:'ok', data:{...} } — pass through as-is
   return data;
 }
 
+/**
+ * Download URL of the filtered Sales Orders list (every page) as CSV / XLSX.
+ * Opened by the browser, not axios: the backend streams the file page by page.
+ * `params`: list q / sort / filters + format ('csv' | 'xlsx') + columns (comma-separated).
+ */
+export function salesOrdersExportUrl(params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== ''),
+  ).toString();
+  return `${API.salesorders}/export${query ? `?${query}` : ''}`;
+}
+
+/** Printable PDF of a Sales Order (Zoho template); `download` asks for an attachment */
+export function salesOrderPdfUrl(id, { download = false } = {}) {
+  return `${soShowUrl(id)}/pdf${download ? '?download=1' : ''}`;
+}
+
 /** Get a single item by item_id — used to retrieve stock flags/levels if available */
-export async function getItemDetails(id) {
-  const { data } = await http.get(itemShowUrl(id));
+export async function getItemDetails(id, opts = {}) {
+  const { data } = await http.get(itemShowUrl(id), opts);
   // Controller returns { status:'ok', data:{...normalized item...} }
   return data;
 }
 
-export async function searchContacts(query, page = 1, per_page = 20) {
-  const { data } = await http.get('/api/zoho/contacts', { params: { q: query, page, per_page } });
+/** Organization taxes for the line tax picker */
+export async function getTaxes(opts = {}) {
+  const { data } = await http.get(API.taxes, opts);
+  return data; // { status:'ok', data:[{ tax_id, tax_name, tax_percentage, ... }] }
+}
+
+/** Active organization warehouses (empty list when multi-warehouse is off) */
+export async function getWarehouses(opts = {}) {
+  const { data } = await http.get(API.warehouses, opts);
+  return data; // { status:'ok', data:[{ warehouse_id, warehouse_name, is_primary, status }] }
+}
+
+/** Organization currencies with exchange rates against the base currency */
+export async function getCurrencies(opts = {}) {
+  const { data } = await http.get(API.currencies, opts);
+  return data; // { status:'ok', data:[{ currency_id, currency_code, exchange_rate, ... }] }
+}
+
+export async function searchContacts(query, page = 1, per_page = 20, contact_type = '', opts = {}) {
+  const params = { q: query, page, per_page };
+  if (contact_type) params.contact_type = contact_type; // 'customer' | 'vendor'
+  const { data } = await http.get('/api/zoho/contacts', { ...opts, params });
   return data; // { status:'ok', data:[...], page_context:{...} }
 }
 
 // Get a single contact with persons to extract primary email
-export async function getContact(id) {
-  const { data } = await http.get(contactShowUrl(id));
+export async function getContact(id, opts = {}) {
+  const { data } = await http.get(contactShowUrl(id), opts);
+  return data; // { status:'ok', data:{...} }
+}
+
+/**
+ * One page of customers: params { q, status, page, per_page, sort_column, sort_order }
+ * → { status:'ok', data:[{ contact_id, contact_name, currency_code, outstanding_receivable_amount, ... }], page_context }
+ */
+export async function listCustomers(params = {}, opts = {}) {
+  const { data } = await http.get(API.customers, { ...opts, params });
+  return data;
+}
+
+/** Open invoices of a customer with outstanding / overdue totals */
+export async function getCustomerReceivables(id, opts = {}) {
+  const { data } = await http.get(`${contactShowUrl(id)}/receivables`, opts);
+  return data; // { status:'ok', data:{ outstanding, overdue, currency_code, has_more, invoices:[...] } }
+}
+
+/** Create a customer (customer form: addresses, persons, terms, currency, tax treatment) */
+export async function createContact(payload) {
+  const { data } = await http.post('/api/zoho/contacts', payload);
+  return data; // { status:'ok', data:{...contact}, message }
+}
+
+/** Update a customer (same payload as create; currency is ignored by Zoho) */
+export async function updateContact(id, payload) {
+  const { data } = await http.put(contactShowUrl(id), payload);
+  return data; // { status:'ok', data:{...contact}, message }
+}
+
+// --- Invoices & payments ------------------------------------
+
+/** Record a full or partial payment: { amount, date?, payment_mode?, reference_number?, description? } */
+export async function recordInvoicePayment(id, payload) {
+  const { data } = await http.post(`${invoiceShowUrl(id)}/payments`, payload);
+  return data; // { status:'ok', data:{ payment_id, invoice:{...} }, message }
+}
+
+// --- Purchase Orders -----------------------------------------
+
+/** Paginated Purchase Orders list ({ page, per_page, q, status, sort_column, sort_order }) */
+export async function listPurchaseOrders(params = {}, opts = {}) {
+  const { data } = await http.get(API.purchaseorders, { ...opts, params });
+  return data; // { status:'ok', data:[...], page_context:{...} }
+}
+
+/** Single Purchase Order (with `salesorder` backlink when created for an SO) */
+export async function getPurchaseOrder(id, opts = {}) {
+  const { data } = await http.get(poShowUrl(id), opts);
   return data; // { status:'ok', data:{...} }
 }
 
+/** Draft → issued (Zoho only receives against issued POs) */
+export async function issuePurchaseOrder(id) {
+  const { data } = await http.post(`${poShowUrl(id)}/status/issued`);
+  return data;
+}
+
+/** Record received quantities: { date?, notes?, lines:[{ line_item_id, item_id, quantity }] } */
+export async function receivePurchaseOrder(id, payload) {
+  const { data } = await http.post(`${poShowUrl(id)}/receive`, payload);
+  return data;
+}
+
+/** Orders / revenue series, status counts, top customers and items: { days: 7|30|90, interval: 'day'|'week' } */
+export async function getSalesSummary(params = {}, opts = {}) {
+  const { data } = await http.get(`${API.dashboard}/sales`, { ...opts, params });
+  return data; // { status:'ok', data:{ series, totals, status_counts, top_customers, top_items, generated_at, ... } }
+}
+
+/** Tracked items at or below their reorder level */
+export async function getLowStockSummary(params = {}, opts = {}) {
+  const { data } = await http.get(`${API.dashboard}/low-stock`, { ...opts, params });
+  return data; // { status:'ok', data:{ count, items:[...], truncated, generated_at } }
+}
+
+/** Purchase Orders awaiting receipt (issued / partially received) */
+export async function getPurchaseOrdersAwaiting(params = {}, opts = {}) {
+  const { data } = await http.get(`${API.dashboard}/purchaseorders`, { ...opts, params });
+  return data; // { status:'ok', data:{ count, overdue, purchaseorders:[...], truncated, generated_at } }
+}
@@ -0,0 +1,141 @@
+// resources/js/zoho/inventory/api/ApiError.js
+// ============================================================
+// One error type for every failed API call
+// ------------------------------------------------------------
+// The axios interceptor in Api.js turns anything thrown by a
+// request (Laravel validation, Zoho errors relayed by the
+// controller, HTTP failures, dropped connections, aborts) into
+// an ApiError, so composables never dig through e.response.
+//
+// type:
+//  - validation  422 with Laravel `errors` (fields are filled)
+//  - rate_limit  429 (Zoho or Laravel throttling), retryAfter in s
+//  - auth        401/403/419 or Zoho rejected our token
+//  - not_found   404
+//  - conflict    409 (e.g. idempotent submit still running / key reused;
+//                data.reason tells which)
+//  - network     no response, timeout, 5xx / Zoho unreachable
+//  - zoho        Zoho rejected the request (controller's 422)
+//  - cancelled   aborted via AbortController (superseded request)
+// ============================================================
+
+export const ERROR_TYPES = Object.freeze({
+  VALIDATION: 'validation',
+  RATE_LIMIT: 'rate_limit',
+  AUTH: 'auth',
+  NOT_FOUND: 'not_found',
+  CONFLICT: 'conflict',
+  NETWORK: 'network',
+  ZOHO: 'zoho',
+  CANCELLED: 'cancelled',
+});
+
+const DEFAULT_MESSAGES = {
+  validation: 'Some fields are invalid',
+  rate_limit: 'Zoho rate limit reached — please retry in a moment',
+  auth: 'Not authorized — the Zoho connection needs attention',
+  not_found: 'Not found',
+  conflict: 'Conflicting request',
+  network: 'Network error — the server could not be reached',
+  zoho: 'Request failed',
+  cancelled: 'Request cancelled',
+};
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ type?:string, status?:number, fields?:Record<string,string[]>,
+   *           retryAfter?:number|null, data?:any, cause?:any }} [info]
+   */
+  constructor(message, info = {}) {
+    super(message || DEFAULT_MESSAGES[info.type] || DEFAULT_MESSAGES.zoho);
+    this.name = 'ApiError';
+    // false when the message is only our generic default for the type
+    this.detailed = !!message;
+    this.type = info.type || ERROR_TYPES.ZOHO;
+    this.status = info.status ?? 0;
+    this.fields = info.fields ?? {};
+    this.retryAfter = info.retryAfter ?? null;
+    this.data = info.data ?? null;
+    this.cause = info.cause;
+  }
+
+  /** First validation message for a field (e.g. 'line_items.0.rate'), or '' */
+  fieldError(name) {
+    const list = this.fields?.[name];
+    return Array.isArray(list) && list.length ? String(list[0]) : '';
+  }
+}
+
+function typeFromStatus(status) {
+  if (status === 429) return ERROR_TYPES.RATE_LIMIT;
+  if (status === 401 || status === 403 || status === 419) return ERROR_TYPES.AUTH;
+  if (status === 404) return ERROR_TYPES.NOT_FOUND;
+  if (status === 409) return ERROR_TYPES.CONFLICT;
+  if (status >= 500) return ERROR_TYPES.NETWORK;
+  return ERROR_TYPES.ZOHO;
+}
+
+function retryAfterSeconds(response) {
+  const raw = response?.data?.retry_after ?? response?.headers?.['retry-after'];
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/** Normalize anything thrown by axios (or our own code) into an ApiError */
+export function toApiError(e) {
+  if (e instanceof ApiError) return e;
+
+  if (e?.code === 'ERR_CANCELED' || e?.name === 'CanceledError' || e?.name === 'AbortError') {
+    return new ApiError('', { type: ERROR_TYPES.CANCELLED, cause: e });
+  }
+
+  const response = e?.response;
+  if (!response) {
+    // No response at all: offline, DNS, CORS, timeout (ECONNABORTED)
+    const isHttp = !!e?.isAxiosError;
+    return new ApiError(isHttp ? '' : e?.message, {
+      type: isHttp ? ERROR_TYPES.NETWORK : ERROR_TYPES.ZOHO,
+      cause: e,
+    });
+  }
+
+  const status = response.status;
+  const data = response.data;
+  const fields = data && typeof data.errors === 'object' && data.errors ? data.errors : null;
+
+  // The controller names the type (`error`); Laravel validation has `errors`
+  let type = typeof data?.error === 'string' && Object.values(ERROR_TYPES).includes(data.error)
+    ? data.error
+    : typeFromStatus(status);
+  if (status === 422 && fields) type = ERROR_TYPES.VALIDATION;
+
+  const message =
+    (typeof data?.message === 'string' && data.message) ||
+    (typeof data?.error === 'string' && !Object.values(ERROR_TYPES).includes(data.error) && data.error) ||
+    (status >= 500 ? `Server error (HTTP ${status})` : '');
+
+  return new ApiError(message, {
+    type,
+    status,
+    fields: fields ?? {},
+    retryAfter: retryAfterSeconds(response),
+    data,
+    cause: e,
+  });
+}
+
+/**
+ * User-facing message for any thrown value. `fallback` replaces the generic
+ * text when neither the server nor the error said anything more specific.
+ */
+export function errorMessage(e, fallback = DEFAULT_MESSAGES.zoho) {
+  const err = toApiError(e);
+  if (err.detailed || err.type !== ERROR_TYPES.ZOHO) return err.message;
+  return fallback;
+}
+
+/** True when the request was aborted on purpose (ignore, don't show) */
+export function isCancelled(e) {
+  return toApiError(e).type === ERROR_TYPES.CANCELLED;
+}
@@ -0,0 +1,162 @@
+// resources/js/zoho/inventory/api/queryCache.js
+// ============================================================
+// Shared query cache (stale-while-revalidate, per tab)
+// ------------------------------------------------------------
+// cachedQuery(key, fetcher, opts) returns the data for `key`:
+//  - fresh (younger than staleMs)   → cached data, no request
+//  - stale (younger than maxAgeMs)  → cached data now, refetch in
+//                                     the background; opts.onUpdate
+//                                     gets the new data
+//  - missing / expired / force      → wait for the fetcher
+// Identical requests in flight share one promise. A consumer's
+// opts.signal only detaches that consumer (it rejects with a
+// 'cancelled' ApiError); the shared request still fills the cache.
+//
+// invalidateQueries(prefix) drops entries whose key starts with the
+// prefix (e.g. after saving a Sales Order), so the next read refetches.
+//
+// Keys are arrays of strings / plain objects, e.g.
+//   ['item', id]  ['contact', id]  ['salesorders', params]  ['salesorder', id]
+//   ['barcode', code]  ['items', params]  ['customers', params]  ['receivables', id]
+//   ['dashboard', 'sales', params]
+// ============================================================
+
+import { ApiError, ERROR_TYPES } from '@inventory/api/ApiError';
+
+const MAX_ENTRIES = 300;
+
+// Freshness presets (ms) for the data we cache
+export const QUERY_TIMES = Object.freeze({
+  item: { staleMs: 30_000, maxAgeMs: 10 * 60_000 },        // stock moves: revalidate often
+  items: { staleMs: 30_000, maxAgeMs: 5 * 60_000 },         // catalog pages carry stock too
+  contact: { staleMs: 5 * 60_000, maxAgeMs: 30 * 60_000 },
+  contactSearch: { staleMs: 60_000, maxAgeMs: 5 * 60_000 },
+  customers: { staleMs: 60_000, maxAgeMs: 5 * 60_000 },
+  receivables: { staleMs: 60_000, maxAgeMs: 5 * 60_000 },
+  dashboard: { staleMs: 60_000, maxAgeMs: 10 * 60_000 },   // the server caches summaries too
+  salesorders: { staleMs: 15_000, maxAgeMs: 5 * 60_000 },
+  salesorder: { staleMs: 15_000, maxAgeMs: 5 * 60_000 },
+  barcode: { staleMs: 30 * 60_000, maxAgeMs: 2 * 60 * 60_000 }, // code → item rarely changes
+});
+
+// key → { data, hasData, updatedAt, promise }
+const entries = new Map();
+
+/** Stable string for a key: object params are serialized with sorted keys */
+export function queryKey(parts) {
+  if (typeof parts === 'string') return parts;
+  return parts
+    .map((p) => {
+      if (p && typeof p === 'object') {
+        const sorted = Object.keys(p)
+          .sort()
+          .filter((k) => p[k] !== undefined && p[k] !== '' && p[k] !== null)
+          .map((k) => [k, p[k]]);
+        return JSON.stringify(sorted);
+      }
+      return String(p ?? '');
+    })
+    .join(':');
+}
+
+function evict() {
+  // Map keeps insertion order: the first keys are the least recently stored
+  while (entries.size > MAX_ENTRIES) {
+    const oldest = entries.keys().next().value;
+    entries.delete(oldest);
+  }
+}
+
+function fetchEntry(key, entry, fetcher) {
+  if (entry.promise) return entry.promise;
+
+  entry.promise = Promise.resolve()
+    .then(fetcher)
+    .then((data) => {
+      // Invalidated while in flight: hand the data out but don't keep it
+      if (entries.get(key) === entry) {
+        entry.data = data;
+        entry.hasData = true;
+        entry.updatedAt = Date.now();
+        // Refresh the position for eviction
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return data;
+    })
+    .catch((e) => {
+      if (!entry.hasData && entries.get(key) === entry) entries.delete(key);
+      throw e;
+    })
+    .finally(() => {
+      entry.promise = null;
+    });
+
+  return entry.promise;
+}
+
+/** Reject as soon as the consumer's signal aborts (the request itself goes on) */
+function detachable(promise, signal) {
+  if (!signal) return promise;
+  const cancelled = () => new ApiError('', { type: ERROR_TYPES.CANCELLED });
+  if (signal.aborted) return Promise.reject(cancelled());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancelled());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * @param {Array|string} key
+ * @param {() => Promise<any>} fetcher
+ * @param {{ staleMs?:number, maxAgeMs?:number, force?:boolean,
+ *           signal?:AbortSignal, onUpdate?:(data:any) => void }} [opts]
+ */
+export function cachedQuery(key, fetcher, opts = {}) {
+  const { staleMs = 30_000, maxAgeMs = 5 * 60_000, force = false, signal, onUpdate } = opts;
+  const k = queryKey(key);
+
+  let entry = entries.get(k);
+  if (!entry) {
+    entry = { data: undefined, hasData: false, updatedAt: 0, promise: null };
+    entries.set(k, entry);
+    evict();
+  }
+
+  const age = Date.now() - entry.updatedAt;
+  if (entry.hasData && !force && age < maxAgeMs) {
+    if (age >= staleMs) {
+      fetchEntry(k, entry, fetcher).then(
+        (data) => {
+          if (onUpdate && !signal?.aborted) onUpdate(data);
+        },
+        () => {}, // keep showing the stale data; the next read retries
+      );
+    }
+    return Promise.resolve(entry.data);
+  }
+
+  return detachable(fetchEntry(k, entry, fetcher), signal);
+}
+
+/** Cached data for a key without fetching (undefined when absent) */
+export function peekQuery(key) {
+  return entries.get(queryKey(key))?.data;
+}
+
+/**
+ * Drop every entry whose key starts with `prefix`
+ * (['salesorders'] → all list pages, ['salesorder', id] → one order).
+ */
+export function invalidateQueries(prefix) {
+  const p = queryKey(prefix);
+  for (const k of [...entries.keys()]) {
+    if (k === p || k.startsWith(`${p}:`)) entries.delete(k);
+  }
+}
+
+/** Forget everything (e.g. tests, organization switch) */
+export function clearQueryCache() {
+  entries.clear();
+}
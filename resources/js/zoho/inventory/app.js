@@ -13,6 +13,10 @@ import { createApp } from 'vue';        // Core Vue API
 import { createPinia } from 'pinia';    // State management (replacement for Vuex)
 import router from './router';          // Client-side routing configuration
 import App from './App.vue';            // Root component that renders <router-view />
+import { useOrderStore } from './stores/order';                      // Sales Order draft store
+import { setupOrderPersistence } from './stores/orderPersistence';   // Draft ↔ localStorage
+import { setupSubmissionQueue } from './composables/useSubmissionQueue'; // Offline Sales Order outbox
+import { setupLiveUpdates } from './composables/useLiveUpdates';         // Zoho webhook events (SSE)
 
 // Log to console for debugging / confirmation of boot sequence
 // console.log('Inventory SPA booting…');
@@ -32,6 +36,21 @@ const app = createApp(App);
 app.use(createPinia());
 app.use(router);
 
+// ------------------------------------------------------------
+// Restore the Sales Order draft and keep it saved/synced across tabs
+// ------------------------------------------------------------
+setupOrderPersistence(useOrderStore());
+
+// ------------------------------------------------------------
+// Resend Sales Orders that were submitted while offline (IndexedDB outbox)
+// ------------------------------------------------------------
+setupSubmissionQueue(useOrderStore());
+
+// ------------------------------------------------------------
+// Live updates: orders and stock changed in Zoho refresh open pages
+// ------------------------------------------------------------
+setupLiveUpdates();
+
 // ------------------------------------------------------------
 // Wait until the router is ready before mounting
 // ------------------------------------------------------------
@@ -0,0 +1,88 @@
+// resources/js/zoho/inventory/composables/useAddToDraft.js
+// ============================================================
+// useAddToDraft()
+// ------------------------------------------------------------
+// Purpose:
+//  - Add an item to the new Sales Order draft from outside the
+//    order form (item catalog, item detail page)
+//  - The line is built like one picked in ItemsTable: price in the
+//    order currency, the item's default tax, stock flags from
+//    useItemDetails(); create_po is left undefined so ItemsTable
+//    defaults it from the shortage when the draft is opened
+//  - Adding an item that is already on the draft raises its qty
+//    (store.addOrIncrease)
+//
+// Exposed:
+//  - busyId: ref<string>   item currently being added ('' when idle)
+//  - added:  ref<object | null>  last added { item_id, name, qty }
+//  - error:  ref<string | null>
+//  - blocked: computed<boolean>  the store holds an order being edited
+//  - add(item, qty = 1): Promise<boolean>
+// ============================================================
+
+import { ref, computed } from 'vue';
+import { useOrderStore } from '@inventory/stores/order';
+import { useItemDetails } from '@inventory/composables/useItemDetails';
+import { warehouseStock } from '@inventory/stores/lineStock';
+import { errorMessage } from '@inventory/api/Api';
+
+export function useAddToDraft() {
+  const store = useOrderStore();
+  const { getById } = useItemDetails();
+
+  const busyId = ref('');
+  const added = ref(null);
+  const error = ref(null);
+
+  // Edit mode belongs to the view page; it restores the draft when it is left
+  const blocked = computed(() => store.isEditing);
+
+  async function add(item, qty = 1) {
+    const itemId = String(item?.item_id ?? '');
+    if (!itemId || blocked.value) return false;
+
+    busyId.value = itemId;
+    error.value = null;
+    try {
+      const line = {
+        id: `${Date.now()}-catalog-${itemId}`,
+        item_id: itemId,
+        zoho_item_id: itemId,
+        name: item.name ?? '',
+        sku: item.sku ?? '',
+        qty: Number(qty) > 0 ? Number(qty) : 1,
+        // Zoho item rates are in the base currency; convert to the order currency
+        rate: store.toOrderCurrency(item.rate),
+        tax_id: item.tax_id ? String(item.tax_id) : '',
+        tax_name: item.tax_name ?? '',
+        tax_percentage: Number(item.tax_percentage ?? 0),
+        discount: 0,
+        discount_unit: 'percent',
+        track_inventory: undefined,
+        can_be_purchased: undefined,
+        available_stock: undefined,
+        create_po: undefined,
+      };
+
+      // Best-effort, same as ItemsTable.addFromSearch()
+      const details = await getById(itemId);
+      if (details) {
+        line.track_inventory = !!details.track_inventory;
+        line.can_be_purchased = !!details.can_be_purchased;
+        line.available_stock = details.available_stock ?? null;
+        line.warehouses = warehouseStock(details);
+      }
+
+      store.addOrIncrease(line);
+      added.value = { item_id: itemId, name: line.name, qty: line.qty };
+      return true;
+    } catch (e) {
+      error.value = errorMessage(e, 'Failed to add the item to the draft');
+      return false;
+    } finally {
+      busyId.value = '';
+    }
+  }
+
+  return { busyId, added, error, blocked, add };
+}
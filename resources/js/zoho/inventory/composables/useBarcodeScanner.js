@@ -0,0 +1,178 @@
+// resources/js/zoho/inventory/composables/useBarcodeScanner.js
+// ============================================================
+// useBarcodeScanner({ enabled, onScan })
+// ------------------------------------------------------------
+// USB / Bluetooth scanners act as a keyboard: they "type" the code
+// a few ms per character and usually end it with Enter (or Tab).
+// While `enabled` is true we listen to keydown on the window
+// (capture phase) and tell the two apart by timing:
+//  - every character within MAX_GAP_MS of the previous one and at
+//    least MIN_LENGTH characters → a scan
+//  - a slower gap → a person typing; the buffer starts over
+// A scan ends with Enter / Tab, or after END_IDLE_MS of silence for
+// scanners configured without a suffix. The terminating key is
+// swallowed (no form submit / search), and characters the scan typed
+// into a focused input are removed again, so scanning works wherever
+// the focus is.
+//
+// onScan(code) is called synchronously per scan; it should not wait
+// on the lookup before returning so the next scan is never blocked.
+//
+// Also exported:
+//  - playErrorTone(): short low beep (Web Audio) for unknown codes
+// ============================================================
+
+import { watch, onScopeDispose, getCurrentScope, unref } from 'vue';
+
+const MAX_GAP_MS = 40;   // scanners: ~2-20ms per key; people rarely go below 60ms
+const MIN_LENGTH = 4;    // shortest code we accept as a scan
+const END_IDLE_MS = 80;  // no suffix configured: silence ends the scan
+
+let audioCtx = null;
+
+/** Audible error cue; silently does nothing where Web Audio is unavailable */
+export function playErrorTone() {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    audioCtx = audioCtx || new Ctx();
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = 'square';
+    osc.frequency.value = 220;
+    gain.gain.value = 0.08;
+    osc.connect(gain);
+    gain.connect(audioCtx.destination);
+    const now = audioCtx.currentTime;
+    osc.start(now);
+    osc.stop(now + 0.25);
+  } catch {
+    // Autoplay policy or no audio device: the visual cue remains
+  }
+}
+
+function isTextField(el) {
+  if (!el) return false;
+  if (el.tagName === 'TEXTAREA') return !el.readOnly;
+  if (el.tagName !== 'INPUT') return false;
+  return !el.readOnly && ['text', 'search', 'number', 'email', 'tel', 'url', ''].includes(el.type);
+}
+
+/** Field value before the first scanned character, to undo what the scan typed */
+function snapshotOf(el) {
+  if (!isTextField(el)) return null;
+  let start = null;
+  let end = null;
+  try {
+    start = el.selectionStart;
+    end = el.selectionEnd;
+  } catch {
+    // type="number" has no selection API
+  }
+  return { el, value: el.value, start, end };
+}
+
+function restore(snapshot) {
+  if (!snapshot || snapshot.el.value === snapshot.value) return;
+  const { el } = snapshot;
+  el.value = snapshot.value;
+  try {
+    if (snapshot.start !== null) el.setSelectionRange(snapshot.start, snapshot.end);
+  } catch {
+    // ignore (see snapshotOf)
+  }
+  // Let v-model pick the old value up again
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * @param {{ enabled: import('vue').Ref<boolean>|boolean, onScan: (code:string) => void }} opts
+ */
+export function useBarcodeScanner({ enabled, onScan }) {
+  let buffer = '';
+  let lastAt = 0;
+  let snapshot = null;
+  let idleTimer = null;
+  let swallowKeyup = null; // key whose keyup belongs to the scan terminator
+
+  function reset() {
+    buffer = '';
+    lastAt = 0;
+    snapshot = null;
+    clearTimeout(idleTimer);
+    idleTimer = null;
+  }
+
+  function finish() {
+    const code = buffer.trim();
+    restore(snapshot);
+    reset();
+    if (code) onScan(code);
+  }
+
+  function onKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) {
+      reset();
+      return;
+    }
+
+    const now = e.timeStamp || performance.now();
+
+    if (e.key === 'Enter' || e.key === 'Tab') {
+      if (buffer.length >= MIN_LENGTH && now - lastAt <= END_IDLE_MS) {
+        e.preventDefault();
+        e.stopPropagation();
+        swallowKeyup = e.key;
+        finish();
+      } else {
+        reset();
+      }
+      return;
+    }
+
+    // Shift (upper-case characters) and other non-printing keys don't break a scan
+    if (e.key.length !== 1) return;
+
+    if (buffer && now - lastAt > MAX_GAP_MS) reset();
+    if (!buffer) snapshot = snapshotOf(e.target);
+
+    buffer += e.key;
+    lastAt = now;
+
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (buffer.length >= MIN_LENGTH) finish();
+      else reset();
+    }, END_IDLE_MS);
+  }
+
+  function onKeyup(e) {
+    if (swallowKeyup && e.key === swallowKeyup) {
+      e.preventDefault();
+      e.stopPropagation();
+      swallowKeyup = null;
+    }
+  }
+
+  function attach() {
+    window.addEventListener('keydown', onKeydown, true);
+    window.addEventListener('keyup', onKeyup, true);
+  }
+
+  function detach() {
+    window.removeEventListener('keydown', onKeydown, true);
+    window.removeEventListener('keyup', onKeyup, true);
+    reset();
+    swallowKeyup = null;
+  }
+
+  watch(
+    () => !!unref(enabled),
+    (on) => (on ? attach() : detach()),
+    { immediate: true },
+  );
+
+  if (getCurrentScope()) onScopeDispose(detach);
+
+  return { detach };
+}
@@ -0,0 +1,59 @@
+// resources/js/zoho/inventory/composables/useContacts.js
+// ============================================================
+// useContacts()
+// ------------------------------------------------------------
+// Contact lookups through the shared query cache:
+//  - getById(id, opts):  GET /api/zoho/contacts/:id (full contact,
+//                        persons, currency), cached for 5 minutes
+//  - search(q, page, perPage, contactType, opts):
+//                        GET /api/zoho/contacts?q=… (picker pages),
+//                        cached for a minute per query/page
+//  - invalidateContact(id?): drop one contact (or all contact data),
+//                        with the search and customer list pages
+//  - save(form, id?):    POST /api/zoho/contacts (new customer) or
+//                        PUT /api/zoho/contacts/:id; refreshes the cache
+// All return the backend body as-is ({ status:'ok', data, ... }).
+// opts: { force?, signal?, onUpdate? } (see api/queryCache.js)
+// ============================================================
+
+import { getContact, searchContacts, createContact, updateContact } from '@inventory/api/Api';
+import { cachedQuery, invalidateQueries, QUERY_TIMES } from '@inventory/api/queryCache';
+
+export function useContacts() {
+  function getById(id, opts = {}) {
+    const contactId = String(id ?? '');
+    return cachedQuery(['contact', contactId], () => getContact(contactId), {
+      ...QUERY_TIMES.contact,
+      ...opts,
+    });
+  }
+
+  function search(q, page = 1, perPage = 20, contactType = '', opts = {}) {
+    const term = String(q ?? '').trim();
+    return cachedQuery(
+      ['contacts', { q: term.toLowerCase(), page, per_page: perPage, contact_type: contactType }],
+      () => searchContacts(term, page, perPage, contactType),
+      { ...QUERY_TIMES.contactSearch, ...opts },
+    );
+  }
+
+  function invalidateContact(id) {
+    if (id) {
+      invalidateQueries(['contact', String(id)]);
+    } else {
+      invalidateQueries(['contact']);
+    }
+    invalidateQueries(['contacts']);
+    invalidateQueries(['customers']);
+  }
+
+  /** Create (no id) or update a customer; the saved contact replaces any cached copy */
+  async function save(form, id = '') {
+    const body = id ? await updateContact(String(id), form) : await createContact(form);
+    const contactId = String(body?.data?.contact_id ?? id ?? '');
+    invalidateContact(contactId || undefined);
+    return body;
+  }
+
+  return { getById, search, invalidateContact, save };
+}
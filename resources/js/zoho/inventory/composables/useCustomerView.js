@@ -0,0 +1,186 @@
+// resources/js/zoho/inventory/composables/useCustomerView.js
+// ============================================================
+// useCustomerView()
+// ------------------------------------------------------------
+// Data for the customer page, loaded side by side:
+//  - contact:     full Zoho contact (useContacts.getById: persons,
+//                 addresses, currency, payment terms)
+//  - receivables: open invoices with outstanding / overdue totals
+//                 (GET /api/zoho/contacts/:id/receivables)
+//  - salesOrders: one page of the customer's Sales Orders
+//                 (listSalesOrders with the customer_id filter, newest first)
+// Each part has its own loading / error, so a failing invoice list
+// doesn't hide the contact. All three come from the shared query cache.
+// Exposed:
+//  - contact, loading, error
+//  - receivables, receivablesLoading, receivablesError
+//  - salesOrders, ordersPage, ordersLoading, ordersError
+//  - fetchOne(id, { force }), refresh(), ordersPrev(), ordersNext()
+// ============================================================
+
+import { ref, reactive, getCurrentScope, onScopeDispose } from 'vue';
+import {
+  listSalesOrders,
+  getCustomerReceivables,
+  createRequestScope,
+  errorMessage,
+  isCancelled,
+} from '@inventory/api/Api';
+import { cachedQuery, QUERY_TIMES } from '@inventory/api/queryCache';
+import { useContacts } from '@inventory/composables/useContacts';
+
+// Orders per page on the customer page
+const ORDERS_PER_PAGE = 10;
+
+export function useCustomerView() {
+  const { getById } = useContacts();
+
+  const contact = ref(null);
+  const loading = ref(true);
+  const error = ref(null);
+
+  const receivables = ref(null);
+  const receivablesLoading = ref(false);
+  const receivablesError = ref(null);
+
+  const salesOrders = ref([]);
+  const ordersPage = reactive({ page: 1, has_more_page: false });
+  const ordersLoading = ref(false);
+  const ordersError = ref(null);
+
+  const storedId = ref(null);
+  // Switching customers quickly: late responses for the previous one are dropped
+  const contactScope = createRequestScope();
+  const receivablesScope = createRequestScope();
+  const ordersScope = createRequestScope();
+  if (getCurrentScope()) {
+    onScopeDispose(() => {
+      contactScope.abort();
+      receivablesScope.abort();
+      ordersScope.abort();
+    });
+  }
+
+  async function loadContact(id, force) {
+    const signal = contactScope.next();
+    loading.value = true;
+    error.value = null;
+    try {
+      const res = await getById(id, {
+        force,
+        signal,
+        onUpdate: (fresh) => {
+          contact.value = fresh?.data ?? null;
+        },
+      });
+      contact.value = res?.data ?? null;
+    } catch (e) {
+      if (isCancelled(e)) return;
+      contact.value = null;
+      error.value = errorMessage(e, 'Failed to load customer');
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  }
+
+  async function loadReceivables(id, force) {
+    const signal = receivablesScope.next();
+    receivablesLoading.value = true;
+    receivablesError.value = null;
+    try {
+      const res = await cachedQuery(['receivables', id], () => getCustomerReceivables(id), {
+        ...QUERY_TIMES.receivables,
+        force,
+        signal,
+        onUpdate: (fresh) => {
+          receivables.value = fresh?.data ?? null;
+        },
+      });
+      receivables.value = res?.data ?? null;
+    } catch (e) {
+      if (isCancelled(e)) return;
+      receivables.value = null;
+      receivablesError.value = errorMessage(e, 'Failed to load receivables');
+    } finally {
+      if (!signal.aborted) receivablesLoading.value = false;
+    }
+  }
+
+  async function loadOrders(id, force = false) {
+    const signal = ordersScope.next();
+    ordersLoading.value = true;
+    ordersError.value = null;
+    const apply = (res) => {
+      salesOrders.value = Array.isArray(res?.data) ? res.data : [];
+      ordersPage.has_more_page = !!res?.page_context?.has_more_page;
+    };
+    try {
+      const query = {
+        customer_id: id,
+        page: ordersPage.page,
+        per_page: ORDERS_PER_PAGE,
+        sort_column: 'date',
+        sort_order: 'D',
+      };
+      const res = await cachedQuery(['salesorders', query], () => listSalesOrders(query), {
+        ...QUERY_TIMES.salesorders,
+        force,
+        signal,
+        onUpdate: apply,
+      });
+      apply(res);
+    } catch (e) {
+      if (isCancelled(e)) return;
+      salesOrders.value = [];
+      ordersError.value = errorMessage(e, 'Failed to load Sales Orders');
+    } finally {
+      if (!signal.aborted) ordersLoading.value = false;
+    }
+  }
+
+  /** Contact, receivables and the first page of orders */
+  async function fetchOne(id, { force = false } = {}) {
+    const contactId = String(id ?? storedId.value ?? '');
+    if (contactId !== storedId.value) ordersPage.page = 1;
+    storedId.value = contactId;
+    await Promise.all([
+      loadContact(contactId, force),
+      loadReceivables(contactId, force),
+      loadOrders(contactId, force),
+    ]);
+  }
+
+  /** Refetch everything for the current customer (bypasses the cache) */
+  function refresh() {
+    return fetchOne(undefined, { force: true });
+  }
+
+  function ordersPrev() {
+    if (ordersPage.page <= 1 || !storedId.value) return;
+    ordersPage.page -= 1;
+    return loadOrders(storedId.value);
+  }
+
+  function ordersNext() {
+    if (!ordersPage.has_more_page || !storedId.value) return;
+    ordersPage.page += 1;
+    return loadOrders(storedId.value);
+  }
+
+  return {
+    contact,
+    loading,
+    error,
+    receivables,
+    receivablesLoading,
+    receivablesError,
+    salesOrders,
+    ordersPage,
+    ordersLoading,
+    ordersError,
+    fetchOne,
+    refresh,
+    ordersPrev,
+    ordersNext,
+  };
+}
@@ -0,0 +1,145 @@
+// resources/js/zoho/inventory/composables/useCustomersList.js
+// ============================================================
+// useCustomersList()
+// ------------------------------------------------------------
+// Fetch and hold a paginated customer list (GET /api/zoho/customers).
+// Exposes:
+// - rows, pageContext, loading, error
+// - params: { q, status, page, per_page, sort_column, sort_order }
+// - load({ force }), setPerPage(n), setQuery(q), setStatus(s), setSort(column)
+// - prevPage(), nextPage()
+// Mirrors usePurchaseOrdersList(); pages come from the shared query
+// cache (saving a customer or an order drops them).
+// ============================================================
+
+import { ref, reactive, computed, getCurrentScope, onScopeDispose } from 'vue';
+import { listCustomers, createRequestScope, errorMessage, isCancelled } from '@inventory/api/Api';
+import { cachedQuery, QUERY_TIMES } from '@inventory/api/queryCache';
+
+// First click on a column sorts names ascending, balances descending
+const DESC_FIRST = ['outstanding_receivable_amount', 'created_time'];
+
+export function useCustomersList(initial = {}) {
+  const rows = ref([]);
+  const pageContext = ref({ page: 1, per_page: 25, has_more_page: false });
+
+  const loading = ref(false);
+  const error = ref(null);
+  // Paging/sorting quickly: only the latest load may fill the table
+  const scope = createRequestScope();
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
+
+  const params = reactive({
+    q: '',
+    status: '',
+    page: 1,
+    per_page: 25,
+    sort_column: 'contact_name',
+    sort_order: 'A',
+    ...initial,
+  });
+
+  function applyResponse(res) {
+    rows.value = Array.isArray(res?.data) ? res.data : [];
+    if (res?.page_context) {
+      pageContext.value = { ...pageContext.value, ...res.page_context };
+    } else {
+      pageContext.value.page = params.page;
+      pageContext.value.per_page = params.per_page;
+      pageContext.value.has_more_page = false;
+    }
+  }
+
+  async function load({ force = false } = {}) {
+    const signal = scope.next();
+    loading.value = true;
+    error.value = null;
+    try {
+      const query = {
+        page: params.page,
+        per_page: params.per_page,
+        q: params.q,
+        sort_column: params.sort_column,
+        sort_order: params.sort_order,
+        ...(params.status ? { status: params.status } : {}),
+      };
+      const res = await cachedQuery(['customers', query], () => listCustomers(query), {
+        ...QUERY_TIMES.customers,
+        force,
+        signal,
+        onUpdate: applyResponse,
+      });
+      applyResponse(res);
+    } catch (e) {
+      if (isCancelled(e)) return;
+      rows.value = [];
+      error.value = errorMessage(e, 'Failed to load customers');
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  }
+
+  function setPerPage(n) {
+    params.per_page = Number(n) || 25;
+    params.page = 1;
+    return load();
+  }
+
+  function setQuery(q) {
+    params.q = String(q ?? '');
+    params.page = 1;
+    return load();
+  }
+
+  function setStatus(status) {
+    params.status = String(status ?? '');
+    params.page = 1;
+    return load();
+  }
+
+  // Click on a column header: same column flips the order, a new one starts fresh
+  function setSort(column) {
+    if (params.sort_column === column) {
+      params.sort_order = params.sort_order === 'A' ? 'D' : 'A';
+    } else {
+      params.sort_column = column;
+      params.sort_order = DESC_FIRST.includes(column) ? 'D' : 'A';
+    }
+    params.page = 1;
+    return load();
+  }
+
+  // --- Pagination helpers ------------------------------------
+  const canPrev = computed(() => params.page > 1);
+  const canNext = computed(() => !!pageContext.value?.has_more_page);
+
+  function prevPage() {
+    if (!canPrev.value) return;
+    params.page -= 1;
+    return load();
+  }
+
+  function nextPage() {
+    if (!canNext.value) return;
+    params.page += 1;
+    return load();
+  }
+
+  return {
+    rows,
+    pageContext,
+    loading,
+    error,
+    params,
+    load,
+    setPerPage,
+    setQuery,
+    setStatus,
+    setSort,
+    // pagination
+    canPrev,
+    canNext,
+    prevPage,
+    nextPage,
+  };
+}
@@ -0,0 +1,157 @@
+// resources/js/zoho/inventory/composables/useDashboard.js
+// ============================================================
+// useDashboard()
+// ------------------------------------------------------------
+// Data for the dashboard, loaded side by side from the summary
+// endpoints (aggregated and cached on the server, so opening the
+// dashboard costs Zoho at most a few list calls per cache period):
+//  - sales:    orders / revenue series, status counts, top customers
+//              and items (GET /api/zoho/dashboard/sales)
+//  - lowStock: items at or below their reorder level
+//              (GET /api/zoho/dashboard/low-stock)
+//  - awaiting: Purchase Orders awaiting receipt
+//              (GET /api/zoho/dashboard/purchaseorders)
+// Each part has its own loading / error, so one failing summary
+// doesn't blank the others. All three use the shared query cache.
+// Exposed:
+//  - params: { days: 7|30|90, interval: 'day'|'week' }
+//  - sales, salesLoading, salesError
+//  - lowStock, lowStockLoading, lowStockError
+//  - awaiting, awaitingLoading, awaitingError
+//  - load({ force }), setDays(n), setSeriesInterval(i)
+// ============================================================
+
+import { ref, reactive, getCurrentScope, onScopeDispose } from 'vue';
+import {
+  getSalesSummary,
+  getLowStockSummary,
+  getPurchaseOrdersAwaiting,
+  createRequestScope,
+  errorMessage,
+  isCancelled,
+} from '@inventory/api/Api';
+import { cachedQuery, QUERY_TIMES } from '@inventory/api/queryCache';
+
+// Rows shown in the low-stock and awaiting-receipt cards
+const LIST_LIMIT = 10;
+
+export function useDashboard(initial = {}) {
+  const params = reactive({ days: 30, interval: 'day', ...initial });
+
+  const sales = ref(null);
+  const salesLoading = ref(false);
+  const salesError = ref(null);
+
+  const lowStock = ref(null);
+  const lowStockLoading = ref(false);
+  const lowStockError = ref(null);
+
+  const awaiting = ref(null);
+  const awaitingLoading = ref(false);
+  const awaitingError = ref(null);
+
+  // Switching the range quickly: only the latest sales load may fill the charts
+  const salesScope = createRequestScope();
+  const lowStockScope = createRequestScope();
+  const awaitingScope = createRequestScope();
+  if (getCurrentScope()) {
+    onScopeDispose(() => {
+      salesScope.abort();
+      lowStockScope.abort();
+      awaitingScope.abort();
+    });
+  }
+
+  /** One summary into its refs (same flow for all three parts) */
+  async function loadPart(scope, key, fetcher, target, loading, error, fallback, force) {
+    const signal = scope.next();
+    loading.value = true;
+    error.value = null;
+    try {
+      const res = await cachedQuery(key, fetcher, {
+        ...QUERY_TIMES.dashboard,
+        force,
+        signal,
+        onUpdate: (fresh) => {
+          target.value = fresh?.data ?? null;
+        },
+      });
+      target.value = res?.data ?? null;
+    } catch (e) {
+      if (isCancelled(e)) return;
+      target.value = null;
+      error.value = errorMessage(e, fallback);
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  }
+
+  function loadSales(force = false) {
+    const query = { days: params.days, interval: params.interval };
+    return loadPart(
+      salesScope,
+      ['dashboard', 'sales', query],
+      () => getSalesSummary(query),
+      sales,
+      salesLoading,
+      salesError,
+      'Failed to load the sales summary',
+      force,
+    );
+  }
+
+  function load({ force = false } = {}) {
+    const query = { limit: LIST_LIMIT };
+    return Promise.all([
+      loadSales(force),
+      loadPart(
+        lowStockScope,
+        ['dashboard', 'low-stock', query],
+        () => getLowStockSummary(query),
+        lowStock,
+        lowStockLoading,
+        lowStockError,
+        'Failed to load low-stock items',
+        force,
+      ),
+      loadPart(
+        awaitingScope,
+        ['dashboard', 'purchaseorders', query],
+        () => getPurchaseOrdersAwaiting(query),
+        awaiting,
+        awaitingLoading,
+        awaitingError,
+        'Failed to load Purchase Orders',
+        force,
+      ),
+    ]);
+  }
+
+  // 90 days per day is too dense for the chart: switch to weeks
+  function setDays(n) {
+    params.days = Number(n) || 30;
+    if (params.days > 30) params.interval = 'week';
+    return loadSales();
+  }
+
+  function setSeriesInterval(interval) {
+    params.interval = interval === 'week' ? 'week' : 'day';
+    return loadSales();
+  }
+
+  return {
+    params,
+    sales,
+    salesLoading,
+    salesError,
+    lowStock,
+    lowStockLoading,
+    lowStockError,
+    awaiting,
+    awaitingLoading,
+    awaitingError,
+    load,
+    setDays,
+    setSeriesInterval,
+  };
+}
@@ -0,0 +1,109 @@
+// resources/js/zoho/inventory/composables/useDuplicateSalesOrder.js
+// ============================================================
+// useDuplicateSalesOrder()
+// ------------------------------------------------------------
+// Purpose:
+//  - "Duplicate" an existing Sales Order into the new-order draft
+//    (customer, lines, pricing; see store.loadAsDuplicate)
+//  - Refresh every line with the item's current price and stock
+//    via useItemDetails(), converted with the current exchange rate
+//    (store.toOrderCurrency)
+//  - Mark lines that differ from the original on `line.changes`:
+//      previous_rate — the price changed (line now has the current price)
+//      availability  — 'short' | 'out_of_stock' (tracked stock < qty)
+//                      'unavailable' (item inactive or no longer found)
+//
+// Exposed:
+//  - busy:  ref<boolean>
+//  - error: ref<string | null>
+//  - duplicate(so): Promise<{ lines, changed }>  (counts)
+// ============================================================
+
+import { ref } from 'vue';
+import { errorMessage } from '@inventory/api/Api';
+import { useItemDetails } from '@inventory/composables/useItemDetails';
+import { useMoney } from '@inventory/composables/useMoney';
+import { useOrderStore } from '@inventory/stores/order';
+import { round2 } from '@inventory/stores/orderTotals';
+import { lineStock, warehouseStock } from '@inventory/stores/lineStock';
+
+/** 'short' / 'out_of_stock' for tracked items whose stock (at the line's warehouse) doesn't cover qty */
+function availabilityOf(details, line) {
+  if (String(details?._raw?.status ?? 'active') === 'inactive') return 'unavailable';
+  if (!details?.track_inventory) return null;
+
+  const stock = lineStock(line);
+  if (stock === null) return null;
+  if (stock <= 0) return 'out_of_stock';
+  return stock < Number(line.qty || 0) ? 'short' : null;
+}
+
+export function useDuplicateSalesOrder() {
+  const store = useOrderStore();
+  const { getById } = useItemDetails();
+  const { ensureLoaded, findCurrency } = useMoney();
+
+  const busy = ref(false);
+  const error = ref(null);
+
+  async function duplicate(so) {
+    if (!so) return { lines: 0, changed: 0 };
+
+    busy.value = true;
+    error.value = null;
+    try {
+      await ensureLoaded();
+      store.loadAsDuplicate(so);
+
+      // Today's rate for the order currency (the original keeps its historical one)
+      const currency = store.currency_id ? findCurrency(store.currency_id) : null;
+      if (Number(currency?.exchange_rate) > 0) {
+        store.exchange_rate = Number(currency.exchange_rate);
+      }
+
+      let changed = 0;
+      await Promise.all(
+        store.items.map(async (line) => {
+          // Free-text lines have nothing to refresh
+          if (!line.item_id) return;
+
+          const details = await getById(line.item_id);
+          const changes = {};
+
+          if (!details) {
+            changes.availability = 'unavailable';
+          } else {
+            line.track_inventory = !!details.track_inventory;
+            line.can_be_purchased = !!details.can_be_purchased;
+            line.available_stock = details.available_stock ?? null;
+            line.warehouses = warehouseStock(details);
+
+            const current = store.toOrderCurrency(details.rate);
+            if (current !== round2(line.rate)) {
+              changes.previous_rate = round2(line.rate);
+              line.rate = current;
+            }
+
+            const availability = availabilityOf(details, line);
+            if (availability) changes.availability = availability;
+          }
+
+          if (Object.keys(changes).length) {
+            line.changes = changes;
+            changed += 1;
+          }
+        }),
+      );
+
+      store.recomputeTotals();
+      return { lines: store.items.length, changed };
+    } catch (e) {
+      error.value = errorMessage(e, 'Failed to duplicate the Sales Order');
+      throw e;
+    } finally {
+      busy.value = false;
+    }
+  }
+
+  return { busy, error, duplicate };
+}
@@ -0,0 +1,80 @@
+// resources/js/zoho/inventory/composables/useFulfilment.js
+// ============================================================
+// useFulfilment()
+// ------------------------------------------------------------
+// Packages and shipments of a confirmed Sales Order:
+//  - pack(soId, lines, { date, notes }):  POST /salesorders/:id/packages
+//                                          (partial quantities allowed)
+//  - ship(soId, { package_id, carrier, tracking_number, date, notes }):
+//                                          POST /salesorders/:id/shipments
+//  - busy / error:  UI state of the running call
+// Both drop the cached order (and item stock) so the page refetches.
+// Helpers for the Zoho order payload: remainingToPack(line),
+// packagesOf(order), unshippedPackages(order), canPack(order).
+// ============================================================
+
+import { ref } from 'vue';
+import { createPackage, createShipment, errorMessage } from '@inventory/api/Api';
+import { invalidateSalesOrders } from '@inventory/composables/useSalesOrderView';
+
+// Statuses Zoho accepts packages for
+const PACKABLE_STATUSES = ['confirmed', 'open', 'partially_shipped', 'onhold'];
+
+/** Quantity of a Sales Order line not packed yet */
+export function remainingToPack(line) {
+  const ordered = Number(line?.quantity ?? 0);
+  const packed = Number(line?.quantity_packed ?? 0);
+  return Math.max(0, ordered - packed);
+}
+
+/** Packages listed on a Sales Order (with their shipment, when shipped) */
+export function packagesOf(order) {
+  return Array.isArray(order?.packages) ? order.packages : [];
+}
+
+/** Packages still waiting for a shipment */
+export function unshippedPackages(order) {
+  return packagesOf(order).filter((p) => !p.shipment_id && String(p.status ?? '').toLowerCase() !== 'shipped');
+}
+
+/** Confirmed order with something left to pack */
+export function canPack(order) {
+  const status = String(order?.status ?? '').toLowerCase();
+  const lines = Array.isArray(order?.line_items) ? order.line_items : [];
+  return PACKABLE_STATUSES.includes(status) && lines.some((li) => remainingToPack(li) > 0);
+}
+
+export function useFulfilment() {
+  const busy = ref(false);
+  const error = ref(null);
+
+  async function run(call, salesorderId, fallback) {
+    busy.value = true;
+    error.value = null;
+    try {
+      const body = await call();
+      invalidateSalesOrders(salesorderId);
+      return body;
+    } catch (e) {
+      error.value = errorMessage(e, fallback);
+      return null;
+    } finally {
+      busy.value = false;
+    }
+  }
+
+  /**
+   * @param {string} salesorderId
+   * @param {Array<{ line_item_id:string, quantity:number }>} lines
+   * @param {{ date?:string, notes?:string }} opts
+   */
+  function pack(salesorderId, lines, opts = {}) {
+    return run(() => createPackage(String(salesorderId), { ...opts, lines }), salesorderId, 'Failed to create the package');
+  }
+
+  function ship(salesorderId, payload) {
+    return run(() => createShipment(String(salesorderId), payload), salesorderId, 'Failed to create the shipment');
+  }
+
+  return { busy, error, pack, ship };
+}
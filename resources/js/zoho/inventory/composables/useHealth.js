@@ -11,7 +11,7 @@
 
 import { ref } from 'vue';
 // IMPORTANT: keep same API import path as in your project
-import { checkHealth as apiCheckHealth } from '@inventory/api/Api';
+import { checkHealth as apiCheckHealth, errorMessage } from '@inventory/api/Api';
 
 export function useHealth() {
   const data = ref(null);
@@ -24,8 +24,7 @@ export function useHealth() {
     try {
       data.value = await apiCheckHealth();
     } catch (e) {
-      // pull a readable message safely
-      error.value = e?.response?.data?.message || e?.message || 'Health check failed';
+      error.value = errorMessage(e, 'Health check failed');
     } finally {
       loading.value = false;
     }
@@ -0,0 +1,48 @@
+// resources/js/zoho/inventory/composables/useInvoicePayment.js
+// ============================================================
+// useInvoicePayment()
+// ------------------------------------------------------------
+// Records a payment against an invoice of a Sales Order
+// (POST /api/zoho/invoices/:id/payments) and drops the cached
+// order, so its paid status is refetched.
+//  - busy / error:                    UI state
+//  - record(invoiceId, payload, soId): response body, or null on failure
+// payload: { amount, date?, payment_mode?, reference_number?, description? }
+// ============================================================
+
+import { ref } from 'vue';
+import { recordInvoicePayment, errorMessage } from '@inventory/api/Api';
+import { invalidateSalesOrders } from '@inventory/composables/useSalesOrderView';
+
+// Zoho payment modes (value → label), same list as ZohoInventoryService::PAYMENT_MODES
+export const PAYMENT_MODES = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'banktransfer', label: 'Bank transfer' },
+  { value: 'creditcard', label: 'Credit card' },
+  { value: 'check', label: 'Check' },
+  { value: 'bankremittance', label: 'Bank remittance' },
+  { value: 'others', label: 'Other' },
+];
+
+export function useInvoicePayment() {
+  const busy = ref(false);
+  const error = ref(null);
+
+  async function record(invoiceId, payload, salesorderId = null) {
+    if (!invoiceId) return null;
+    busy.value = true;
+    error.value = null;
+    try {
+      const body = await recordInvoicePayment(String(invoiceId), payload);
+      invalidateSalesOrders(salesorderId);
+      return body;
+    } catch (e) {
+      error.value = errorMessage(e, 'Failed to record the payment');
+      return null;
+    } finally {
+      busy.value = false;
+    }
+  }
+
+  return { busy, error, record };
+}
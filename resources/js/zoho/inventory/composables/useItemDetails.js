@@ -5,7 +5,8 @@
 // Purpose:
 //  - Fetch a single Zoho Inventory item by ID via Laravel API
 //  - Normalize a few commonly-used fields
-//  - Cache results in-memory by item_id to avoid repeat calls
+//  - Cache results in the shared query cache (api/queryCache.js):
+//    stock is revalidated in the background once older than 30s
 //
 // API contract (from Api.js -> GET /api/zoho/items/:id):
 //  - Expected response: { status: 'ok', data: { ...item } }
@@ -14,16 +15,21 @@
 //  - loading: ref<boolean>
 //  - error:   ref<string | null>
 //  - last:    ref<object | null>  (last fetched item)
-//  - getById(id: string): Promise<object|null>
+//  - getById(id: string, { force?, onUpdate? }): Promise<object|null>
 //    * returns a plain object with normalized fields where available
 //    * also updates `last`
+//    * onUpdate(item) fires when stale data was served and the
+//      background refetch brought newer data
+//  - invalidateItem(id?): drop one item (or all items) from the cache
+//  - findByCode(code): Promise<object|null>
+//    * exact SKU / UPC / EAN match (GET /api/zoho/items/lookup), for
+//      the barcode scanner; null for an unknown code, other failures
+//      throw the ApiError. Does not touch loading / error / last.
 // ============================================================
 
 import { ref } from 'vue';
-import { getItemDetails } from '@inventory/api/Api';
-
-// Simple in-memory cache (per tab). Key: item_id, Value: normalized item.
-const cache = new Map();
+import { getItemDetails, lookupItemByCode, errorMessage, toApiError, ERROR_TYPES } from '@inventory/api/Api';
+import { cachedQuery, invalidateQueries, QUERY_TIMES } from '@inventory/api/queryCache';
 
 /** Extract a normalized shape we will commonly use in the UI. */
 function normalizeItem(raw = {}) {
@@ -41,12 +47,42 @@ function normalizeItem(raw = {}) {
     sku: raw.sku ?? raw.product_code ?? '',
     rate: Number(raw.rate ?? raw.selling_price ?? raw.unit_price ?? 0),
 
+    // catalog details (item detail page)
+    description: raw.description ?? '',
+    status: raw.status ?? 'active',
+    unit: raw.unit ?? '',
+    category_name: raw.category_name ?? '',
+    upc: raw.upc ?? '',
+    ean: raw.ean ?? '',
+    tax_id: raw.tax_id ? String(raw.tax_id) : '',
+    tax_name: raw.tax_name ?? '',
+    tax_percentage: Number(raw.tax_percentage ?? 0),
+    image_document_id: raw.image_document_id ?? '',
+
     // inventory flags
     track_inventory: Boolean(raw.track_inventory),
+    can_be_sold: raw.can_be_sold !== false,
     can_be_purchased: Boolean(raw.can_be_purchased),
 
-    // availability (best-effort)
+    // availability (best-effort): item total, and per warehouse when the
+    // organization has several (see stores/lineStock.js)
     available_stock: available,
+    physical_stock: raw.physical_stock ?? null,
+    warehouses: Array.isArray(raw.warehouses)
+      ? raw.warehouses.map((w) => ({
+          warehouse_id: String(w.warehouse_id ?? ''),
+          warehouse_name: w.warehouse_name ?? '',
+          is_primary: Boolean(w.is_primary),
+          available_stock: w.available_stock ?? null,
+          stock_on_hand: w.stock_on_hand ?? null,
+        }))
+      : [],
+
+    // purchasing (preferred vendor, purchase rate, reorder level)
+    vendor_id: raw.vendor_id ?? raw.preferred_vendor_id ?? '',
+    vendor_name: raw.vendor_name ?? raw.preferred_vendor_name ?? '',
+    purchase_rate: raw.purchase_rate != null ? Number(raw.purchase_rate) : null,
+    reorder_level: raw.reorder_level != null && raw.reorder_level !== '' ? Number(raw.reorder_level) : null,
 
     // keep the whole raw payload as well for edge cases
     _raw: raw,
@@ -60,40 +96,42 @@ export function useItemDetails() {
 
   /**
    * Fetch details for a single item by ID.
-   * Uses cache if present. On success returns normalized item.
+   * Served from the query cache when fresh enough. On success returns normalized item.
    */
-  async function getById(id) {
+  async function getById(id, { force = false, onUpdate } = {}) {
     const itemId = String(id || '').trim();
     if (!itemId) {
       error.value = 'Missing item_id';
       return null;
     }
 
-    // Serve from cache if we have it
-    if (cache.has(itemId)) {
-      const cached = cache.get(itemId);
-      last.value = cached;
-      error.value = null;
-      return cached;
-    }
-
     loading.value = true;
     error.value = null;
 
     try {
-      const res = await getItemDetails(itemId); // { status, data }
-      const raw = res?.data ?? null;
-      if (!raw) {
-        throw new Error('Item not found');
-      }
-
-      const normalized = normalizeItem(raw);
-      cache.set(itemId, normalized);
+      const normalized = await cachedQuery(
+        ['item', itemId],
+        async () => {
+          const res = await getItemDetails(itemId); // { status, data }
+          const raw = res?.data ?? null;
+          if (!raw) {
+            throw new Error('Item not found');
+          }
+          return normalizeItem(raw);
+        },
+        {
+          ...QUERY_TIMES.item,
+          force,
+          onUpdate: (fresh) => {
+            last.value = fresh;
+            onUpdate?.(fresh);
+          },
+        },
+      );
       last.value = normalized;
       return normalized;
     } catch (e) {
-      error.value =
-        e?.response?.data?.message || e?.message || 'Failed to load item details';
+      error.value = errorMessage(e, 'Failed to load item details');
       last.value = null;
       return null;
     } finally {
@@ -101,5 +139,23 @@ export function useItemDetails() {
     }
   }
 
-  return { loading, error, last, getById };
+  /** Forget cached details, e.g. after an order changed stock */
+  function invalidateItem(id) {
+    invalidateQueries(id ? ['item', String(id)] : ['item']);
+  }
+
+  /** Item for a scanned code, or null when no item carries it */
+  async function findByCode(code) {
+    const value = String(code || '').trim();
+    if (!value) return null;
+
+    try {
+      return await cachedQuery(['barcode', value], () => lookupItemByCode(value), QUERY_TIMES.barcode);
+    } catch (e) {
+      if (toApiError(e).type === ERROR_TYPES.NOT_FOUND) return null;
+      throw e;
+    }
+  }
+
+  return { loading, error, last, getById, invalidateItem, findByCode };
 }
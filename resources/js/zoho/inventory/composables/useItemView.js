@@ -0,0 +1,72 @@
+// resources/js/zoho/inventory/composables/useItemView.js
+// ============================================================
+// useItemView()
+// ------------------------------------------------------------
+// Data for the item detail page:
+//  - item: normalized details from useItemDetails() (stock per
+//    warehouse, reorder level, preferred vendor, pricing)
+//  - salesOrders: the item's most recent Sales Orders
+//    (GET /api/zoho/salesorders?item_id=…, newest first), from the
+//    shared query cache so Sales Order writes invalidate them
+// Exposed:
+//  - item, loading, error, salesOrders, ordersLoading, ordersError
+//  - fetchOne(id, { force }), refresh()
+// ============================================================
+
+import { ref, getCurrentScope, onScopeDispose } from 'vue';
+import { listSalesOrders, createRequestScope, errorMessage, isCancelled } from '@inventory/api/Api';
+import { cachedQuery, QUERY_TIMES } from '@inventory/api/queryCache';
+import { useItemDetails } from '@inventory/composables/useItemDetails';
+
+// How many recent orders the page shows
+const RECENT_ORDERS = 10;
+
+export function useItemView() {
+  const { getById, loading, error, last: item } = useItemDetails();
+
+  const salesOrders = ref([]);
+  const ordersLoading = ref(false);
+  const ordersError = ref(null);
+  const storedId = ref(null);
+  // Switching items quickly: a late order list for the previous id is dropped
+  const scope = createRequestScope();
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
+
+  async function loadOrders(id, force) {
+    const signal = scope.next();
+    ordersLoading.value = true;
+    ordersError.value = null;
+    try {
+      const query = { item_id: id, page: 1, per_page: RECENT_ORDERS, sort_column: 'date', sort_order: 'D' };
+      const res = await cachedQuery(['salesorders', query], () => listSalesOrders(query), {
+        ...QUERY_TIMES.salesorders,
+        force,
+        signal,
+        onUpdate: (fresh) => {
+          salesOrders.value = Array.isArray(fresh?.data) ? fresh.data : [];
+        },
+      });
+      salesOrders.value = Array.isArray(res?.data) ? res.data : [];
+    } catch (e) {
+      if (isCancelled(e)) return;
+      salesOrders.value = [];
+      ordersError.value = errorMessage(e, 'Failed to load Sales Orders');
+    } finally {
+      if (!signal.aborted) ordersLoading.value = false;
+    }
+  }
+
+  /** Item details and its recent orders (loaded side by side) */
+  async function fetchOne(id, { force = false } = {}) {
+    const itemId = String(id ?? storedId.value ?? '');
+    storedId.value = itemId;
+    await Promise.all([getById(itemId, { force }), loadOrders(itemId, force)]);
+  }
+
+  /** Refetch the current item (bypasses the cache) */
+  function refresh() {
+    return fetchOne(undefined, { force: true });
+  }
+
+  return { item, loading, error, salesOrders, ordersLoading, ordersError, fetchOne, refresh };
+}
@@ -0,0 +1,216 @@
+// resources/js/zoho/inventory/composables/useItemsCatalog.js
+// ============================================================
+// useItemsCatalog()
+// ------------------------------------------------------------
+// Fetch and hold a paginated item catalog (GET /api/zoho/items/catalog).
+// Exposes:
+// - rows, pageContext, loading, error
+// - params: { q, page, per_page, sort_column, sort_order, ...FILTER_KEYS }
+// - load({ force }), setPerPage(n), setQuery(q), setSort(column), setFilters(patch)
+// - activeFilterCount, prevPage(), nextPage()
+// - applyQuery(routeQuery), toQuery(params?) — mirror params in the URL
+// - categories, loadCategories() — shared list for the category filter
+// Mirrors useSalesOrdersList(). `tracked` / `low_stock` are applied by
+// the backend to each Zoho page, so a page can hold fewer rows than
+// per_page while more pages follow.
+// ============================================================
+
+import { ref, reactive, computed, getCurrentScope, onScopeDispose } from 'vue';
+import { listItems, getItemCategories, createRequestScope, errorMessage, isCancelled } from '@inventory/api/Api';
+import { cachedQuery, QUERY_TIMES } from '@inventory/api/queryCache';
+
+// Server-side filters (see ZohoInventoryController::itemsCatalog); '1' = on for the flags
+export const FILTER_KEYS = ['status', 'category_id', 'tracked', 'low_stock'];
+
+const DEFAULT_PARAMS = {
+  q: '',
+  page: 1,
+  per_page: 25,
+  sort_column: 'name',
+  sort_order: 'A',
+  ...Object.fromEntries(FILTER_KEYS.map((k) => [k, ''])),
+};
+
+const NUMERIC_PARAMS = ['page', 'per_page'];
+
+// First click on a column sorts text ascending, amounts/stock descending
+const DESC_FIRST = ['rate', 'stock_on_hand'];
+
+// Module-level: categories rarely change, one list per tab
+const categories = ref([]);
+let categoriesPending = null;
+
+export function useItemsCatalog(initial = {}) {
+  const rows = ref([]);
+  const pageContext = ref({ page: 1, per_page: 25, has_more_page: false });
+
+  const loading = ref(false);
+  const error = ref(null);
+  // Paging/sorting quickly: only the latest load may fill the table
+  const scope = createRequestScope();
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
+
+  const defaults = { ...DEFAULT_PARAMS, ...initial };
+  const params = reactive({ ...defaults });
+
+  function applyResponse(res) {
+    rows.value = Array.isArray(res?.data) ? res.data : [];
+    if (res?.page_context) {
+      pageContext.value = { ...pageContext.value, ...res.page_context };
+    } else {
+      pageContext.value.page = params.page;
+      pageContext.value.per_page = params.per_page;
+      pageContext.value.has_more_page = false;
+    }
+  }
+
+  async function load({ force = false } = {}) {
+    const signal = scope.next();
+    loading.value = true;
+    error.value = null;
+    try {
+      const query = {
+        page: params.page,
+        per_page: params.per_page,
+        q: params.q,
+        sort_column: params.sort_column,
+        sort_order: params.sort_order,
+        ...Object.fromEntries(FILTER_KEYS.filter((k) => params[k] !== '').map((k) => [k, params[k]])),
+      };
+      const res = await cachedQuery(['items', query], () => listItems(query), {
+        ...QUERY_TIMES.items,
+        force,
+        signal,
+        onUpdate: applyResponse,
+      });
+      applyResponse(res);
+    } catch (e) {
+      if (isCancelled(e)) return;
+      rows.value = [];
+      error.value = errorMessage(e, 'Failed to load items');
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  }
+
+  function setPerPage(n) {
+    params.per_page = Number(n) || 25;
+    params.page = 1;
+    return load();
+  }
+
+  function setQuery(q) {
+    params.q = String(q ?? '');
+    params.page = 1;
+    return load();
+  }
+
+  // Click on a column header: same column flips the order, a new one starts fresh
+  function setSort(column) {
+    if (params.sort_column === column) {
+      params.sort_order = params.sort_order === 'A' ? 'D' : 'A';
+    } else {
+      params.sort_column = column;
+      params.sort_order = DESC_FIRST.includes(column) ? 'D' : 'A';
+    }
+    params.page = 1;
+    return load();
+  }
+
+  // Merge filter values ('' / null / false clears one) and reload from page 1
+  function setFilters(patch = {}) {
+    FILTER_KEYS.forEach((k) => {
+      if (!(k in patch)) return;
+      const v = patch[k];
+      params[k] = v == null || v === false ? '' : v === true ? '1' : String(v);
+    });
+    params.page = 1;
+    return load();
+  }
+
+  const activeFilterCount = computed(() => FILTER_KEYS.filter((k) => params[k] !== '').length);
+
+  /** Categories for the filter; a failure leaves the list empty (filter hidden) */
+  async function loadCategories() {
+    if (categories.value.length) return categories.value;
+    if (!categoriesPending) {
+      categoriesPending = getItemCategories()
+        .then((res) => {
+          categories.value = Array.isArray(res?.data) ? res.data : [];
+        })
+        .catch(() => {})
+        .finally(() => {
+          categoriesPending = null;
+        });
+    }
+    await categoriesPending;
+    return categories.value;
+  }
+
+  // --- URL sync ----------------------------------------------
+  // Params ↔ route query; defaults are left out so URLs stay short.
+
+  /** Set every param from a route query (missing keys → defaults) */
+  function applyQuery(query = {}) {
+    Object.keys(defaults).forEach((k) => {
+      const raw = Array.isArray(query[k]) ? query[k][0] : query[k];
+      if (raw === undefined || raw === null || raw === '') {
+        params[k] = defaults[k];
+      } else if (NUMERIC_PARAMS.includes(k)) {
+        params[k] = Math.max(1, Number(raw) || defaults[k]);
+      } else {
+        params[k] = String(raw);
+      }
+    });
+  }
+
+  /** Route query for the given params (current ones by default) */
+  function toQuery(source = params) {
+    const out = {};
+    Object.keys(defaults).forEach((k) => {
+      const v = source[k] ?? defaults[k];
+      if (String(v) !== String(defaults[k])) out[k] = String(v);
+    });
+    return out;
+  }
+
+  // --- Pagination helpers ------------------------------------
+  const canPrev = computed(() => params.page > 1);
+  const canNext = computed(() => !!pageContext.value?.has_more_page);
+
+  function prevPage() {
+    if (!canPrev.value) return;
+    params.page -= 1;
+    return load();
+  }
+
+  function nextPage() {
+    if (!canNext.value) return;
+    params.page += 1;
+    return load();
+  }
+
+  return {
+    rows,
+    pageContext,
+    loading,
+    error,
+    params,
+    load,
+    setPerPage,
+    setQuery,
+    setSort,
+    setFilters,
+    activeFilterCount,
+    categories,
+    loadCategories,
+    // URL sync
+    applyQuery,
+    toQuery,
+    // pagination
+    canPrev,
+    canNext,
+    prevPage,
+    nextPage,
+  };
+}
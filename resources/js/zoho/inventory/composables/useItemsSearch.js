@@ -1,51 +1,78 @@
 // resources/js/zoho/inventory/composables/useItemsSearch.js
 // ============================================================
-// useItemsSearch()
+// useItemsSearch({ perPage })
 // ------------------------------------------------------------
 // - Composable for item search via backend API (/api/zoho/items)
-// - Returns: results, loading, error, search(q), clear()
-// - Used in ItemsTable.vue (search + add item workflow)
+// - Returns: results, loading, error, hasMore, search(q), loadMore(), clear()
+// - Paged: search(q) loads page 1, loadMore() appends the next page
+//   while Zoho reports has_more_page
+// - A new search aborts the previous one, so a slow older
+//   response can never replace newer results
+// - Used by ItemSelect.vue (item picker in ItemsTable)
 // ============================================================
 
-import { ref } from 'vue';
-import { http, API } from '@inventory/api/Api';
+import { ref, getCurrentScope, onScopeDispose } from 'vue';
+import { searchItemsPage, createRequestScope, errorMessage, isCancelled } from '@inventory/api/Api';
 
-export function useItemsSearch() {
+export function useItemsSearch({ perPage = 25 } = {}) {
   const results = ref([]);
   const loading = ref(false);
   const error = ref('');
+  const hasMore = ref(false);
+  const scope = createRequestScope();
+  let term = '';
+  let page = 1;
+  // Nothing should land after the component using this is gone
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
 
-  // --- Search handler -------------------------------------------------
-  async function search(q) {
-    const term = String(q ?? '').trim();
-    if (!term) {
-      results.value = [];
-      error.value = '';
-      return;
-    }
-
+  async function fetchPage(pageToLoad) {
+    const signal = scope.next();
     loading.value = true;
     error.value = '';
     try {
-      const { data } = await http.get(API.items, { params: { q: term } });
-      // Backend returns { status:'ok', data:[...] }
-      results.value = Array.isArray(data?.data) ? data.data : [];
+      const res = await searchItemsPage(term, { page: pageToLoad, per_page: perPage }, { signal });
+      const list = Array.isArray(res?.data) ? res.data : [];
+      results.value = pageToLoad === 1 ? list : [...results.value, ...list];
+
+      const pc = res?.page_context || {};
+      page = Number(pc.page || pageToLoad);
+      hasMore.value = !!pc.has_more_page;
     } catch (e) {
-      results.value = [];
-      error.value =
-        e?.response?.data?.message ||
-        e?.message ||
-        'Item search failed';
+      if (isCancelled(e)) return; // superseded by a newer search
+      if (pageToLoad === 1) results.value = [];
+      hasMore.value = false;
+      error.value = errorMessage(e, 'Item search failed');
     } finally {
-      loading.value = false;
+      if (!signal.aborted) loading.value = false;
+    }
+  }
+
+  // --- Search handler (first page) ------------------------------------
+  async function search(q) {
+    term = String(q ?? '').trim();
+    if (!term) {
+      clear();
+      return;
     }
+    await fetchPage(1);
+  }
+
+  // --- Next page, appended ---------------------------------------------
+  async function loadMore() {
+    if (loading.value || !hasMore.value || !term) return;
+    await fetchPage(page + 1);
   }
 
   // --- Reset all values -----------------------------------------------
   function clear() {
+    scope.abort();
+    term = '';
+    page = 1;
     results.value = [];
+    hasMore.value = false;
     error.value = '';
+    loading.value = false;
   }
 
-  return { results, loading, error, search, clear };
+  return { results, loading, error, hasMore, search, loadMore, clear };
 }
@@ -0,0 +1,329 @@
+// resources/js/zoho/inventory/composables/useLineImport.js
+// ============================================================
+// useLineImport()
+// ------------------------------------------------------------
+// Purpose:
+//  - Bulk-add Sales Order lines from pasted rows or a CSV file
+//  - Each row is "SKU, qty[, rate]"; a header row (sku/qty/rate) is optional
+//    and columns may be separated by comma, semicolon or tab
+//  - Every distinct SKU is resolved through GET /api/zoho/items?q=SKU:
+//      matched   — exactly one item with that SKU (case-insensitive)
+//      ambiguous — several items with that SKU, or only partial matches;
+//                  the user picks one in the preview
+//      unknown   — nothing found
+//      invalid   — the row itself could not be read (no SKU / bad qty)
+//  - apply() adds the chosen lines with store.addOrIncrease(), enriched
+//    with stock flags from useItemDetails() like a line added by hand;
+//    a row with its own rate only merges into a line at that rate
+//
+// Exposed:
+//  - rows:      ref<Array>  preview rows (see resolve())
+//  - resolving: ref<boolean>
+//  - applying:  ref<boolean>
+//  - error:     ref<string | null>
+//  - summary:   computed<{ matched, ambiguous, unknown, invalid, ready }>
+//  - resolve(text): Promise<Array>
+//  - choose(row, item_id): void   (pick a candidate for an ambiguous row)
+//  - apply(): Promise<number>     (number of lines added)
+//  - clear(): void
+// ============================================================
+
+import { ref, computed } from 'vue';
+import { searchItems, errorMessage } from '@inventory/api/Api';
+import { useItemDetails } from '@inventory/composables/useItemDetails';
+import { useOrderStore } from '@inventory/stores/order';
+import { warehouseStock } from '@inventory/stores/lineStock';
+
+// Guard rails for huge pastes / slow item search
+const MAX_ROWS = 500;
+const CONCURRENCY = 4;
+
+// ------------------------------------------------------------
+// Parsing (pure)
+// ------------------------------------------------------------
+
+/** Split one CSV line, honoring "quoted, fields" and "" escapes */
+function splitRow(line, delimiter) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      out.push(cur.trim());
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+/** Tab (spreadsheet paste) > semicolon (EU CSV, decimal commas) > comma */
+function detectDelimiter(lines) {
+  const sample = lines.slice(0, 5);
+  if (sample.some((l) => l.includes('\t'))) return '\t';
+  if (sample.every((l) => l.includes(';'))) return ';';
+  return ',';
+}
+
+/**
+ * "1,234" / "12,500": a thousands group or a decimal comma. Only a semicolon
+ * (EU) file says which — there the comma is decimal; elsewhere it is rejected.
+ */
+function isAmbiguousComma(raw, delimiter) {
+  if (delimiter === ';') return false;
+  return /^-?\d{1,3}(,\d{3})+$/.test(String(raw ?? '').replace(/\s/g, ''));
+}
+
+/**
+ * "1 234,50" / "1.234,50" / "1,234.50" / "0,5" / "12" → number (NaN when not numeric
+ * or ambiguous, see isAmbiguousComma). With both separators the last one is decimal.
+ */
+function toNumber(raw, delimiter) {
+  let s = String(raw ?? '').replace(/\s/g, '');
+  if (s === '' || isAmbiguousComma(s, delimiter)) return NaN;
+  if (s.includes(',') && s.includes('.')) {
+    s = s.lastIndexOf(',') > s.lastIndexOf('.') ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else {
+    s = s.replace(',', '.');
+  }
+  return /^-?\d*\.?\d+$/.test(s) ? Number(s) : NaN;
+}
+
+/** Reason a qty / rate cell was refused */
+function numberProblem(label, raw, delimiter) {
+  return isAmbiguousComma(raw, delimiter)
+    ? `Ambiguous ${label} "${raw}" (write it without the comma, or with a decimal point)`
+    : `Invalid ${label} "${raw}"`;
+}
+
+const HEADER_ALIASES = {
+  sku: ['sku', 'item sku', 'product code', 'code'],
+  qty: ['qty', 'quantity', 'count'],
+  rate: ['rate', 'price', 'unit price'],
+};
+
+/**
+ * Parse pasted text / CSV content into import rows.
+ * @returns {Array<{ line:number, sku:string, qty:number, rate:number|null, problem:string }>}
+ */
+export function parseImportText(text) {
+  const lines = String(text ?? '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\n|\r/)
+    .map((l, idx) => ({ raw: l, line: idx + 1 }))
+    .filter((l) => l.raw.trim() !== '');
+  if (!lines.length) return [];
+
+  const delimiter = detectDelimiter(lines.map((l) => l.raw));
+  const cells = lines.map((l) => ({ line: l.line, cols: splitRow(l.raw, delimiter) }));
+
+  // Column positions; a first row whose cells are known header names overrides them
+  const cols = { sku: 0, qty: 1, rate: 2 };
+  const head = cells[0].cols.map((c) => c.toLowerCase());
+  const isHeader = head.some((c) => HEADER_ALIASES.sku.includes(c) || HEADER_ALIASES.qty.includes(c));
+  if (isHeader) {
+    Object.entries(HEADER_ALIASES).forEach(([key, aliases]) => {
+      const at = head.findIndex((c) => aliases.includes(c));
+      cols[key] = at;
+    });
+    cells.shift();
+  }
+
+  return cells.slice(0, MAX_ROWS).map(({ line, cols: c }) => {
+    const sku = cols.sku >= 0 ? String(c[cols.sku] ?? '').trim() : '';
+    const qtyRaw = cols.qty >= 0 ? c[cols.qty] : '';
+    const rateRaw = cols.rate >= 0 ? c[cols.rate] : '';
+
+    // Missing qty means 1, like a line added by hand
+    const qty = qtyRaw === undefined || String(qtyRaw).trim() === '' ? 1 : toNumber(qtyRaw, delimiter);
+    const rate = rateRaw === undefined || String(rateRaw).trim() === '' ? null : toNumber(rateRaw, delimiter);
+
+    let problem = '';
+    if (!sku) problem = 'Missing SKU';
+    else if (!Number.isFinite(qty) || qty <= 0) problem = numberProblem('qty', qtyRaw, delimiter);
+    else if (rate !== null && (!Number.isFinite(rate) || rate < 0)) problem = numberProblem('rate', rateRaw, delimiter);
+
+    return { line, sku, qty: Number.isFinite(qty) ? qty : 0, rate, problem };
+  });
+}
+
+/** Run an async fn over a list with at most `limit` calls in flight */
+async function mapLimit(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  async function worker() {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return out;
+}
+
+const itemSku = (it) => String(it?.sku ?? it?.product_code ?? '').trim();
+const itemId = (it) => String(it?.item_id ?? it?.id ?? '');
+
+// ------------------------------------------------------------
+// Composable
+// ------------------------------------------------------------
+
+export function useLineImport() {
+  const store = useOrderStore();
+  const { getById } = useItemDetails();
+
+  const rows = ref([]);
+  const resolving = ref(false);
+  const applying = ref(false);
+  const error = ref(null);
+
+  const summary = computed(() => {
+    const s = { matched: 0, ambiguous: 0, unknown: 0, invalid: 0, ready: 0 };
+    rows.value.forEach((r) => {
+      s[r.status] += 1;
+      if (r.selected) s.ready += 1;
+    });
+    return s;
+  });
+
+  /** Look a SKU up; exact SKU matches win over partial search hits */
+  async function lookup(sku) {
+    const found = await searchItems(sku);
+    const exact = found.filter((it) => itemSku(it).toLowerCase() === sku.toLowerCase());
+    if (exact.length === 1) return { status: 'matched', candidates: exact };
+    if (exact.length > 1) return { status: 'ambiguous', candidates: exact };
+    if (found.length) return { status: 'ambiguous', candidates: found.slice(0, 10) };
+    return { status: 'unknown', candidates: [] };
+  }
+
+  /**
+   * Parse the text and resolve each distinct SKU once.
+   * Preview row: { line, sku, qty, rate, status, problem, candidates, selected }
+   */
+  async function resolve(text) {
+    error.value = null;
+    const parsed = parseImportText(text);
+    if (!parsed.length) {
+      rows.value = [];
+      error.value = 'Nothing to import — paste rows like "SKU, qty[, rate]".';
+      return rows.value;
+    }
+
+    resolving.value = true;
+    try {
+      const skus = [...new Set(parsed.filter((r) => !r.problem).map((r) => r.sku.toLowerCase()))];
+      const results = await mapLimit(skus, CONCURRENCY, async (key) => {
+        const original = parsed.find((r) => r.sku.toLowerCase() === key).sku;
+        try {
+          return await lookup(original);
+        } catch (e) {
+          return {
+            status: 'unknown',
+            candidates: [],
+            problem: errorMessage(e, 'Item search failed'),
+          };
+        }
+      });
+      const bySku = new Map(skus.map((k, i) => [k, results[i]]));
+
+      rows.value = parsed.map((r) => {
+        if (r.problem) return { ...r, status: 'invalid', candidates: [], selected: null };
+        const hit = bySku.get(r.sku.toLowerCase());
+        return {
+          ...r,
+          status: hit.status,
+          problem: hit.problem ?? '',
+          candidates: hit.candidates,
+          selected: hit.status === 'matched' ? hit.candidates[0] : null,
+        };
+      });
+    } finally {
+      resolving.value = false;
+    }
+    return rows.value;
+  }
+
+  /** Pick (or unpick with '') a candidate for an ambiguous row */
+  function choose(row, id) {
+    row.selected = row.candidates.find((c) => itemId(c) === String(id)) ?? null;
+  }
+
+  /** Order line for a resolved row, in the order currency, with stock details */
+  async function toLine(row, idx) {
+    const it = row.selected;
+
+    const line = {
+      id: `${Date.now()}-import-${idx}`,
+      item_id: itemId(it),
+      zoho_item_id: itemId(it),
+      name: it?.name ?? it?.item_name ?? '',
+      sku: itemSku(it),
+      qty: row.qty,
+      // A rate from the file is taken as-is (order currency); otherwise the item price
+      rate: row.rate !== null ? row.rate : store.toOrderCurrency(it?.rate ?? it?.selling_price ?? it?.unit_price ?? 0),
+      tax_id: it?.tax_id ? String(it.tax_id) : '',
+      tax_name: it?.tax_name ?? '',
+      tax_percentage: Number(it?.tax_percentage ?? 0),
+      discount: 0,
+      discount_unit: 'percent',
+      track_inventory: undefined,
+      can_be_purchased: undefined,
+      available_stock: undefined,
+      // left undefined so ItemsTable defaults it from the shortage
+      create_po: undefined,
+    };
+
+    // Best-effort, same as ItemsTable.addFromSearch()
+    const details = line.item_id ? await getById(line.item_id) : null;
+    if (details) {
+      line.track_inventory = !!details.track_inventory;
+      line.can_be_purchased = !!details.can_be_purchased;
+      line.available_stock = details.available_stock ?? null;
+      line.warehouses = warehouseStock(details);
+    }
+    return line;
+  }
+
+  /** Add every row with a selected item; resolved rows leave the preview */
+  async function apply() {
+    const ready = rows.value.filter((r) => r.selected);
+    if (!ready.length) return 0;
+
+    applying.value = true;
+    error.value = null;
+    try {
+      const lines = await mapLimit(ready, CONCURRENCY, toLine);
+      // A rate from the file only merges into a line with that rate
+      lines.forEach((line, i) => store.addOrIncrease(line, { matchRate: ready[i].rate !== null }));
+      rows.value = rows.value.filter((r) => !r.selected);
+      return lines.length;
+    } catch (e) {
+      error.value = errorMessage(e, 'Import failed');
+      return 0;
+    } finally {
+      applying.value = false;
+    }
+  }
+
+  function clear() {
+    rows.value = [];
+    error.value = null;
+  }
+
+  return { rows, resolving, applying, error, summary, resolve, choose, apply, clear };
+}
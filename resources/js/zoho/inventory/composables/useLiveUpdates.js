@@ -0,0 +1,136 @@
+// resources/js/zoho/inventory/composables/useLiveUpdates.js
+// ============================================================
+// useLiveUpdates()
+// ------------------------------------------------------------
+// Live changes from Zoho (webhooks → GET /api/zoho/events, SSE):
+//  - salesorder: { salesorder_id, action, patch, item_ids }
+//  - stock:      { item_ids, source }
+//  - reset:      {} — events were missed (tab behind by more than the
+//                backend keeps, or they expired): reload everything
+// Every event first drops the cached data it makes stale (query
+// cache), then goes to the listeners registered with onLiveEvent()
+// — the Sales Orders list / view and the order lines' stock, which
+// patch or refetch what they show.
+// The backend closes a stream every ~25s and the browser reconnects
+// with Last-Event-ID. Events the backend no longer has (a long sleep,
+// a cache restart) come back as one `reset`, not one by one.
+//
+// Exposed (module-level state, shared by every caller):
+//  - status: 'connecting' | 'live' | 'offline'
+//  - lastEvent: the latest event (with `at`)
+//  - onLiveEvent(handler): subscribe; unsubscribed with the calling
+//    component, also returns an unsubscribe function
+//  - setupLiveUpdates(): call once at boot (app.js); connects only when
+//    the page says live updates are on (<meta name="zoho-live-updates">,
+//    i.e. webhooks configured) — otherwise the status stays 'offline'
+// ============================================================
+
+import { ref, getCurrentScope, onScopeDispose } from 'vue';
+import { API } from '@inventory/api/Api';
+import { invalidateQueries } from '@inventory/api/queryCache';
+import { invalidateSalesOrders } from '@inventory/composables/useSalesOrderView';
+
+const EVENT_TYPES = ['salesorder', 'stock', 'reset'];
+// Browser reconnect (after the server closed the stream) taking longer than this → offline
+const OFFLINE_AFTER_MS = 10_000;
+// Stream gone for good (e.g. 404 / 5xx): open a new one this much later
+const REOPEN_AFTER_MS = 30_000;
+
+const status = ref('offline');
+const lastEvent = ref(null);
+
+const listeners = new Set();
+let source = null;
+let lastId = null;
+let offlineTimer = null;
+let reopenTimer = null;
+
+/** Stale cache first, so listeners that refetch get fresh data */
+function invalidateFor(event) {
+  if (event.type === 'reset') {
+    invalidateSalesOrders();
+    invalidateQueries(['salesorder']);
+    return;
+  }
+  if (event.type === 'salesorder') {
+    invalidateSalesOrders(event.salesorder_id);
+  }
+  (event.item_ids ?? []).forEach((id) => invalidateQueries(['item', String(id)]));
+  if (event.item_ids?.length) invalidateQueries(['items']);
+}
+
+function dispatch(type, message) {
+  let event;
+  try {
+    event = { type, ...JSON.parse(message.data) };
+  } catch {
+    return;
+  }
+  if (message.lastEventId) lastId = message.lastEventId;
+
+  invalidateFor(event);
+  lastEvent.value = event;
+  listeners.forEach((handler) => {
+    try {
+      handler(event);
+    } catch (e) {
+      console.warn('Live update handler failed:', e);
+    }
+  });
+}
+
+function markLive() {
+  clearTimeout(offlineTimer);
+  offlineTimer = null;
+  status.value = 'live';
+}
+
+function onError() {
+  if (source?.readyState === EventSource.CLOSED) {
+    source = null;
+    status.value = 'offline';
+    clearTimeout(reopenTimer);
+    reopenTimer = setTimeout(open, REOPEN_AFTER_MS);
+    return;
+  }
+  // Reconnecting (every stream ends after ~25s): only a long gap counts as offline
+  if (!offlineTimer) {
+    offlineTimer = setTimeout(() => {
+      offlineTimer = null;
+      status.value = 'offline';
+    }, OFFLINE_AFTER_MS);
+  }
+}
+
+function open() {
+  reopenTimer = null;
+  if (source) return;
+  status.value = 'connecting';
+  // A new EventSource doesn't send Last-Event-ID: resume through the query
+  source = new EventSource(lastId ? `${API.events}?last_id=${encodeURIComponent(lastId)}` : API.events);
+  source.addEventListener('ready', (message) => {
+    if (message.lastEventId) lastId = message.lastEventId;
+    markLive();
+  });
+  EVENT_TYPES.forEach((type) => source.addEventListener(type, (message) => dispatch(type, message)));
+  source.addEventListener('error', onError);
+}
+
+/** Subscribe to live events; the handler gets { type, id, at, ... } */
+export function onLiveEvent(handler) {
+  listeners.add(handler);
+  const off = () => listeners.delete(handler);
+  if (getCurrentScope()) onScopeDispose(off);
+  return off;
+}
+
+export function useLiveUpdates() {
+  return { status, lastEvent, onLiveEvent };
+}
+
+/** Open the event stream (once, at boot); without EventSource support the SPA just stays offline */
+export function setupLiveUpdates() {
+  if (typeof window === 'undefined' || typeof EventSource === 'undefined') return;
+  if (document.querySelector('meta[name="zoho-live-updates"]')?.content !== 'on') return;
+  open();
+}
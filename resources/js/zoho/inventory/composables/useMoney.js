@@ -0,0 +1,103 @@
+// resources/js/zoho/inventory/composables/useMoney.js
+// ============================================================
+// useMoney() + formatMoney()
+// ------------------------------------------------------------
+// Single place for money formatting in the SPA:
+//  - formatMoney(value, { currency, locale, precision }) — pure,
+//    Intl.NumberFormat based (cached formatters), locale-aware
+//  - useMoney() — adds organization settings (base currency and
+//    precision from GET /api/zoho/health) and the currency list with
+//    exchange rates (GET /api/zoho/currencies), both loaded once per tab
+//
+// Exposed by useMoney():
+//  - money(value, currencyCode?): string  (defaults to the base currency)
+//  - organization / currencies / baseCurrency refs
+//  - ensureLoaded(): Promise — loads org settings + currencies
+//  - findCurrency(codeOrId): currency | null
+// ============================================================
+
+import { ref, computed } from 'vue';
+import { checkHealth, getCurrencies } from '@inventory/api/Api';
+
+// Cached Intl formatters; key = locale|currency|precision
+const formatters = new Map();
+
+function getFormatter(locale, currency, precision) {
+  const key = `${locale ?? ''}|${currency ?? ''}|${precision}`;
+  if (!formatters.has(key)) {
+    const opts = { minimumFractionDigits: precision, maximumFractionDigits: precision };
+    if (currency) {
+      opts.style = 'currency';
+      opts.currency = currency;
+    }
+    formatters.set(key, new Intl.NumberFormat(locale || undefined, opts));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Format an amount. Unknown/missing currency falls back to a plain number.
+ * Non-numeric values render as '—'.
+ */
+export function formatMoney(value, { currency = '', locale, precision = 2 } = {}) {
+  if (value === null || value === undefined || value === '') return '—';
+  const n = Number(value);
+  if (Number.isNaN(n)) return '—';
+
+  try {
+    return getFormatter(locale, currency || '', precision).format(n);
+  } catch {
+    // RangeError for an invalid ISO code: still show the code next to the number
+    const plain = getFormatter(locale, '', precision).format(n);
+    return currency ? `${plain} ${currency}` : plain;
+  }
+}
+
+// ------------------------------------------------------------
+// Shared state (per tab)
+// ------------------------------------------------------------
+const organization = ref(null); // { currency_code, currency_symbol, price_precision, ... }
+const currencies = ref([]);     // [{ currency_id, currency_code, exchange_rate, price_precision, ... }]
+let pending = null;
+
+async function loadAll() {
+  const [health, list] = await Promise.allSettled([checkHealth(), getCurrencies()]);
+  if (health.status === 'fulfilled') organization.value = health.value?.organization ?? null;
+  if (list.status === 'fulfilled') {
+    currencies.value = Array.isArray(list.value?.data) ? list.value.data : [];
+  }
+}
+
+export function useMoney() {
+  const baseCurrency = computed(
+    () =>
+      organization.value?.currency_code ||
+      currencies.value.find((c) => c.is_base_currency)?.currency_code ||
+      '',
+  );
+
+  /** Load org settings + currencies once (safe to call from many components) */
+  function ensureLoaded() {
+    if (!pending) pending = loadAll();
+    return pending;
+  }
+
+  function findCurrency(codeOrId) {
+    if (!codeOrId) return null;
+    const key = String(codeOrId);
+    return currencies.value.find((c) => c.currency_code === key || String(c.currency_id) === key) ?? null;
+  }
+
+  /** Format in the given currency (or the organization's base currency) */
+  function money(value, currencyCode = '') {
+    const code = currencyCode || baseCurrency.value;
+    const precision =
+      findCurrency(code)?.price_precision ?? organization.value?.price_precision ?? 2;
+    return formatMoney(value, { currency: code, precision: Number(precision) });
+  }
+
+  // Kick off loading on first use; formatting works (without currency) meanwhile
+  ensureLoaded();
+
+  return { money, organization, currencies, baseCurrency, ensureLoaded, findCurrency };
+}
@@ -0,0 +1,111 @@
+// resources/js/zoho/inventory/composables/usePurchaseOrderView.js
+// ============================================================
+// usePurchaseOrderView()
+// ------------------------------------------------------------
+// Purpose:
+//  - Fetch a single Purchase Order by its ID from the backend
+//  - Expose reactive state: order / loading / error
+//  - Actions: issue() (draft → issued) and receive(lines, opts),
+//    both refresh the order afterwards
+// ============================================================
+
+import { ref, getCurrentScope, onScopeDispose } from 'vue';
+import {
+  getPurchaseOrder,
+  issuePurchaseOrder,
+  receivePurchaseOrder,
+  createRequestScope,
+  errorMessage,
+  isCancelled,
+} from '@inventory/api/Api';
+import { invalidateQueries } from '@inventory/api/queryCache';
+
+/** Quantity still to receive on a PO line */
+export function remainingQty(line) {
+  const ordered = Number(line?.quantity ?? 0);
+  const received = Number(line?.quantity_received ?? 0);
+  return Math.max(0, ordered - received);
+}
+
+export function usePurchaseOrderView(initialId = null) {
+  const order = ref(null);
+  // Start as loading=true so the page doesn't render the card with null
+  const loading = ref(true);
+  const error = ref(null);
+  const storedId = ref(initialId);
+  // Switching orders quickly: a late response for the previous id is dropped
+  const scope = createRequestScope();
+  // Nothing should land after the component using this is gone
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
+
+  // State of issue/receive
+  const busy = ref(false);
+  const actionError = ref(null);
+
+  /** Fetch a single PO by ID (or reuse the last stored ID) */
+  async function fetchOne(id) {
+    const effectiveId = id ?? storedId.value;
+    if (!effectiveId) {
+      error.value = 'Missing Purchase Order ID';
+      order.value = null;
+      loading.value = false;
+      return;
+    }
+
+    const signal = scope.next();
+    loading.value = true;
+    error.value = null;
+
+    try {
+      const res = await getPurchaseOrder(effectiveId, { signal });
+      order.value = res?.data ?? null;
+      storedId.value = effectiveId;
+    } catch (e) {
+      if (isCancelled(e)) return;
+      error.value = errorMessage(e, 'Failed to load Purchase Order');
+      order.value = null;
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  }
+
+  /** Refresh using the last loaded ID */
+  async function refresh() {
+    await fetchOne();
+  }
+
+  /** Run an action, then reload; returns the response body or null on error */
+  async function runAction(call) {
+    busy.value = true;
+    actionError.value = null;
+    try {
+      const body = await call();
+      await refresh();
+      return body;
+    } catch (e) {
+      actionError.value = errorMessage(e);
+      return null;
+    } finally {
+      busy.value = false;
+    }
+  }
+
+  function issue() {
+    return runAction(() => issuePurchaseOrder(storedId.value));
+  }
+
+  /**
+   * Record received quantities (stock changes, so cached item details go).
+   * @param {Array<{ line_item_id:string, item_id?:string, quantity:number }>} lines
+   * @param {{ date?:string, notes?:string }} opts
+   */
+  function receive(lines, opts = {}) {
+    return runAction(async () => {
+      const body = await receivePurchaseOrder(storedId.value, { ...opts, lines });
+      invalidateQueries(['item']);
+      return body;
+    });
+  }
+
+  return { order, loading, error, busy, actionError, fetchOne, refresh, issue, receive };
+}
@@ -0,0 +1,123 @@
+// resources/js/zoho/inventory/composables/usePurchaseOrdersList.js
+// ============================================================
+// usePurchaseOrdersList()
+// ------------------------------------------------------------
+// Fetch and hold a paginated Purchase Orders list. Exposes:
+// - rows, pageContext, loading, error
+// - params: { q, status, page, per_page, sort_column, sort_order }
+// - load(), setPerPage(n), setQuery(q), setStatus(s)
+// - prevPage(), nextPage()
+// Mirrors useSalesOrdersList() (same page_context model).
+// ============================================================
+
+import { ref, reactive, computed, getCurrentScope, onScopeDispose } from 'vue';
+import { listPurchaseOrders, createRequestScope, errorMessage, isCancelled } from '@inventory/api/Api';
+
+export function usePurchaseOrdersList(initial = {}) {
+  const rows = ref([]);
+  const pageContext = ref({
+    page: 1,
+    per_page: 25,
+    has_more_page: false,
+    report_name: 'Purchase Orders',
+  });
+
+  const loading = ref(false);
+  const error = ref(null);
+  // Paging/sorting quickly: only the latest load may fill the table
+  const scope = createRequestScope();
+  // Nothing should land after the component using this is gone
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
+
+  const params = reactive({
+    q: '',
+    status: '',
+    page: 1,
+    per_page: 25,
+    sort_column: 'date',
+    sort_order: 'D',
+    ...initial,
+  });
+
+  async function load() {
+    const signal = scope.next();
+    loading.value = true;
+    error.value = null;
+    try {
+      const res = await listPurchaseOrders({
+        page: params.page,
+        per_page: params.per_page,
+        q: params.q,
+        sort_column: params.sort_column,
+        sort_order: params.sort_order,
+        ...(params.status ? { status: params.status } : {}),
+      }, { signal });
+
+      rows.value = Array.isArray(res?.data) ? res.data : [];
+      if (res?.page_context) {
+        pageContext.value = { ...pageContext.value, ...res.page_context };
+      } else {
+        pageContext.value.page = params.page;
+        pageContext.value.per_page = params.per_page;
+        pageContext.value.has_more_page = false;
+      }
+    } catch (e) {
+      if (isCancelled(e)) return;
+      rows.value = [];
+      error.value = errorMessage(e, 'Failed to load Purchase Orders');
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  }
+
+  function setPerPage(n) {
+    params.per_page = Number(n) || 25;
+    params.page = 1;
+    return load();
+  }
+
+  function setQuery(q) {
+    params.q = String(q ?? '');
+    params.page = 1;
+    return load();
+  }
+
+  function setStatus(status) {
+    params.status = String(status ?? '');
+    params.page = 1;
+    return load();
+  }
+
+  // --- Pagination helpers ------------------------------------
+  const canPrev = computed(() => params.page > 1);
+  const canNext = computed(() => !!(pageContext.value?.has_more_page));
+
+  function prevPage() {
+    if (!canPrev.value) return;
+    params.page -= 1;
+    return load();
+  }
+
+  function nextPage() {
+    if (!canNext.value) return;
+    params.page += 1;
+    return load();
+  }
+
+  return {
+    rows,
+    pageContext,
+    loading,
+    error,
+    params,
+    load,
+    setPerPage,
+    setQuery,
+    setStatus,
+    // pagination
+    canPrev,
+    canNext,
+    prevPage,
+    nextPage,
+  };
+}
@@ -1,38 +1,54 @@
 // resources/js/zoho/inventory/composables/usePurchasePlan.js
 // ------------------------------------------------------------
 // Derives a local "purchase plan" from order lines:
-// - include only lines with shortage (qty > stock, when tracked)
+// - include only lines with shortage (qty > stock, when tracked) — stock
+//   of the line's warehouse (stores/lineStock.js), which also receives the PO
 // - and where the user enabled `create_po === true`
 // Exposes a computed list and a few helpers for the UI.
+//
+// Plan editor (PurchasePlanPanel):
+// - vendor: the item's preferred vendor (loaded by hydrate()) unless the
+//   user picked another one (line.po_vendor_id / po_vendor_name)
+// - quantity: the shortage unless overridden (line.po_qty), e.g. rounded
+//   up to the item's reorder level or to a pack size
+// - groups: one entry per vendor = the POs the server will create;
+//   lines without a vendor are listed in `unassigned` (they'd be skipped)
+// Overrides live on the order lines, so they are saved with the draft.
 
 import { computed } from 'vue';
 import { useOrderStore } from '@inventory/stores/order';
-
-function shortfall(row) {
-  const tracked = row?.track_inventory === true;
-  const stock = Number(row?.available_stock ?? row?.actual_available_stock);
-  const qty = Number(row?.qty ?? 0);
-  if (!tracked) return 0;
-  if (!Number.isFinite(stock)) return 0;
-  return Math.max(0, qty - stock);
-}
+import { useItemDetails } from '@inventory/composables/useItemDetails';
+import { shortfall, lineWarehouse } from '@inventory/stores/lineStock';
 
 export function usePurchasePlan() {
   const store = useOrderStore();
+  const { getById } = useItemDetails();
 
   // Plan entries for items that require a purchase
   const plan = computed(() => {
     return (store.items || [])
       .map((row) => {
         const sf = shortfall(row);
+        const override = Number(row.po_qty);
+        const vendorId = row.po_vendor_id || row.preferred_vendor_id || '';
         return {
           id: row.id,
           item_id: row.item_id,
           name: row.name,
           sku: row.sku,
+          warehouse_id: row.warehouse_id || '',
+          warehouse_name: lineWarehouse(row)?.warehouse_name || row.warehouse_name || '',
           shortage_qty: sf,
           create_po: !!row.create_po,
-          // room for future fields, e.g. preferred_vendor_id
+          quantity: override > 0 ? override : sf,
+          quantity_overridden: override > 0,
+          vendor_id: vendorId,
+          vendor_name: row.po_vendor_id ? row.po_vendor_name : row.preferred_vendor_name || '',
+          vendor_overridden: !!row.po_vendor_id,
+          purchase_rate: row.purchase_rate ?? null,
+          reorder_level: row.reorder_level ?? null,
+          // false until hydrate() has looked up the item's vendor
+          hydrated: row.purchasing_loaded === true,
         };
       })
       .filter((p) => p.create_po && p.shortage_qty > 0);
@@ -44,9 +60,106 @@ export function usePurchasePlan() {
     plan.value.reduce((sum, p) => sum + Number(p.shortage_qty || 0), 0),
   );
 
+  // --- PO preview --------------------------------------------
+  // One group per vendor, like createPurchaseOrdersFromPlan() on the server
+  const groups = computed(() => {
+    const byVendor = new Map();
+    plan.value
+      .filter((p) => p.vendor_id)
+      .forEach((p) => {
+        const g = byVendor.get(p.vendor_id) ?? {
+          vendor_id: p.vendor_id,
+          vendor_name: p.vendor_name || p.vendor_id,
+          lines: [],
+          total_qty: 0,
+          amount: 0,
+        };
+        g.lines.push(p);
+        g.total_qty += Number(p.quantity || 0);
+        g.amount += Number(p.quantity || 0) * Number(p.purchase_rate || 0);
+        byVendor.set(p.vendor_id, g);
+      });
+    return [...byVendor.values()];
+  });
+
+  const unassigned = computed(() => plan.value.filter((p) => p.hydrated && !p.vendor_id));
+
+  // Rows for the create/update payload (purchasePlan)
+  const payload = computed(() =>
+    plan.value
+      .filter((p) => p.item_id && Number(p.quantity) > 0)
+      .map((p) => ({
+        item_id: String(p.item_id),
+        quantity: Number(p.quantity),
+        ...(p.vendor_overridden ? { vendor_id: String(p.vendor_id) } : {}),
+        ...(p.warehouse_id ? { warehouse_id: String(p.warehouse_id) } : {}),
+        line_ref: String(p.id),
+        name: p.name || '',
+      })),
+  );
+
+  // --- Editing -----------------------------------------------
+  const lineOf = (id) => store.items.find((i) => i.id === id);
+
+  /** Load the preferred vendor / purchase rate / reorder level of plan lines */
+  async function hydrate() {
+    const pending = plan.value.filter((p) => !p.hydrated && p.item_id);
+    await Promise.all(
+      pending.map(async (p) => {
+        const details = await getById(p.item_id);
+        const line = lineOf(p.id);
+        if (!line) return;
+        line.preferred_vendor_id = details?.vendor_id ? String(details.vendor_id) : '';
+        line.preferred_vendor_name = details?.vendor_name ?? '';
+        line.purchase_rate = details?.purchase_rate ?? null;
+        line.reorder_level = details?.reorder_level ?? null;
+        line.purchasing_loaded = true;
+      }),
+    );
+  }
+
+  /** Order from another vendor (null = back to the preferred one) */
+  function setVendor(id, vendor) {
+    const line = lineOf(id);
+    if (!line) return;
+    line.po_vendor_id = vendor?.contact_id ? String(vendor.contact_id) : '';
+    line.po_vendor_name = vendor?.contact_name ?? '';
+  }
+
+  /** Quantity to purchase; anything below the shortage falls back to the shortage */
+  function setQuantity(id, qty) {
+    const line = lineOf(id);
+    if (!line) return;
+    const n = Number(qty);
+    line.po_qty = n > shortfall(line) ? n : undefined;
+  }
+
+  /** Buy at least the item's reorder level */
+  function roundToReorderLevel(id) {
+    const entry = plan.value.find((p) => p.id === id);
+    if (!entry || !(entry.reorder_level > 0)) return;
+    setQuantity(id, Math.max(entry.shortage_qty, entry.reorder_level));
+  }
+
+  /** Round the current quantity up to whole packs */
+  function roundToPack(id, packSize) {
+    const entry = plan.value.find((p) => p.id === id);
+    const size = Number(packSize);
+    if (!entry || !(size > 0)) return;
+    setQuantity(id, Math.ceil(entry.quantity / size) * size);
+  }
+
   return {
     plan,
     totalLines,
     totalShortQty,
+    groups,
+    unassigned,
+    payload,
+    hydrate,
+    setVendor,
+    setQuantity,
+    roundToReorderLevel,
+    roundToPack,
   };
 }
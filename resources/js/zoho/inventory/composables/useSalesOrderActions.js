@@ -0,0 +1,106 @@
+// resources/js/zoho/inventory/composables/useSalesOrderActions.js
+// ============================================================
+// useSalesOrderActions()
+// ------------------------------------------------------------
+// Status transitions for a single Sales Order:
+//  - confirm (draft → confirmed)
+//  - void    (confirmed/open → void)
+//  - reopen  (void → open)
+//  - delete  (draft or void only)
+//  - invoice (confirmed/open orders not fully invoiced → Zoho invoice)
+//
+// Exposed:
+//  - busy / error:       UI state of the running action
+//  - actionsFor(order):  actions allowed for the order's current status
+//  - run(key, id):       performs the call and returns the response body
+// ============================================================
+
+import { ref } from 'vue';
+import {
+  confirmSalesOrder,
+  voidSalesOrder,
+  markSalesOrderOpen,
+  deleteSalesOrder,
+  convertSalesOrderToInvoice,
+  errorMessage,
+} from '@inventory/api/Api';
+import { invalidateSalesOrders } from '@inventory/composables/useSalesOrderView';
+
+// Action catalogue; `when` lists the Zoho statuses the action applies to,
+// `allowed(order)` (optional) narrows it down further
+export const SALES_ORDER_ACTIONS = [
+  {
+    key: 'invoice',
+    label: 'Convert to invoice',
+    prompt: 'Create an invoice in Zoho for everything on this order that is not invoiced yet?',
+    when: ['confirmed', 'open', 'onhold'],
+    allowed: (order) => String(order?.invoiced_status ?? '').toLowerCase() !== 'invoiced',
+    call: convertSalesOrderToInvoice,
+    failure: 'Failed to create the invoice',
+  },
+  {
+    key: 'confirm',
+    label: 'Confirm',
+    prompt: 'Confirm this draft? It becomes an open order that can be fulfilled.',
+    when: ['draft'],
+    call: confirmSalesOrder,
+  },
+  {
+    key: 'void',
+    label: 'Void',
+    prompt: 'Void this Sales Order? Its quantities are released and it can no longer be fulfilled.',
+    when: ['confirmed', 'open', 'onhold'],
+    call: voidSalesOrder,
+    danger: true,
+  },
+  {
+    key: 'reopen',
+    label: 'Mark as open',
+    prompt: 'Reopen this voided Sales Order?',
+    when: ['void'],
+    call: markSalesOrderOpen,
+  },
+  {
+    key: 'delete',
+    label: 'Delete',
+    prompt: 'Delete this Sales Order permanently? This cannot be undone.',
+    when: ['draft', 'void'],
+    call: deleteSalesOrder,
+    danger: true,
+  },
+];
+
+export function useSalesOrderActions() {
+  const busy = ref(false);
+  const error = ref(null);
+
+  /** Actions allowed for the given order (by its lower-cased status) */
+  function actionsFor(order) {
+    const status = String(order?.status ?? '').toLowerCase();
+    return SALES_ORDER_ACTIONS.filter((a) => a.when.includes(status) && (!a.allowed || a.allowed(order)));
+  }
+
+  /** Run an action by key; returns backend body or null on failure */
+  async function run(key, id) {
+    const action = SALES_ORDER_ACTIONS.find((a) => a.key === key);
+    if (!action || !id) {
+      error.value = 'Unknown action';
+      return null;
+    }
+
+    busy.value = true;
+    error.value = null;
+    try {
+      const body = await action.call(String(id)); // { status, message, data }
+      invalidateSalesOrders(id);
+      return body;
+    } catch (e) {
+      error.value = errorMessage(e, action.failure ?? `Failed to ${action.label.toLowerCase()} Sales Order`);
+      return null;
+    } finally {
+      busy.value = false;
+    }
+  }
+
+  return { busy, error, actionsFor, run };
+}
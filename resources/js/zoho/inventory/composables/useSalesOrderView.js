@@ -6,10 +6,31 @@
 //  - Fetch a single Sales Order by its ID from the backend
 //  - Expose reactive state: order / loading / error
 //  - Provide helper methods: fetchOne(id) and refresh()
+//  - Orders come from the shared query cache (revalidated in the
+//    background after 15s); refresh() always refetches
+//  - invalidateSalesOrders(id?): call after any Sales Order write
+//  - A live event for the shown order (useLiveUpdates) refetches it
+//    quietly and sets liveUpdatedAt
 // ============================================================
 
-import { ref } from 'vue';
-import { getSalesOrder } from '@inventory/api/Api';
+import { ref, getCurrentScope, onScopeDispose } from 'vue';
+import { getSalesOrder, createRequestScope, errorMessage, isCancelled } from '@inventory/api/Api';
+import { cachedQuery, invalidateQueries, QUERY_TIMES } from '@inventory/api/queryCache';
+import { onLiveEvent } from '@inventory/composables/useLiveUpdates';
+
+/**
+ * Drop cached Sales Order data after a write (create / update / status / delete,
+ * invoice / payment): every list page, the order itself, item stock (orders move
+ * stock, including the catalog pages) and customer balances.
+ */
+export function invalidateSalesOrders(id = null) {
+  invalidateQueries(['salesorders']);
+  if (id) invalidateQueries(['salesorder', String(id)]);
+  invalidateQueries(['item']);
+  invalidateQueries(['items']);
+  invalidateQueries(['receivables']);
+  invalidateQueries(['customers']);
+}
 
 export function useSalesOrderView(initialId = null) {
   const order = ref(null);
@@ -17,9 +38,15 @@ export function useSalesOrderView(initialId = null) {
   const loading = ref(true);
   const error = ref(null);
   const storedId = ref(initialId);
+  const liveUpdatedAt = ref(null);
+  // Switching orders quickly: a late response for the previous id is dropped
+  const scope = createRequestScope();
+  // Nothing should land after the component using this is gone
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
 
   /** Fetch a single order by ID (or reuse the last stored ID) */
-  async function fetchOne(id) {
+  // `quiet` (live refresh): no loading state, and a failure keeps the order
+  async function fetchOne(id, { force = false, quiet = false } = {}) {
     const effectiveId = id ?? storedId.value;
     if (!effectiveId) {
       error.value = 'Missing Sales Order ID';
@@ -28,29 +55,46 @@ export function useSalesOrderView(initialId = null) {
       return;
     }
 
-    loading.value = true;
-    error.value = null;
+    const signal = scope.next();
+    if (!quiet) {
+      loading.value = true;
+      error.value = null;
+    }
 
     try {
-      const res = await getSalesOrder(effectiveId);
+      const res = await cachedQuery(['salesorder', String(effectiveId)], () => getSalesOrder(effectiveId), {
+        ...QUERY_TIMES.salesorder,
+        force,
+        signal,
+        onUpdate: (fresh) => {
+          order.value = fresh?.data ?? null;
+        },
+      });
       // Expected backend response: { status: 'ok', data: {...} }
       order.value = res?.data ?? null;
       storedId.value = effectiveId;
     } catch (e) {
-      error.value =
-        e?.response?.data?.message ||
-        e?.message ||
-        'Failed to load Sales Order';
+      if (isCancelled(e) || quiet) return;
+      error.value = errorMessage(e, 'Failed to load Sales Order');
       order.value = null;
     } finally {
-      loading.value = false;
+      if (!signal.aborted) loading.value = false;
     }
   }
 
-  /** Refresh using the last loaded ID */
+  /** Refetch the last loaded ID (bypasses the cache) */
   async function refresh() {
-    await fetchOne();
+    await fetchOne(undefined, { force: true });
   }
 
-  return { order, loading, error, fetchOne, refresh };
+  // Changed in Zoho while on screen (or maybe, after a `reset`); a deleted order shows the load error
+  onLiveEvent(async (event) => {
+    if (loading.value || !storedId.value) return;
+    const shown = event.type === 'salesorder' && String(event.salesorder_id) === String(storedId.value);
+    if (!shown && event.type !== 'reset') return;
+    await fetchOne(undefined, { quiet: event.action !== 'deleted' });
+    liveUpdatedAt.value = Date.now();
+  });
+
+  return { order, loading, error, liveUpdatedAt, fetchOne, refresh };
 }
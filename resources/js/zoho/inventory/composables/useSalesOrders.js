@@ -3,7 +3,8 @@
 // Keeps small UI state (busy/message/error) outside components.
 
 import { ref } from 'vue';
-import { createSalesOrder } from '@/zoho/inventory/api/Api';
+import { createSalesOrder, errorMessage } from '@/zoho/inventory/api/Api';
+import { invalidateSalesOrders } from '@/zoho/inventory/composables/useSalesOrderView';
 
 export function useSalesOrders() {
   const busy = ref(false);
@@ -17,10 +18,11 @@ export function useSalesOrders() {
 
     try {
       const res = await createSalesOrder(payload);
+      invalidateSalesOrders();
       message.value = res?.message ?? 'Sales Order sent.';
       return res;
     } catch (e) {
-      const apiMsg = e?.response?.data?.message || e?.message || 'Request failed';
+      const apiMsg = errorMessage(e);
       error.value = apiMsg;
       message.value = `Save error: ${apiMsg}`;
       throw e;
@@ -4,13 +4,49 @@
 // ------------------------------------------------------------
 // Fetch and hold a paginated Sales Orders list. Exposes:
 // - rows, pageContext, loading, error
-// - params: { q, page, per_page, sort_column, sort_order }
-// - load(), setPage(n), setPerPage(n), setQuery(q)
+// - params: { q, page, per_page, sort_column, sort_order, ...FILTER_KEYS }
+// - load({ force }), setPage(n), setPerPage(n), setQuery(q)
+// - setSort(column), setFilters(patch), activeFilterCount
 // - prevPage(), nextPage()
+// - applyQuery(routeQuery), toQuery(params?) — mirror params in the URL
+// - liveUpdatedAt: when a live event (useLiveUpdates) last changed rows
+// Pages come from the shared query cache: a page seen in the last
+// 15s is shown without a request; older ones are shown at once and
+// revalidated in the background (rows update when the fetch lands).
+// Live events patch a visible row in place; new / deleted orders (or
+// a row the event can't patch) reload the page quietly.
 // ============================================================
 
-import { ref, reactive, computed } from 'vue';
-import { listSalesOrders } from '@inventory/api/Api';
+import { ref, reactive, computed, getCurrentScope, onScopeDispose } from 'vue';
+import { listSalesOrders, createRequestScope, errorMessage, isCancelled } from '@inventory/api/Api';
+import { cachedQuery, QUERY_TIMES } from '@inventory/api/queryCache';
+import { onLiveEvent } from '@inventory/composables/useLiveUpdates';
+
+// Server-side filters (see ZohoInventoryController::listSalesOrders).
+// customer_name is only kept for display; the backend filters by customer_id.
+export const FILTER_KEYS = [
+  'status',
+  'date_from',
+  'date_to',
+  'customer_id',
+  'customer_name',
+  'amount_min',
+  'amount_max',
+];
+
+const DEFAULT_PARAMS = {
+  q: '',
+  page: 1,
+  per_page: 25,
+  sort_column: 'date',
+  sort_order: 'D',
+  ...Object.fromEntries(FILTER_KEYS.map((k) => [k, ''])),
+};
+
+const NUMERIC_PARAMS = ['page', 'per_page'];
+
+// First click on a column sorts text ascending, dates/amounts descending
+const DESC_FIRST = ['date', 'total', 'created_time', 'shipment_date'];
 
 export function useSalesOrdersList(initial = {}) {
   const rows = ref([]);
@@ -23,44 +59,57 @@ export function useSalesOrdersList(initial = {}) {
 
   const loading = ref(false);
   const error = ref(null);
+  const liveUpdatedAt = ref(null);
+  // Paging/sorting quickly: only the latest load may fill the table
+  const scope = createRequestScope();
+  // Nothing should land after the component using this is gone
+  if (getCurrentScope()) onScopeDispose(() => scope.abort());
 
-  const params = reactive({
-    q: '',
-    page: 1,
-    per_page: 25,
-    sort_column: 'date',
-    sort_order: 'D',
-    ...initial,
-  });
+  const defaults = { ...DEFAULT_PARAMS, ...initial };
+  const params = reactive({ ...defaults });
 
-  async function load() {
-    loading.value = true;
-    error.value = null;
+  function applyResponse(res) {
+    rows.value = Array.isArray(res?.data) ? res.data : [];
+    if (res?.page_context) {
+      pageContext.value = { ...pageContext.value, ...res.page_context };
+    } else {
+      pageContext.value.page = params.page;
+      pageContext.value.per_page = params.per_page;
+      pageContext.value.has_more_page = false;
+    }
+  }
+
+  // `quiet` (live refresh): no loading state, and a failure keeps the rows
+  async function load({ force = false, quiet = false } = {}) {
+    const signal = scope.next();
+    if (!quiet) {
+      loading.value = true;
+      error.value = null;
+    }
     try {
-      const res = await listSalesOrders({
+      const query = {
         page: params.page,
         per_page: params.per_page,
         q: params.q,
         sort_column: params.sort_column,
         sort_order: params.sort_order,
+        ...Object.fromEntries(
+          FILTER_KEYS.filter((k) => k !== 'customer_name' && params[k] !== '').map((k) => [k, params[k]]),
+        ),
+      };
+      const res = await cachedQuery(['salesorders', query], () => listSalesOrders(query), {
+        ...QUERY_TIMES.salesorders,
+        force,
+        signal,
+        onUpdate: applyResponse,
       });
-
-      rows.value = Array.isArray(res?.data) ? res.data : [];
-      if (res?.page_context) {
-        pageContext.value = { ...pageContext.value, ...res.page_context };
-      } else {
-        pageContext.value.page = params.page;
-        pageContext.value.per_page = params.per_page;
-        pageContext.value.has_more_page = false;
-      }
+      applyResponse(res);
     } catch (e) {
+      if (isCancelled(e) || quiet) return;
       rows.value = [];
-      error.value =
-        e?.response?.data?.message ||
-        e?.message ||
-        'Failed to load Sales Orders';
+      error.value = errorMessage(e, 'Failed to load Sales Orders');
     } finally {
-      loading.value = false;
+      if (!signal.aborted) loading.value = false;
     }
   }
 
@@ -81,6 +130,87 @@ export function useSalesOrdersList(initial = {}) {
     return load();
   }
 
+  // Click on a column header: same column flips the order, a new one starts fresh
+  function setSort(column) {
+    if (params.sort_column === column) {
+      params.sort_order = params.sort_order === 'A' ? 'D' : 'A';
+    } else {
+      params.sort_column = column;
+      params.sort_order = DESC_FIRST.includes(column) ? 'D' : 'A';
+    }
+    params.page = 1;
+    return load();
+  }
+
+  // Merge filter values ('' / null clears one) and reload from page 1
+  function setFilters(patch = {}) {
+    FILTER_KEYS.forEach((k) => {
+      if (k in patch) params[k] = patch[k] == null ? '' : String(patch[k]);
+    });
+    params.page = 1;
+    return load();
+  }
+
+  const activeFilterCount = computed(
+    () => FILTER_KEYS.filter((k) => k !== 'customer_name' && params[k] !== '').length,
+  );
+
+  // --- Live updates ------------------------------------------
+  // The event already dropped the cached pages (useLiveUpdates).
+
+  onLiveEvent((event) => {
+    if (loading.value) return;
+    if (event.type === 'reset') {
+      load({ quiet: true }).then(() => {
+        liveUpdatedAt.value = Date.now();
+      });
+      return;
+    }
+    if (event.type !== 'salesorder') return;
+    const id = String(event.salesorder_id);
+    const index = rows.value.findIndex((row) => String(row.salesorder_id) === id);
+    const patch = event.patch ?? {};
+
+    if (event.action === 'updated' && index !== -1 && Object.keys(patch).length) {
+      rows.value = rows.value.map((row, i) => (i === index ? { ...row, ...patch } : row));
+      liveUpdatedAt.value = Date.now();
+      return;
+    }
+    // An order outside this page that was only updated doesn't change it
+    if (event.action === 'updated' && index === -1) return;
+
+    load({ quiet: true }).then(() => {
+      liveUpdatedAt.value = Date.now();
+    });
+  });
+
+  // --- URL sync ----------------------------------------------
+  // Params ↔ route query; defaults are left out so URLs stay short.
+
+  /** Set every param from a route query (missing keys → defaults) */
+  function applyQuery(query = {}) {
+    Object.keys(defaults).forEach((k) => {
+      const raw = Array.isArray(query[k]) ? query[k][0] : query[k];
+      if (raw === undefined || raw === null || raw === '') {
+        params[k] = defaults[k];
+      } else if (NUMERIC_PARAMS.includes(k)) {
+        params[k] = Math.max(1, Number(raw) || defaults[k]);
+      } else {
+        params[k] = String(raw);
+      }
+    });
+  }
+
+  /** Route query for the given params (current ones by default) */
+  function toQuery(source = params) {
+    const out = {};
+    Object.keys(defaults).forEach((k) => {
+      const v = source[k] ?? defaults[k];
+      if (String(v) !== String(defaults[k])) out[k] = String(v);
+    });
+    return out;
+  }
+
   // --- Pagination helpers ------------------------------------
   const canPrev = computed(() => params.page > 1);
   const canNext = computed(() => !!(pageContext.value?.has_more_page));
@@ -89,7 +219,7 @@ export function useSalesOrdersList(initial = {}) {
     if (!canPrev.value) return;
     params.page -= 1;
     return load();
-    }
+  }
 
   function nextPage() {
     if (!canNext.value) return;
@@ -107,6 +237,13 @@ export function useSalesOrdersList(initial = {}) {
     setPage,
     setPerPage,
     setQuery,
+    setSort,
+    setFilters,
+    activeFilterCount,
+    liveUpdatedAt,
+    // URL sync
+    applyQuery,
+    toQuery,
     // pagination
     canPrev,
     canNext,
@@ -0,0 +1,302 @@
+// resources/js/zoho/inventory/composables/useSubmissionQueue.js
+// ============================================================
+// useSubmissionQueue()
+// ------------------------------------------------------------
+// Guaranteed-once Sales Order submission:
+//  - Every submit carries an Idempotency-Key. The key lives on the
+//    draft (store.submit_key) until the order is created, so sending
+//    the same draft again can never create a second order — the
+//    backend answers a known key with the original result.
+//  - The submit is written to the IndexedDB outbox before the request
+//    (stores/submissionOutbox.js). No definitive answer (offline,
+//    timeout, 5xx, rate limit, still in progress) → the record stays
+//    "pending" and is re-sent when the browser is back online and
+//    every 30s while anything is pending.
+//  - A definitive error (validation, Zoho rejected it) removes the
+//    record for a direct submit (the draft is still on screen) and
+//    marks it "failed" for a background retry.
+//  - A queued submit sent later discards its draft only when the draft
+//    is unchanged since the submit; edits made meanwhile stay as a new
+//    draft (with a new key — the old one belongs to the created order).
+//    submit() never replaces the payload of a queued record.
+//  - A key the backend already used for other data (409 payload_mismatch)
+//    is spent: the order it created is noted in `sent`, and the draft gets
+//    a new key so it can be sent as an order of its own.
+//
+// Exposed (module-level state, shared by every caller):
+//  - entries, pendingCount, online, sent, draftEntry
+//  - submit(payload, { summary }) → { status:'sent', body } | { status:'queued', error }
+//                                   | { status:'spent', order }
+//  - flush(), retry(key), discard(key), reopen(key), dismissSent(key)
+//  - setupSubmissionQueue(store): call once at boot (app.js)
+// ============================================================
+
+import { ref, computed } from 'vue';
+import { createSalesOrder, errorMessage, toApiError, ERROR_TYPES } from '@inventory/api/Api';
+import { listSubmissions, putSubmission, deleteSubmission } from '@inventory/stores/submissionOutbox';
+import { invalidateSalesOrders } from '@inventory/composables/useSalesOrderView';
+
+const RETRY_INTERVAL_MS = 30_000;
+const MAX_SENT_NOTICES = 5;
+
+// Line fields refreshed from Zoho in the background (stock), not user edits
+const ENRICHED_LINE_FIELDS = ['available_stock', 'warehouses', 'track_inventory', 'can_be_purchased'];
+
+const entries = ref([]);
+const online = ref(typeof navigator === 'undefined' || navigator.onLine !== false);
+// Orders delivered from the queue in the background (for a notice)
+const sent = ref([]);
+
+let store = null;
+let flushing = null;
+let timer = null;
+
+/** Client-generated key for one Sales Order submit */
+export function newIdempotencyKey() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/** No definitive answer: the order may or may not exist yet, send again later */
+export function isRetryable(e) {
+  const err = toApiError(e);
+  if (err.type === ERROR_TYPES.NETWORK || err.type === ERROR_TYPES.RATE_LIMIT) return true;
+  return err.type === ERROR_TYPES.CONFLICT && err.data?.reason === 'in_progress';
+}
+
+/** The key was already used for a different payload (see idempotentReplay) */
+function isPayloadMismatch(e) {
+  const err = toApiError(e);
+  return err.type === ERROR_TYPES.CONFLICT && err.data?.reason === 'payload_mismatch';
+}
+
+async function reload() {
+  try {
+    entries.value = await listSubmissions();
+  } catch (e) {
+    console.warn('Submission outbox could not be read:', e);
+  }
+}
+
+function scheduleRetry() {
+  clearTimeout(timer);
+  timer = null;
+  if (entries.value.some((e) => e.status === 'pending')) {
+    timer = setTimeout(() => flush(), RETRY_INTERVAL_MS);
+  }
+}
+
+/** POST one outbox record; keeps it (pending / failed) unless the server confirmed it */
+async function deliver(entry) {
+  await putSubmission({ ...entry, status: 'sending' });
+  await reload();
+  try {
+    const body = await createSalesOrder(entry.payload, { idempotencyKey: entry.key });
+    await deleteSubmission(entry.key);
+    invalidateSalesOrders();
+    return body;
+  } catch (e) {
+    await putSubmission({
+      ...entry,
+      status: isRetryable(e) ? 'pending' : 'failed',
+      attempts: Number(entry.attempts || 0) + 1,
+      last_error: errorMessage(e, 'Failed to create Sales Order'),
+    });
+    throw e;
+  } finally {
+    await reload();
+    scheduleRetry();
+  }
+}
+
+/** What the user controls in a draft (stock refreshes don't count as edits) */
+function editedContent(draft) {
+  const items = (draft?.items ?? []).map((row) => {
+    const out = { ...row };
+    ENRICHED_LINE_FIELDS.forEach((k) => delete out[k]);
+    return out;
+  });
+  return JSON.stringify({ ...draft, items });
+}
+
+/**
+ * The order of this record exists now. Its draft (if still in the store) is
+ * discarded when unchanged since the submit; otherwise the edits stay as a
+ * new draft. Returns true when edits were kept.
+ */
+function settleDraft(entry) {
+  if (!store || store.submit_key !== entry.key) return false;
+  if (editedContent(store.draftSnapshot) === editedContent(entry.draft)) {
+    store.discardDraft();
+    return false;
+  }
+  store.submit_key = '';
+  return true;
+}
+
+function noteSent(entry, body, { keptDraft = false } = {}) {
+  const data = body?.data ?? {};
+  sent.value = [
+    {
+      key: entry.key,
+      salesorder_id: data.salesorder_id ?? null,
+      salesorder_number: data.salesorder_number ?? '',
+      customer: entry.summary?.customer ?? '',
+      message: body?.message || 'Sales Order created',
+      kept_draft: keptDraft,
+    },
+    ...sent.value.filter((s) => s.key !== entry.key),
+  ].slice(0, MAX_SENT_NOTICES);
+}
+
+/**
+ * Send the current draft (create). The draft keeps its key until the
+ * order exists, so a second click / a retry after a lost response is safe.
+ * While the key is queued nothing new is sent (SummaryBar disables the
+ * button); `spent`: the key belongs to another payload's order (`order`,
+ * null when that submit had not finished) and the draft now has a new key.
+ * Throws the ApiError for a definitive failure.
+ */
+async function submit(payload, { summary = {} } = {}) {
+  if (!store.submit_key) store.submit_key = newIdempotencyKey();
+
+  const queued = entries.value.find((e) => e.key === store.submit_key && e.status !== 'failed');
+  if (queued) {
+    return { status: 'queued', error: queued.last_error || 'already queued' };
+  }
+
+  const entry = {
+    key: store.submit_key,
+    payload,
+    draft: store.draftSnapshot,
+    summary,
+    status: 'sending',
+    attempts: 0,
+    last_error: '',
+    created_at: Date.now(),
+  };
+
+  try {
+    const body = await deliver(entry);
+    return { status: 'sent', body };
+  } catch (e) {
+    if (isRetryable(e)) {
+      return { status: 'queued', error: errorMessage(e) };
+    }
+    // The draft is still on screen to be fixed; nothing to keep in the outbox
+    await deleteSubmission(entry.key);
+    await reload();
+
+    if (isPayloadMismatch(e)) {
+      const order = toApiError(e).data?.data ?? null;
+      if (order?.salesorder_id) {
+        noteSent(entry, { data: order, message: 'Sales Order already created by an earlier submit' }, { keptDraft: true });
+      }
+      store.submit_key = newIdempotencyKey();
+      return { status: 'spent', order };
+    }
+    throw e;
+  }
+}
+
+/** Re-send everything pending (in order); stops at the first "still offline" */
+function flush() {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    await reload();
+    for (const entry of entries.value.filter((e) => e.status !== 'failed')) {
+      try {
+        const body = await deliver(entry);
+        // The draft that produced this submit is done (unless edited since)
+        noteSent(entry, body, { keptDraft: settleDraft(entry) });
+      } catch (e) {
+        if (isRetryable(e)) break;
+      }
+    }
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+}
+
+/** Send one record now (also a failed one, e.g. after fixing it in Zoho) */
+async function retry(key) {
+  const entry = entries.value.find((e) => e.key === key);
+  if (!entry) return null;
+  try {
+    const body = await deliver(entry);
+    noteSent(entry, body, { keptDraft: settleDraft(entry) });
+    return body;
+  } catch {
+    return null; // status + last_error are on the record
+  }
+}
+
+async function discard(key) {
+  await deleteSubmission(key);
+  await reload();
+  scheduleRetry();
+}
+
+/** Put a failed submission back into the draft (same key) and drop it from the outbox */
+async function reopen(key) {
+  const entry = entries.value.find((e) => e.key === key);
+  if (!entry) return false;
+  store.applyDraft({ ...entry.draft, submit_key: key });
+  await discard(key);
+  return true;
+}
+
+function dismissSent(key) {
+  sent.value = sent.value.filter((s) => s.key !== key);
+}
+
+/**
+ * Boot: load the outbox, resend what a previous page life left behind
+ * (records stuck in "sending" included — the key makes that safe) and
+ * follow the connection state.
+ */
+export function setupSubmissionQueue(orderStore) {
+  store = orderStore;
+
+  window.addEventListener('online', () => {
+    online.value = true;
+    flush();
+  });
+  window.addEventListener('offline', () => {
+    online.value = false;
+  });
+  // Other tabs share the outbox: refresh the list when coming back
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') reload();
+  });
+
+  reload().then(() => {
+    if (entries.value.length) flush();
+  });
+}
+
+export function useSubmissionQueue() {
+  const pendingCount = computed(() => entries.value.filter((e) => e.status !== 'failed').length);
+
+  // Outbox record of the draft currently in the store (pending / failed), if any
+  const draftEntry = computed(() =>
+    store?.submit_key ? entries.value.find((e) => e.key === store.submit_key) ?? null : null,
+  );
+
+  return {
+    entries,
+    pendingCount,
+    online,
+    sent,
+    draftEntry,
+    submit,
+    flush,
+    retry,
+    discard,
+    reopen,
+    dismissSent,
+  };
+}
@@ -0,0 +1,57 @@
+// resources/js/zoho/inventory/composables/useTaxes.js
+// ============================================================
+// useTaxes()
+// ------------------------------------------------------------
+// Purpose:
+//  - Load organization taxes for the per-line tax picker
+//  - Share one list across all components (loaded once per tab)
+//
+// API contract (from Api.js -> GET /api/zoho/taxes):
+//  - Expected response: { status: 'ok', data: [{ tax_id, tax_name, tax_percentage, ... }] }
+//
+// Exposed:
+//  - taxes:   ref<Array>
+//  - loading: ref<boolean>
+//  - error:   ref<string | null>
+//  - load(force?): Promise<Array>
+//  - findTax(tax_id): object | null
+// ============================================================
+
+import { ref } from 'vue';
+import { getTaxes, errorMessage } from '@inventory/api/Api';
+
+// Module-level state: every caller sees the same list
+const taxes = ref([]);
+const loading = ref(false);
+const error = ref(null);
+let pending = null;
+
+export function useTaxes() {
+  async function load(force = false) {
+    if (!force && taxes.value.length) return taxes.value;
+    if (pending) return pending;
+
+    loading.value = true;
+    error.value = null;
+    pending = (async () => {
+      try {
+        const res = await getTaxes();
+        taxes.value = Array.isArray(res?.data) ? res.data : [];
+      } catch (e) {
+        error.value = errorMessage(e, 'Failed to load taxes');
+      } finally {
+        loading.value = false;
+        pending = null;
+      }
+      return taxes.value;
+    })();
+    return pending;
+  }
+
+  function findTax(id) {
+    if (!id) return null;
+    return taxes.value.find((t) => String(t.tax_id) === String(id)) ?? null;
+  }
+
+  return { taxes, loading, error, load, findTax };
+}
@@ -0,0 +1,63 @@
+// resources/js/zoho/inventory/composables/useWarehouses.js
+// ============================================================
+// useWarehouses()
+// ------------------------------------------------------------
+// Purpose:
+//  - Load organization warehouses for the per-line warehouse picker
+//  - Share one list across all components (loaded once per tab)
+//
+// API contract (from Api.js -> GET /api/zoho/warehouses):
+//  - Expected response: { status: 'ok', data: [{ warehouse_id, warehouse_name, is_primary }] }
+//
+// Exposed:
+//  - warehouses: ref<Array>
+//  - multiWarehouse: computed<boolean> (more than one location → show the picker)
+//  - loading: ref<boolean>
+//  - error:   ref<string | null>
+//  - load(force?): Promise<Array>
+//  - findWarehouse(warehouse_id): object | null
+// ============================================================
+
+import { ref, computed } from 'vue';
+import { getWarehouses, errorMessage } from '@inventory/api/Api';
+
+// Module-level state: every caller sees the same list
+const warehouses = ref([]);
+const loaded = ref(false);
+const loading = ref(false);
+const error = ref(null);
+let pending = null;
+
+const multiWarehouse = computed(() => warehouses.value.length > 1);
+
+export function useWarehouses() {
+  async function load(force = false) {
+    // An empty list is a valid answer (single-warehouse organization)
+    if (!force && loaded.value) return warehouses.value;
+    if (pending) return pending;
+
+    loading.value = true;
+    error.value = null;
+    pending = (async () => {
+      try {
+        const res = await getWarehouses();
+        warehouses.value = Array.isArray(res?.data) ? res.data : [];
+        loaded.value = true;
+      } catch (e) {
+        error.value = errorMessage(e, 'Failed to load warehouses');
+      } finally {
+        loading.value = false;
+        pending = null;
+      }
+      return warehouses.value;
+    })();
+    return pending;
+  }
+
+  function findWarehouse(id) {
+    if (!id) return null;
+    return warehouses.value.find((w) => String(w.warehouse_id) === String(id)) ?? null;
+  }
+
+  return { warehouses, multiWarehouse, loading, error, load, findWarehouse };
+}
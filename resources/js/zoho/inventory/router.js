@@ -10,6 +10,7 @@
 // ============================================================
 
 import { createRouter, createWebHistory } from 'vue-router'
+import { useOrderStore } from './stores/order'
 
 // ------------------------------------------------------------
 // Import all page components
@@ -17,9 +18,16 @@ import { createRouter, createWebHistory } from 'vue-router'
 // Each page represents a separate view in our SPA.
 // The import paths are relative to this `router.js` file.
 // Avoid using aliases (like @inventory) unless properly configured in vite.config.js
+import DashboardPage        from './pages/DashboardPage.vue'         // Landing page: sales KPIs, low stock, POs awaiting receipt
 import SalesOrdersListPage  from './pages/SalesOrdersListPage.vue'   // Page that shows the list of Sales Orders
 import SalesOrderCreatePage from './pages/SalesOrderCreatePage.vue'  // Page for creating a new Sales Order
 import SalesOrderViewPage   from './pages/SalesOrderViewPage.vue'    // Page for viewing/editing a specific Sales Order
+import PurchaseOrdersListPage from './pages/PurchaseOrdersListPage.vue' // Page that shows the list of Purchase Orders
+import PurchaseOrderViewPage  from './pages/PurchaseOrderViewPage.vue'  // Page for viewing/receiving a specific Purchase Order
+import ItemsListPage          from './pages/ItemsListPage.vue'          // Item catalog (filters, add to the new-order draft)
+import ItemViewPage           from './pages/ItemViewPage.vue'           // Item details, stock per warehouse, recent Sales Orders
+import CustomersListPage      from './pages/CustomersListPage.vue'      // Customers with outstanding receivables
+import CustomerViewPage       from './pages/CustomerViewPage.vue'       // Customer contacts, open invoices, Sales Orders
 
 // ------------------------------------------------------------
 // Define route mappings
@@ -28,8 +36,13 @@ import SalesOrderViewPage   from './pages/SalesOrderViewPage.vue'    // Page for
 // The `meta.title` is used to set the document title dynamically.
 // `props: true` allows route params (like :id) to be passed to the component as props.
 const routes = [
-  // Redirect the root of the SPA to the main list
-  { path: '/', redirect: '/salesorders' },
+  // Dashboard (root of the SPA)
+  {
+    path: '/',
+    name: 'dashboard',
+    component: DashboardPage,
+    meta: { title: 'Dashboard' },
+  },
 
   // List of all Sales Orders
   {
@@ -55,6 +68,57 @@ const routes = [
     props: true, // automatically injects route param "id" as a prop
     meta: { title: 'Sales Order' },
   },
+
+  // List of Purchase Orders (created from Sales Orders or in Zoho)
+  {
+    path: '/purchaseorders',
+    name: 'po.list',
+    component: PurchaseOrdersListPage,
+    meta: { title: 'Purchase Orders' },
+  },
+
+  // View / receive a specific Purchase Order by ID
+  {
+    path: '/purchaseorders/:id',
+    name: 'po.view',
+    component: PurchaseOrderViewPage,
+    props: true,
+    meta: { title: 'Purchase Order' },
+  },
+
+  // Item catalog
+  {
+    path: '/items',
+    name: 'item.list',
+    component: ItemsListPage,
+    meta: { title: 'Items' },
+  },
+
+  // Item details by ID
+  {
+    path: '/items/:id',
+    name: 'item.view',
+    component: ItemViewPage,
+    props: true,
+    meta: { title: 'Item' },
+  },
+
+  // Customers
+  {
+    path: '/customers',
+    name: 'customer.list',
+    component: CustomersListPage,
+    meta: { title: 'Customers' },
+  },
+
+  // Customer details by ID (order history, receivables, new-order shortcut)
+  {
+    path: '/customers/:id',
+    name: 'customer.view',
+    component: CustomerViewPage,
+    props: true,
+    meta: { title: 'Customer' },
+  },
 ]
 
 // ------------------------------------------------------------
@@ -63,15 +127,43 @@ const routes = [
 // `createWebHistory('/inventory/')` tells Vue Router that all URLs
 // are relative to the `/inventory` prefix (defined in Laravel routes).
 // This is essential for correct routing when using Laravel + Vue together.
-export default createRouter({
+const router = createRouter({
   history: createWebHistory('/inventory/'), // trailing slash is important
   routes,
 })
 
+// ------------------------------------------------------------
+// Unsaved-changes guard
+// ------------------------------------------------------------
+// Warns before leaving a dirty Sales Order draft:
+//  - the new-order page (draft is kept in localStorage, but not sent to Zoho)
+//  - edit mode on the view page (edits are NOT persisted anywhere)
+router.beforeEach((to, from) => {
+  const order = useOrderStore()
+  if (!order.isDirty) return true
+
+  const leavingNew = from.name === 'so.new' && to.name !== 'so.new' && !order.isEditing
+  const leavingEdit =
+    from.name === 'so.view' &&
+    order.isEditing &&
+    (to.name !== 'so.view' || to.params.id !== from.params.id)
+
+  if (leavingEdit) {
+    return window.confirm('You have unsaved changes to this Sales Order. Leave and discard them?')
+  }
+  if (leavingNew) {
+    return window.confirm('This Sales Order draft has not been sent to Zoho yet. Leave the page? (The draft stays saved in this browser.)')
+  }
+  return true
+})
+
+export default router
+
 // ------------------------------------------------------------
 // Notes:
 // 1. Laravel routes/web.php should direct all paths under `/inventory`
-//    (like /inventory/salesorders, /inventory/salesorders/new, etc.)
+//    (like /inventory, /inventory/salesorders, /inventory/salesorders/new,
+//    /inventory/purchaseorders, /inventory/items, /inventory/customers, etc.)
 //    to the same Blade file (zoho/inventory/index.blade.php).
 //
 // 2. That Blade file loads the Vue app via @vite().
@@ -0,0 +1,46 @@
+// resources/js/zoho/inventory/stores/address.js
+// ============================================================
+// Addresses (pure functions, no Vue/Pinia)
+// ------------------------------------------------------------
+// Zoho uses one address shape for contacts and Sales Orders:
+//   { address_id?, attention, address, street2, city, state, zip, country, phone }
+// (the backend whitelists the same keys: ZohoInventoryService::ADDRESS_FIELDS)
+// ============================================================
+
+export const ADDRESS_FIELDS = ['attention', 'address', 'street2', 'city', 'state', 'zip', 'country', 'phone'];
+
+/** Form labels / placeholders per field */
+export const ADDRESS_LABELS = {
+  attention: 'Attention',
+  address: 'Street',
+  street2: 'Street 2',
+  city: 'City',
+  state: 'State / region',
+  zip: 'ZIP / postcode',
+  country: 'Country',
+  phone: 'Phone',
+};
+
+/** Empty address for forms */
+export function emptyAddress() {
+  return Object.fromEntries(ADDRESS_FIELDS.map((f) => [f, '']));
+}
+
+/** Known keys of a Zoho address as strings (+ address_id); null when nothing is filled in */
+export function pickAddress(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const out = emptyAddress();
+  ADDRESS_FIELDS.forEach((f) => {
+    out[f] = raw[f] != null ? String(raw[f]) : '';
+  });
+  if (!ADDRESS_FIELDS.some((f) => out[f].trim())) return null;
+  if (raw.address_id) out.address_id = String(raw.address_id);
+  return out;
+}
+
+/** Display lines: attention / street / "zip city, state" / country */
+export function addressLines(a) {
+  if (!a) return [];
+  const cityLine = [[a.zip, a.city].filter(Boolean).join(' '), a.state].filter(Boolean).join(', ');
+  return [a.attention, a.address, a.street2, cityLine, a.country].map((l) => String(l ?? '').trim()).filter(Boolean);
+}
@@ -0,0 +1,59 @@
+// resources/js/zoho/inventory/stores/contact.js
+// ============================================================
+// Zoho contacts → order customer (pure functions, no Vue/Pinia)
+// ------------------------------------------------------------
+// A full contact (GET /api/zoho/contacts/:id) carries its email /
+// phone either on the contact or on its contact persons. Used by
+// CustomerSection (picked / saved customer) and the customer page
+// ("New order for this customer").
+// ============================================================
+
+import { pickAddress } from '@inventory/stores/address';
+
+/** Primary contact person (or the first one), null when there are none */
+export function primaryPerson(full) {
+  const persons = Array.isArray(full?.contact_persons) ? full.contact_persons : [];
+  return persons.find((p) => p?.is_primary_contact || p?.is_primary_contact_person) ?? persons[0] ?? null;
+}
+
+/** Best email: the contact's, the primary person's, then any person's */
+export function pickEmail(full) {
+  if (full?.email) return full.email;
+  const primary = primaryPerson(full);
+  if (primary?.email) return primary.email;
+  const persons = Array.isArray(full?.contact_persons) ? full.contact_persons : [];
+  return persons.find((p) => p?.email)?.email ?? '';
+}
+
+/** Primary phone: the contact's, else the primary person's phone / mobile */
+export function pickPhone(full) {
+  if (full?.phone) return full.phone;
+  const primary = primaryPerson(full);
+  return primary?.phone || primary?.mobile || '';
+}
+
+/**
+ * Currency of a contact, with its exchange rate from the organization list
+ * (`findCurrency` from useMoney); null when the contact has none.
+ */
+export function contactCurrency(full, findCurrency) {
+  const known = findCurrency(full?.currency_id) || findCurrency(full?.currency_code);
+  if (known) return known;
+  if (!full?.currency_code) return null;
+  return { currency_id: full.currency_id ?? '', currency_code: full.currency_code, exchange_rate: 1 };
+}
+
+/**
+ * Customer fields of the order store for a contact (store.setCustomer payload).
+ * `fallback` fills what the contact lacks: { name, email, phone }.
+ */
+export function contactCustomer(full, fallback = {}) {
+  return {
+    name: full?.contact_name || fallback.name || '',
+    email: fallback.email || pickEmail(full),
+    phone: pickPhone(full) || fallback.phone || '',
+    contact_id: full?.contact_id ? String(full.contact_id) : '',
+    billing_address: pickAddress(full?.billing_address),
+    shipping_address: pickAddress(full?.shipping_address),
+  };
+}
@@ -0,0 +1,45 @@
+// resources/js/zoho/inventory/stores/lineStock.js
+// ============================================================
+// Stock of an order line (pure functions, no Vue/Pinia)
+// ------------------------------------------------------------
+// Lines carry the item's stock per warehouse (`warehouses`, from
+// useItemDetails) and the picked `warehouse_id`. The stock that
+// counts is the one of that warehouse; with nothing picked Zoho
+// ships from the primary warehouse, so that one counts. Lines
+// without per-warehouse figures (single-warehouse organizations,
+// not enriched yet) fall back to the item's total `available_stock`.
+// Used for the shortage badge, the "Create PO" default and the
+// purchase plan quantities.
+// ============================================================
+
+/** Warehouse entry the line ships from, or null when unknown */
+export function lineWarehouse(row) {
+  const list = Array.isArray(row?.warehouses) ? row.warehouses : [];
+  if (!list.length) return null;
+  if (row.warehouse_id) {
+    return list.find((w) => String(w.warehouse_id) === String(row.warehouse_id)) ?? null;
+  }
+  return list.find((w) => w.is_primary) ?? null;
+}
+
+/** Available stock for the line's location (null when unknown) */
+export function lineStock(row) {
+  const wh = lineWarehouse(row);
+  const raw = wh ? wh.available_stock : row?.available_stock ?? row?.actual_available_stock;
+  if (raw === null || raw === undefined || raw === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Shortage: qty − stock at the line's location when tracked and known; else 0 */
+export function shortfall(row) {
+  if (row?.track_inventory !== true) return 0;
+  const stock = lineStock(row);
+  if (stock === null) return 0;
+  return Math.max(0, Number(row?.qty ?? 0) - stock);
+}
+
+/** Per-warehouse stock as stored on a line, from normalized item details */
+export function warehouseStock(details) {
+  return Array.isArray(details?.warehouses) ? details.warehouses.map((w) => ({ ...w })) : [];
+}
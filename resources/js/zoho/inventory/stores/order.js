@@ -7,49 +7,193 @@
 //  - Provide simple actions to mutate items and recompute totals
 // Notes:
 //  - Each line item may carry `zoho_item_id` (required for Zoho Inventory)
-//  - Totals are naive and will be refined later (discounts, taxes, etc.)
+//  - Totals follow Zoho's tax/discount/shipping rules (see stores/orderTotals.js)
+//  - The new-order draft is persisted by stores/orderPersistence.js;
+//    `baseline` marks what the draft is compared to for isDirty
 // ============================================================
 
 import { defineStore } from 'pinia';
+import { readDraft, clearDraft } from '@inventory/stores/orderPersistence';
+import { computeTotals, parseDiscount, round2 } from '@inventory/stores/orderTotals';
+import { pickAddress } from '@inventory/stores/address';
+
+// Order-level pricing fields, sent as-is with the Sales Order payload
+const PRICING_FIELDS = [
+  'discount_type',
+  'discount',
+  'discount_unit',
+  'is_discount_before_tax',
+  'is_inclusive_tax',
+  'shipping_charge',
+  'adjustment',
+  'adjustment_description',
+  'exchange_rate',
+];
+
+// Delivery details, sent as-is with the Sales Order payload (Zoho field names)
+const DELIVERY_FIELDS = [
+  'shipment_date',
+  'delivery_method',
+  'reference_number',
+  'salesperson_name',
+  'notes',
+  'terms',
+];
+
+// Fields that make up a draft (persisted + compared for dirtiness)
+const DRAFT_FIELDS = [
+  'customer',
+  'items',
+  'createPurchaseOrders',
+  'currency_id',
+  'currency_code',
+  'duplicated_from',
+  'submit_key',
+  ...PRICING_FIELDS,
+  ...DELIVERY_FIELDS,
+];
+
+/** Plain deep copy of the draft fields of a state object */
+function pickDraft(state) {
+  const out = {};
+  DRAFT_FIELDS.forEach((k) => {
+    out[k] = state[k];
+  });
+  return JSON.parse(JSON.stringify(out));
+}
+
+const initialState = () => ({
+  // Set when the draft edits an existing Zoho Sales Order (null for a new one)
+  salesorder_id: null,
+  salesorder_number: '',
+
+  // Basic customer info captured on the form
+  customer: {
+    name: '',
+    email: '',
+    phone: '',
+    // Zoho contact_id when picked from contacts or loaded from an existing order
+    contact_id: '',
+    // Order addresses (Zoho shape: attention, address, street2, city, state, zip,
+    // country, phone). Filled from the picked contact with its address_id; editing
+    // one for this order drops the address_id. null = none.
+    billing_address: null,
+    shipping_address: null,
+  },
+
+  // Line items of the Sales Order
+  items: [
+    // Example shape:
+    // {
+    //   id: 123,                 // local row uid
+    //   zoho_item_id: '8503...', // Zoho Inventory item_id
+    //   name: 'USB-C Cable 1m',
+    //   sku: 'USBC-1M',
+    //   qty: 1,
+    //   rate: 9.99,
+    //   tax_id: '',              // Zoho tax picked from GET /api/zoho/taxes ('' = no tax)
+    //   tax_name: '',
+    //   tax_percentage: 0,
+    //   discount: 0,             // line discount (only with discount_type 'item_level')
+    //   discount_unit: 'percent',// 'percent' | 'amount'
+    //   line_item_id: '',        // Zoho line id, only for lines of an existing order
+    //   changes: {               // only on duplicated lines that differ from the original
+    //     previous_rate: 9.5,    //   rate on the original order (price changed)
+    //     availability: 'short', //   'short' | 'out_of_stock' | 'unavailable'
+    //   },
+    // }
+  ],
+
+  // Original order when the draft was made with "Duplicate" ({ salesorder_id, salesorder_number })
+  duplicated_from: null,
+
+  // Idempotency-Key of the last submit of this draft ('' = never submitted).
+  // Kept until the order is created, so re-sending can't create it twice.
+  submit_key: '',
+
+  // Whether to auto-create Purchase Orders for out-of-stock items
+  createPurchaseOrders: false,
+
+  // Order currency = customer's Zoho currency ('' = not known yet → base currency).
+  // exchange_rate is base units per 1 unit of the order currency (Zoho convention).
+  currency_id: '',
+  currency_code: '',
+  exchange_rate: 1,
+
+  // Delivery details (Zoho field names)
+  shipment_date: '',             // expected shipment, 'YYYY-MM-DD' ('' = not set)
+  delivery_method: '',           // e.g. 'Courier', 'Pickup'
+  reference_number: '',          // customer's reference ('' = generated by the backend)
+  salesperson_name: '',
+  notes: '',                     // customer notes, printed on the order
+  terms: '',                     // terms & conditions
+
+  // Order-level pricing (Zoho field names)
+  discount_type: 'item_level',   // 'item_level' (per line) | 'entity_level' (whole order)
+  discount: 0,                   // order discount (only with 'entity_level')
+  discount_unit: 'percent',      // 'percent' | 'amount'
+  is_discount_before_tax: true,
+  is_inclusive_tax: false,       // rates already include tax
+  shipping_charge: 0,
+  adjustment: 0,                 // signed amount added at the end
+  adjustment_description: 'Adjustment',
+
+  // Aggregated totals (see computeTotals)
+  totals: {
+    subtotal: 0,
+    discount_total: 0,
+    tax_total: 0,
+    taxes: [],
+    shipping_charge: 0,
+    adjustment: 0,
+    grand_total: 0,
+  },
+
+  // JSON of the draft fields right after load (edit mode); null = empty draft
+  baseline: null,
+});
+
+// Serialized empty draft — what a "clean" new order looks like
+const EMPTY_DRAFT = JSON.stringify(pickDraft(initialState()));
+
+// Units of base currency per unit of order currency (Zoho's exchange_rate; 1 when unset)
+function exchangeRate(value) {
+  return Number(value) > 0 ? Number(value) : 1;
+}
 
 export const useOrderStore = defineStore('order', {
-  state: () => ({
-    // Basic customer info captured on the form
-    customer: {
-      name: '',
-      email: '',
-      phone: '',
-      // Optionally we may store resolved Zoho contact_id later
-      // contact_id: '',
-    },
-
-    // Line items of the Sales Order
-    items: [
-      // Example shape:
-      // {
-      //   id: 123,                 // local row uid
-      //   zoho_item_id: '8503...', // Zoho Inventory item_id
-      //   name: 'USB-C Cable 1m',
-      //   sku: 'USBC-1M',
-      //   qty: 1,
-      //   rate: 9.99,
-      //   tax: 0,                  // plain tax amount (not percentage) for now
-      // }
-    ],
-
-    // Whether to auto-create Purchase Orders for out-of-stock items
-    createPurchaseOrders: false,
-
-    // Aggregated totals (kept simple for now)
-    totals: {
-      subtotal: 0,
-      tax_total: 0,
-      grand_total: 0,
-    },
-  }),
+  state: initialState,
 
   getters: {
     itemCount: (state) => state.items.length,
+    isEditing: (state) => !!state.salesorder_id,
+
+    // Draft fields as a plain object (what gets persisted)
+    draftSnapshot: (state) => pickDraft(state),
+
+    // Order-level pricing fields for the create/update payload
+    pricingPayload: (state) => {
+      const out = {};
+      PRICING_FIELDS.forEach((k) => {
+        out[k] = state[k];
+      });
+      return out;
+    },
+
+    // Delivery details for the create/update payload
+    deliveryPayload: (state) => {
+      const out = {};
+      DELIVERY_FIELDS.forEach((k) => {
+        out[k] = state[k];
+      });
+      return out;
+    },
+
+    // Anything entered at all (customer or lines)
+    hasContent: (state) => JSON.stringify(pickDraft(state)) !== EMPTY_DRAFT,
+
+    // Changed since load (edit mode) or since the empty form (new order)
+    isDirty: (state) => JSON.stringify(pickDraft(state)) !== (state.baseline ?? EMPTY_DRAFT),
   },
 
   actions: {
@@ -68,7 +212,11 @@ export const useOrderStore = defineStore('order', {
       this.items.push({
         qty: 1,
         rate: 0,
-        tax: 0,
+        tax_id: '',
+        tax_name: '',
+        tax_percentage: 0,
+        discount: 0,
+        discount_unit: 'percent',
         zoho_item_id: '',
         ...line,
       });
@@ -76,14 +224,22 @@ export const useOrderStore = defineStore('order', {
 
     // Optional convenience: add or increase if same identity exists
     // Priority for identity:
-    //  1) zoho_item_id (stable id from Zoho)
-    //  2) fallback to (sku + rate) pair if no zoho_item_id
-    addOrIncrease(line) {
-      const zId = line?.zoho_item_id ?? '';
+    //  1) zoho_item_id / item_id (stable id from Zoho) + warehouse
+    //  2) fallback to (sku + rate) pair if no Zoho id
+    // `matchRate`: the line's rate was chosen (e.g. from an import file), so a
+    // line at another rate is not merged into — the rate would be lost.
+    addOrIncrease(line, { matchRate = false } = {}) {
+      const zId = line?.zoho_item_id || line?.item_id || '';
+      const warehouseId = String(line?.warehouse_id || '');
       let existing = null;
 
       if (zId) {
-        existing = this.items.find((i) => i.zoho_item_id === zId);
+        existing = this.items.find(
+          (i) =>
+            (i.zoho_item_id || i.item_id) === zId &&
+            String(i.warehouse_id || '') === warehouseId &&
+            (!matchRate || Number(i.rate) === Number(line.rate)),
+        );
       } else if (line?.sku != null && line?.rate != null) {
         existing = this.items.find(
           (i) => (i.sku || '') === (line.sku || '') && Number(i.rate) === Number(line.rate),
@@ -104,19 +260,168 @@ export const useOrderStore = defineStore('order', {
       this.createPurchaseOrders = Boolean(flag);
     },
 
-    // Recompute totals (naive: subtotal=sum(qty*rate), tax_total=sum(tax), grand=subtotal+tax)
+    // Switch the order currency (customer's Zoho currency; null = base currency).
+    // Line rates are converted through the base currency so prices stay equivalent.
+    setCurrency(currency) {
+      const nextRate = exchangeRate(currency?.exchange_rate);
+      const prevRate = exchangeRate(this.exchange_rate);
+      const nextCode = currency?.currency_code ?? '';
+
+      if (nextCode === this.currency_code && nextRate === prevRate) return;
+
+      if (nextRate !== prevRate) {
+        this.items.forEach((it) => {
+          it.rate = round2(((Number(it.rate) || 0) * prevRate) / nextRate);
+        });
+      }
+
+      this.currency_id = currency?.currency_id ? String(currency.currency_id) : '';
+      this.currency_code = nextCode;
+      this.exchange_rate = nextRate;
+      this.recomputeTotals();
+    },
+
+    // Base-currency amount (Zoho item rates) → order currency, rounded like a line rate
+    toOrderCurrency(baseAmount) {
+      return round2((Number(baseAmount) || 0) / exchangeRate(this.exchange_rate));
+    },
+
+    // Pick a Zoho tax for a line (null/undefined tax = no tax)
+    setLineTax(line, tax) {
+      line.tax_id = tax?.tax_id ? String(tax.tax_id) : '';
+      line.tax_name = tax?.tax_name ?? '';
+      line.tax_percentage = Number(tax?.tax_percentage ?? 0);
+      this.recomputeTotals();
+    },
+
+    // Recompute totals with Zoho's tax/discount/shipping rules
     recomputeTotals() {
-      const subtotal = this.items.reduce(
-        (sum, it) => sum + (Number(it.qty) * Number(it.rate) || 0),
-        0,
-      );
-      const taxTotal = this.items.reduce(
-        (sum, it) => sum + (Number(it.tax) || 0),
-        0,
-      );
-      this.totals.subtotal = subtotal;
-      this.totals.tax_total = taxTotal;
-      this.totals.grand_total = subtotal + taxTotal;
+      this.totals = computeTotals(this);
+    },
+
+    // Load an existing Sales Order (GET /api/zoho/salesorders/:id payload) for editing.
+    loadFromSalesOrder(so) {
+      this.$reset();
+
+      this.salesorder_id = so?.salesorder_id ? String(so.salesorder_id) : null;
+      this.salesorder_number = so?.salesorder_number ?? '';
+
+      this.customer = {
+        ...this.customer,
+        name: so?.customer_name ?? '',
+        email: so?.email ?? '',
+        contact_id: so?.customer_id ? String(so.customer_id) : '',
+        billing_address: pickAddress(so?.billing_address),
+        shipping_address: pickAddress(so?.shipping_address),
+      };
+
+      const lines = Array.isArray(so?.line_items) ? so.line_items : [];
+      this.items = lines.map((li, idx) => {
+        const disc = parseDiscount(li.discount);
+        return {
+          id: li.line_item_id || `${Date.now()}-${idx}`,
+          line_item_id: li.line_item_id ? String(li.line_item_id) : '',
+          item_id: li.item_id ? String(li.item_id) : '',
+          name: li.name ?? li.item_name ?? '',
+          sku: li.sku ?? '',
+          qty: Number(li.quantity ?? 0),
+          rate: Number(li.rate ?? 0),
+          tax_id: li.tax_id ? String(li.tax_id) : '',
+          tax_name: li.tax_name ?? '',
+          tax_percentage: Number(li.tax_percentage ?? 0),
+          discount: disc.value,
+          discount_unit: disc.unit,
+          warehouse_id: li.warehouse_id ? String(li.warehouse_id) : '',
+          warehouse_name: li.warehouse_name ?? '',
+          create_po: false,
+        };
+      });
+
+      this.currency_id = so?.currency_id ? String(so.currency_id) : '';
+      this.currency_code = so?.currency_code ?? '';
+      this.exchange_rate = Number(so?.exchange_rate) > 0 ? Number(so.exchange_rate) : 1;
+
+      const orderDisc = parseDiscount(so?.discount);
+      this.discount_type = so?.discount_type === 'entity_level' ? 'entity_level' : 'item_level';
+      this.discount = orderDisc.value;
+      this.discount_unit = orderDisc.unit;
+      this.is_discount_before_tax = so?.is_discount_before_tax !== false;
+      this.is_inclusive_tax = !!so?.is_inclusive_tax;
+      this.shipping_charge = Number(so?.shipping_charge ?? 0);
+      this.adjustment = Number(so?.adjustment ?? 0);
+      this.adjustment_description = so?.adjustment_description || 'Adjustment';
+
+      DELIVERY_FIELDS.forEach((k) => {
+        this[k] = so?.[k] != null ? String(so[k]) : '';
+      });
+
+      this.recomputeTotals();
+      this.baseline = JSON.stringify(pickDraft(this));
+    },
+
+    // Start a new draft from an existing Sales Order ("Duplicate"): same customer,
+    // lines and pricing, but no Zoho ids, so saving creates a new order.
+    loadAsDuplicate(so) {
+      this.loadFromSalesOrder(so);
+
+      this.salesorder_id = null;
+      this.salesorder_number = '';
+      // Per-order details: a new order gets its own date and reference
+      this.shipment_date = '';
+      this.reference_number = '';
+      this.items.forEach((it, idx) => {
+        it.id = `${Date.now()}-dup-${idx}`;
+        it.line_item_id = '';
+        // undefined → ItemsTable picks the Create PO default from the shortage
+        it.create_po = undefined;
+      });
+      this.duplicated_from = {
+        salesorder_id: so?.salesorder_id ? String(so.salesorder_id) : '',
+        salesorder_number: so?.salesorder_number ?? '',
+      };
+
+      this.recomputeTotals();
+      this.baseline = null;
+    },
+
+    // Forget the duplicate markers (origin banner + per-line "changed" notes)
+    clearDuplicateMarks() {
+      this.items.forEach((it) => {
+        delete it.changes;
+      });
+      this.duplicated_from = null;
+    },
+
+    // Replace the draft fields with a stored snapshot (or clear them when null)
+    applyDraft(draft) {
+      this.$reset();
+      if (draft && typeof draft === 'object') {
+        DRAFT_FIELDS.forEach((k) => {
+          if (k in draft) this[k] = draft[k];
+        });
+        this.customer = { ...initialState().customer, ...this.customer };
+        this.items = Array.isArray(this.items) ? this.items : [];
+      }
+      this.recomputeTotals();
+    },
+
+    // Bring back the persisted new-order draft (e.g. after leaving edit mode)
+    restoreDraft() {
+      this.applyDraft(readDraft()?.draft ?? null);
+    },
+
+    // Throw the new-order draft away, in memory and in storage
+    discardDraft() {
+      this.$reset();
+      clearDraft();
+    },
+
+    // Fresh new-order draft for a customer (customer page: "New order for this customer");
+    // `customer` is a setCustomer payload (stores/contact.js contactCustomer)
+    startForCustomer(customer, currency = null) {
+      this.discardDraft();
+      if (currency) this.setCurrency(currency);
+      this.setCustomer(customer);
     },
 
     // Reset draft to initial values
@@ -0,0 +1,163 @@
+// resources/js/zoho/inventory/stores/orderPersistence.js
+// ============================================================
+// Sales Order draft persistence (localStorage) + cross-tab sync
+// ------------------------------------------------------------
+// Purpose:
+//  - Keep the "New Sales Order" draft (customer, items incl. enriched
+//    stock data and create_po flags) across reloads and navigations
+//  - Keep every open tab on the same draft via the `storage` event,
+//    so two tabs don't silently overwrite each other; when both changed
+//    it (a write still pending here), the later change wins
+// Notes:
+//  - Snapshots carry a schema version; older ones are migrated on read,
+//    unknown ones are dropped
+//  - Edit mode (store.salesorder_id set) is never persisted — it edits
+//    an order that already lives in Zoho
+// ============================================================
+
+export const DRAFT_STORAGE_KEY = 'zoho.inventory.salesorder-draft';
+export const DRAFT_SCHEMA_VERSION = 2;
+
+// Upgrades from older schema versions: version → fn(draft) returning the next version
+const MIGRATIONS = {
+  // v1 → v2: flat `tax` per line becomes tax_id/tax_percentage + line discount
+  1: (draft) => ({
+    ...draft,
+    items: (Array.isArray(draft.items) ? draft.items : []).map(({ tax, ...line }) => ({
+      tax_id: '',
+      tax_name: '',
+      tax_percentage: Number(tax) || 0,
+      discount: 0,
+      discount_unit: 'percent',
+      ...line,
+    })),
+  }),
+};
+
+// Debounce for writes while typing
+const WRITE_DELAY_MS = 300;
+
+// Identifies this tab in stored snapshots (debugging / conflict inspection)
+const TAB_ID = Math.random().toString(36).slice(2, 10);
+
+/** Read the stored snapshot: { version, updated_at, changed_at, tab_id, draft } or null */
+export function readDraft() {
+  try {
+    const raw = window.localStorage.getItem(DRAFT_STORAGE_KEY);
+    if (!raw) return null;
+
+    const parsed = JSON.parse(raw);
+    if (!parsed?.draft || typeof parsed.draft !== 'object') {
+      window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+      return null;
+    }
+
+    // Walk older snapshots up to the current schema
+    while (parsed.version < DRAFT_SCHEMA_VERSION && MIGRATIONS[parsed.version]) {
+      parsed.draft = MIGRATIONS[parsed.version](parsed.draft);
+      parsed.version += 1;
+    }
+
+    if (parsed.version !== DRAFT_SCHEMA_VERSION) {
+      // Unknown schema: drop it instead of loading a broken draft
+      window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+      return null;
+    }
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/** Store the draft fields under the versioned key; `changedAt` = time of the last edit */
+export function writeDraft(draft, changedAt = Date.now()) {
+  try {
+    window.localStorage.setItem(
+      DRAFT_STORAGE_KEY,
+      JSON.stringify({
+        version: DRAFT_SCHEMA_VERSION,
+        updated_at: Date.now(),
+        changed_at: changedAt,
+        tab_id: TAB_ID,
+        draft,
+      }),
+    );
+  } catch (e) {
+    // Quota exceeded / storage disabled: the draft simply stays in memory
+    console.warn('Sales Order draft could not be saved:', e);
+  }
+}
+
+export function clearDraft() {
+  try {
+    window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+  } catch {
+    // ignore – nothing to clear
+  }
+}
+
+/**
+ * Wire the order store to localStorage:
+ *  1) restore the stored draft
+ *  2) write changes back (debounced; flushed on pagehide)
+ *  3) apply drafts written by other tabs (unless this tab's pending
+ *     change is the later one: that one is written instead)
+ */
+export function setupOrderPersistence(store) {
+  store.restoreDraft();
+
+  let timer = null;
+  let changedAt = 0;
+  let applyingRemote = false;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (store.isEditing) return;
+
+    if (store.hasContent) writeDraft(store.draftSnapshot, changedAt || Date.now());
+    else clearDraft();
+  }
+
+  // `sync` so changes applied from another tab are recognized (and not echoed back)
+  store.$subscribe(
+    () => {
+      if (applyingRemote) return;
+      changedAt = Date.now();
+      clearTimeout(timer);
+      timer = setTimeout(flush, WRITE_DELAY_MS);
+    },
+    { detached: true, flush: 'sync' },
+  );
+
+  window.addEventListener('storage', (e) => {
+    if (e.key !== DRAFT_STORAGE_KEY && e.key !== null) return;
+    // Editing an existing order: the new draft is picked up on leaving edit mode
+    if (store.isEditing) return;
+
+    const remote = readDraft();
+    if (timer) {
+      // Both tabs changed the draft: keep the later change. A cleared draft (order
+      // submitted or discarded there) counts as just now.
+      const remoteChangedAt = remote ? (remote.changed_at ?? remote.updated_at ?? 0) : Date.now();
+      if (changedAt > remoteChangedAt) {
+        flush();
+        return;
+      }
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    applyingRemote = true;
+    try {
+      store.applyDraft(remote?.draft ?? null);
+    } finally {
+      applyingRemote = false;
+    }
+  });
+
+  // Don't lose the last keystrokes on reload/close
+  window.addEventListener('pagehide', () => {
+    if (timer) flush();
+  });
+}
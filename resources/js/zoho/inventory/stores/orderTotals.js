@@ -0,0 +1,112 @@
+// resources/js/zoho/inventory/stores/orderTotals.js
+// ============================================================
+// Sales Order totals (pure functions, no Vue/Pinia)
+// ------------------------------------------------------------
+// Mirrors how Zoho Inventory calculates a Sales Order so the draft
+// totals agree with the saved order:
+//  - line amount   = round2(qty × rate) − line discount   (item_level)
+//  - order discount (entity_level), % or fixed: "before tax" it is
+//    taken on the sub total and spread over the lines pro rata;
+//    "after tax" on the sub total + tax (tax-exclusive prices)
+//  - tax per line  = round2(base × rate%)                 (exclusive)
+//                    round2(base × rate% / (100 + rate%)) (inclusive)
+//  - total = sub total − discount (+ tax when exclusive) + shipping + adjustment
+// Rounding is half-up to 2 decimals at line level, like Zoho's default.
+// ============================================================
+
+/** Round half-up to 2 decimals (EPSILON keeps 1.005 → 1.01) */
+export function round2(n) {
+  const v = Number(n) || 0;
+  return Math.sign(v) * Math.round((Math.abs(v) + Number.EPSILON) * 100) / 100;
+}
+
+/** Discount for a base amount; unit is 'percent' (0–100) or 'amount' (capped at base) */
+export function discountAmount(base, value, unit = 'percent') {
+  const v = Math.max(0, Number(value) || 0);
+  if (!v || base <= 0) return 0;
+  if (unit === 'amount') return round2(Math.min(v, base));
+  return round2((base * Math.min(v, 100)) / 100);
+}
+
+/** Zoho sends discounts as "10.00%" (percent) or a plain number (amount) */
+export function parseDiscount(raw) {
+  if (raw === null || raw === undefined || raw === '') return { value: 0, unit: 'percent' };
+  const str = String(raw).trim();
+  if (str.endsWith('%')) return { value: Number(str.slice(0, -1)) || 0, unit: 'percent' };
+  return { value: Number(str) || 0, unit: 'amount' };
+}
+
+/**
+ * Amounts of a single line.
+ * @returns {{ gross:number, discount:number, net:number }} net is Zoho's line "Amount"
+ */
+export function lineAmounts(line, { lineDiscounts = true } = {}) {
+  const gross = round2(Number(line?.qty || 0) * Number(line?.rate || 0));
+  const discount = lineDiscounts ? discountAmount(gross, line?.discount, line?.discount_unit) : 0;
+  return { gross, discount, net: round2(gross - discount) };
+}
+
+/**
+ * Totals for the whole order (shape of useOrderStore state).
+ * @returns {{
+ *   subtotal:number, discount_total:number, tax_total:number,
+ *   taxes:Array<{tax_id:string, tax_name:string, tax_percentage:number, amount:number}>,
+ *   shipping_charge:number, adjustment:number, grand_total:number
+ * }}
+ */
+export function computeTotals(order) {
+  const items = Array.isArray(order?.items) ? order.items : [];
+  const itemLevel = order?.discount_type !== 'entity_level';
+  const inclusive = !!order?.is_inclusive_tax;
+
+  const lines = items.map((line) => ({ line, ...lineAmounts(line, { lineDiscounts: itemLevel }) }));
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.net, 0));
+
+  // Before tax the order discount is known now and shrinks each line's tax base
+  const beforeTax = !itemLevel && order?.is_discount_before_tax !== false;
+  const discountBeforeTax = beforeTax ? discountAmount(subtotal, order?.discount, order?.discount_unit) : 0;
+  const factor = beforeTax && subtotal > 0 ? (subtotal - discountBeforeTax) / subtotal : 1;
+
+  const byTax = new Map();
+  lines.forEach(({ line, net }) => {
+    const pct = Number(line?.tax_percentage) || 0;
+    if (!pct) return;
+
+    const base = net * factor;
+    const amount = round2(inclusive ? (base * pct) / (100 + pct) : (base * pct) / 100);
+
+    const key = line.tax_id || `${pct}%`;
+    const entry = byTax.get(key) ?? {
+      tax_id: line.tax_id || '',
+      tax_name: line.tax_name || `Tax (${pct}%)`,
+      tax_percentage: pct,
+      amount: 0,
+    };
+    entry.amount = round2(entry.amount + amount);
+    byTax.set(key, entry);
+  });
+
+  const taxes = [...byTax.values()];
+  const taxTotal = round2(taxes.reduce((sum, t) => sum + t.amount, 0));
+
+  // After tax it is taken on what the customer pays for the lines, tax included
+  let discountTotal = discountBeforeTax;
+  if (!itemLevel && !beforeTax) {
+    const base = round2(subtotal + (inclusive ? 0 : taxTotal));
+    discountTotal = discountAmount(base, order?.discount, order?.discount_unit);
+  }
+  const shipping = round2(order?.shipping_charge);
+  const adjustment = round2(order?.adjustment);
+
+  const grand = subtotal - discountTotal + (inclusive ? 0 : taxTotal) + shipping + adjustment;
+
+  return {
+    subtotal,
+    discount_total: discountTotal,
+    tax_total: taxTotal,
+    taxes,
+    shipping_charge: shipping,
+    adjustment,
+    grand_total: round2(grand),
+  };
+}
@@ -0,0 +1,91 @@
+// resources/js/zoho/inventory/stores/submissionOutbox.js
+// ============================================================
+// Sales Order submissions outbox (IndexedDB)
+// ------------------------------------------------------------
+// Purpose:
+//  - Keep every Sales Order submit until the server has answered,
+//    so a dropped connection never loses (or doubles) an order
+//  - One record per idempotency key:
+//    {
+//      key,          // Idempotency-Key sent with POST /salesorders
+//      payload,      // request body as sent
+//      draft,        // store draft snapshot (to reopen a failed one)
+//      summary,      // { customer, total, currency_code, lines } for the UI
+//      status,       // 'sending' | 'pending' | 'failed'
+//      attempts, last_error, created_at, updated_at
+//    }
+// Notes:
+//  - Shared by all tabs of the origin (same database)
+//  - Without IndexedDB (private mode, old browsers) records live in
+//    memory for the lifetime of the tab
+// ============================================================
+
+const DB_NAME = 'zoho-inventory';
+const DB_VERSION = 1;
+const STORE = 'salesorder-submissions';
+
+let dbPromise = null;
+const memory = new Map(); // fallback when IndexedDB is unavailable
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    try {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'key' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('Submission outbox: IndexedDB unavailable, using memory', req.error);
+        resolve(null);
+      };
+    } catch (e) {
+      console.warn('Submission outbox: IndexedDB unavailable, using memory', e);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+/** Run one request against the store and resolve with its result */
+function run(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** All records, oldest first */
+export async function listSubmissions() {
+  const db = await openDb();
+  const all = db ? await run(db, 'readonly', (s) => s.getAll()) : [...memory.values()];
+  return (all ?? []).sort((a, b) => (a.created_at ?? 0) - (b.created_at ?? 0));
+}
+
+/** Insert or replace a record (plain data only: it is structured-cloned) */
+export async function putSubmission(entry) {
+  const record = JSON.parse(JSON.stringify({ ...entry, updated_at: Date.now() }));
+  const db = await openDb();
+  if (db) await run(db, 'readwrite', (s) => s.put(record));
+  else memory.set(record.key, record);
+  return record;
+}
+
+export async function deleteSubmission(key) {
+  const db = await openDb();
+  if (db) await run(db, 'readwrite', (s) => s.delete(key));
+  else memory.delete(key);
+}
@@ -4,6 +4,8 @@
   <meta charset="UTF-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1.0" />
   <title>Zoho Inventory — Sales Orders</title>
+  {{-- useLiveUpdates() opens the event stream only when this is "on" --}}
+  <meta name="zoho-live-updates" content="{{ \App\Http\Controllers\Api\ZohoWebhookController::liveUpdatesEnabled() ? 'on' : 'off' }}" />
 
   {{-- Load Tailwind + our Vue SPA entry --}}
   @vite([
@@ -2,15 +2,47 @@
 
 use Illuminate\Support\Facades\Route;
 use App\Http\Controllers\Api\ZohoInventoryController;
+use App\Http\Controllers\Api\ZohoWebhookController;
 
 Route::prefix('zoho')->group(function () {
     Route::get('/health', [ZohoInventoryController::class, 'health']);
+    Route::get('/dashboard/sales', [ZohoInventoryController::class, 'dashboardSales']);
+    Route::get('/dashboard/low-stock', [ZohoInventoryController::class, 'dashboardLowStock']);
+    Route::get('/dashboard/purchaseorders', [ZohoInventoryController::class, 'dashboardPurchaseOrders']);
     Route::get('/items',  [ZohoInventoryController::class, 'items']);
+    Route::get('/taxes',  [ZohoInventoryController::class, 'taxes']);
+    Route::get('/currencies', [ZohoInventoryController::class, 'currencies']);
+    Route::get('/warehouses', [ZohoInventoryController::class, 'warehouses']);
     Route::post('/salesorders', [ZohoInventoryController::class, 'createSalesOrder']);
     Route::get('/salesorders', [ZohoInventoryController::class, 'listSalesOrders']);
+    Route::get('/salesorders/export', [ZohoInventoryController::class, 'exportSalesOrders']);
     Route::get('/salesorders/{id}',  [ZohoInventoryController::class, 'getSalesOrder']);
+    Route::get('/salesorders/{id}/pdf', [ZohoInventoryController::class, 'salesOrderPdf']);
+    Route::put('/salesorders/{id}',  [ZohoInventoryController::class, 'updateSalesOrder']);
+    Route::delete('/salesorders/{id}', [ZohoInventoryController::class, 'deleteSalesOrder']);
+    Route::post('/salesorders/{id}/status/{status}', [ZohoInventoryController::class, 'setSalesOrderStatus'])
+        ->whereIn('status', ['confirmed', 'void', 'open']);
+    Route::post('/salesorders/{id}/packages', [ZohoInventoryController::class, 'createPackage']);
+    Route::post('/salesorders/{id}/shipments', [ZohoInventoryController::class, 'createShipment']);
+    Route::post('/salesorders/{id}/invoice', [ZohoInventoryController::class, 'invoiceSalesOrder']);
+    Route::post('/invoices/{id}/payments', [ZohoInventoryController::class, 'recordInvoicePayment']);
+    Route::get('/purchaseorders', [ZohoInventoryController::class, 'listPurchaseOrders']);
+    Route::get('/purchaseorders/{id}', [ZohoInventoryController::class, 'getPurchaseOrder']);
+    Route::post('/purchaseorders/{id}/status/issued', [ZohoInventoryController::class, 'issuePurchaseOrder']);
+    Route::post('/purchaseorders/{id}/receive', [ZohoInventoryController::class, 'receivePurchaseOrder']);
+    Route::get('/items/catalog', [ZohoInventoryController::class, 'itemsCatalog']);
+    Route::get('/items/categories', [ZohoInventoryController::class, 'itemCategories']);
+    Route::get('/items/lookup', [ZohoInventoryController::class, 'lookupItem']);
     Route::get('/items/{id}', [ZohoInventoryController::class, 'getItem']);
+    Route::get('/items/{id}/image', [ZohoInventoryController::class, 'itemImage']);
+    Route::get('/customers', [ZohoInventoryController::class, 'listCustomers']);
     Route::get('/contacts', [ZohoInventoryController::class, 'contacts']);
     Route::get('/contacts/{id}', [ZohoInventoryController::class, 'getContact']);
+    Route::get('/contacts/{id}/receivables', [ZohoInventoryController::class, 'customerReceivables']);
+    Route::post('/contacts', [ZohoInventoryController::class, 'createContact']);
+    Route::put('/contacts/{id}', [ZohoInventoryController::class, 'updateContact']);
+    Route::post('/webhooks/{topic?}', [ZohoWebhookController::class, 'receive'])
+        ->where('topic', '[a-z_]+');
+    Route::get('/events', [ZohoWebhookController::class, 'stream']);
 });
 
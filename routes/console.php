@@ -2,7 +2,64 @@
 
 use Illuminate\Foundation\Inspiring;
 use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Http;
 
 Artisan::command('inspire', function () {
     $this->comment(Inspiring::quote());
 })->purpose('Display an inspiring quote');
+
+/*
+ * Replay recorded Zoho webhook payloads against the receiver (local testing of live updates).
+ * A file is { "topic", "event", "payload" } — what ZOHO_WEBHOOK_RECORD=true stores in
+ * storage/app/private/zoho-webhooks; samples live in resources/zoho-webhooks.
+ *   php artisan zoho:webhooks:replay
+ *   php artisan zoho:webhooks:replay storage/app/private/zoho-webhooks --delay=1000
+ */
+Artisan::command('zoho:webhooks:replay {path? : JSON file or directory (default: resources/zoho-webhooks)}
+        {--url= : Receiver base URL (default: APP_URL/api/zoho/webhooks)}
+        {--delay=500 : Milliseconds between payloads}', function () {
+    $secret = (string) config('zoho.webhook_secret', '');
+    if ($secret === '') {
+        $this->error('ZOHO_WEBHOOK_SECRET is not set; the receiver would refuse every payload.');
+        return 1;
+    }
+
+    $path  = $this->argument('path') ?: resource_path('zoho-webhooks');
+    $path  = is_dir($path) || is_file($path) ? $path : base_path($path);
+    $files = is_dir($path) ? glob(rtrim($path, '/') . '/*.json') : (is_file($path) ? [$path] : []);
+    sort($files);
+    if (!$files) {
+        $this->error("No JSON files found at {$path}");
+        return 1;
+    }
+
+    $base  = rtrim($this->option('url') ?: url('/api/zoho/webhooks'), '/');
+    $delay = max(0, (int) $this->option('delay'));
+
+    foreach ($files as $i => $file) {
+        $record = json_decode((string) file_get_contents($file), true);
+        if (!is_array($record) || !is_array($record['payload'] ?? null)) {
+            $this->warn(basename($file) . ': not a recorded webhook, skipped');
+            continue;
+        }
+
+        $url = $base . (!empty($record['topic']) ? '/' . $record['topic'] : '')
+            . (!empty($record['event']) ? '?event=' . urlencode($record['event']) : '');
+
+        try {
+            $res = Http::timeout(10)
+                ->withHeaders(['X-Zoho-Webhook-Secret' => $secret])
+                ->acceptJson()
+                ->post($url, $record['payload']);
+            $this->line(sprintf('%s → %d %s', basename($file), $res->status(), json_encode($res->json('data') ?? $res->json('message'))));
+        } catch (Throwable $e) {
+            $this->error(basename($file) . ': ' . $e->getMessage());
+        }
+
+        if ($delay && $i < count($files) - 1) {
+            usleep($delay * 1000);
+        }
+    }
+
+    return 0;
+})->purpose('Replay recorded Zoho webhook payloads against the webhook receiver');
@@ -6,6 +6,13 @@
 
 // One Blade for all SPA routes under /zoho/inventory
 Route::prefix('/inventory')->group(function () {
+    Route::view('/', 'zoho.inventory.index')->name('dashboard');
     Route::view('/salesorders', 'zoho.inventory.index')->name('salesorders.index');
     Route::view('/salesorders/{any}', 'zoho.inventory.index')->where('any', '.*');
+    Route::view('/purchaseorders', 'zoho.inventory.index')->name('purchaseorders.index');
+    Route::view('/purchaseorders/{any}', 'zoho.inventory.index')->where('any', '.*');
+    Route::view('/items', 'zoho.inventory.index')->name('items.index');
+    Route::view('/items/{any}', 'zoho.inventory.index')->where('any', '.*');
+    Route::view('/customers', 'zoho.inventory.index')->name('customers.index');
+    Route::view('/customers/{any}', 'zoho.inventory.index')->where('any', '.*');
 });
@@ -0,0 +1,170 @@
+<?php
+
+namespace Tests\Feature;
+
+use Illuminate\Http\Client\Request as ClientRequest;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class SalesOrderIdempotencyTest extends TestCase
+{
+    private const BASE = 'https://inventory.zoho.test/api/v1';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config([
+            'zoho.inventory_base_url' => self::BASE,
+            'zoho.organization_id'    => '100',
+            'zoho.retry_policy'       => 'none',
+        ]);
+        // Skip the OAuth refresh
+        Cache::put('zoho.access_token', 'test-token', 3600);
+        Cache::put('zoho.access_token_expires_at', time() + 3600, 3600);
+    }
+
+    public function test_same_key_replays_the_first_result_without_a_second_order(): void
+    {
+        $this->fakeZoho(fn () => Http::response(['code' => 0, 'salesorder' => $this->zohoOrder()], 201));
+
+        $first = $this->submit('key-replay-0001');
+        $first->assertStatus(201)->assertJsonPath('data.salesorder_id', 'SO-1');
+
+        $second = $this->submit('key-replay-0001');
+        $second->assertStatus(201)
+            ->assertJsonPath('replayed', true)
+            ->assertJsonPath('data.salesorder_id', 'SO-1')
+            ->assertHeader('Idempotent-Replayed', 'true');
+
+        $this->assertSame(1, $this->orderPosts());
+    }
+
+    public function test_failure_after_the_order_exists_answers_created_and_replays_it(): void
+    {
+        // Zoho binds the order to another customer: the customer check throws after creation
+        $this->fakeZoho(fn () => Http::response(['code' => 0, 'salesorder' => $this->zohoOrder(['customer_id' => 'C-OTHER'])], 201));
+
+        $first = $this->submit('key-after-create-01');
+        $first->assertStatus(201)->assertJsonPath('data.salesorder_id', 'SO-1');
+        $this->assertStringContainsString('follow-up step failed', implode(' ', $first->json('warnings')));
+
+        $retry = $this->submit('key-after-create-01');
+        $retry->assertStatus(201)
+            ->assertJsonPath('replayed', true)
+            ->assertJsonPath('data.salesorder_id', 'SO-1');
+
+        $this->assertSame(1, $this->orderPosts());
+    }
+
+    public function test_unanswered_post_is_looked_up_before_sending_again(): void
+    {
+        // Zoho created the order, the answer never arrived
+        $this->fakeZoho(fn () => Http::failedConnection('Operation timed out'), ['salesorders' => [$this->zohoOrder()]]);
+
+        $this->submit('key-no-answer-001')->assertStatus(503);
+
+        $retry = $this->submit('key-no-answer-001');
+        $retry->assertStatus(201)
+            ->assertJsonPath('replayed', true)
+            ->assertJsonPath('data.salesorder_id', 'SO-1');
+
+        $this->assertSame(1, $this->orderPosts());
+    }
+
+    public function test_unanswered_post_is_found_by_the_key_custom_field(): void
+    {
+        config(['zoho.so_key_field' => 'cf_submit_key']);
+        $this->fakeZoho(fn () => Http::failedConnection('Operation timed out'), ['salesorders' => [
+            $this->zohoOrder(['salesorder_id' => 'SO-0', 'reference_number' => 'PO-7', 'cf_submit_key' => 'another-key-0001']),
+            $this->zohoOrder(['reference_number' => 'PO-7', 'cf_submit_key' => 'key-custom-field-1']),
+        ]]);
+
+        $this->submit('key-custom-field-1', ['reference_number' => 'PO-7'])->assertStatus(503);
+
+        $retry = $this->submit('key-custom-field-1', ['reference_number' => 'PO-7']);
+        $retry->assertStatus(201)
+            ->assertJsonPath('replayed', true)
+            ->assertJsonPath('data.salesorder_id', 'SO-1');
+
+        $sent = Http::recorded(fn (ClientRequest $request) => $request->method() === 'POST')[0][0]->data();
+        $this->assertSame([['api_name' => 'cf_submit_key', 'value' => 'key-custom-field-1']], $sent['custom_fields']);
+        $this->assertSame('PO-7', $sent['reference_number']);
+        $this->assertSame(1, $this->orderPosts());
+    }
+
+    public function test_unanswered_post_with_a_customer_reference_is_not_guessed(): void
+    {
+        // Another order of this customer carries the same reference
+        $this->fakeZoho(fn () => Http::failedConnection('Operation timed out'), ['salesorders' => [
+            $this->zohoOrder(['salesorder_id' => 'SO-0', 'reference_number' => 'PO-7']),
+        ]]);
+
+        $this->submit('key-customer-ref-1', ['reference_number' => 'PO-7'])->assertStatus(503);
+
+        $this->submit('key-customer-ref-1', ['reference_number' => 'PO-7'])
+            ->assertStatus(409)
+            ->assertJsonPath('reason', 'unverified');
+        $this->assertSame(1, $this->orderPosts());
+
+        // Checked in Zoho: the next submit sends the order again
+        $this->submit('key-customer-ref-1', ['reference_number' => 'PO-7'])->assertStatus(503);
+        $this->assertSame(2, $this->orderPosts());
+    }
+
+    public function test_rejected_order_frees_the_key(): void
+    {
+        $this->fakeZoho(fn () => Http::response(['code' => 1001, 'message' => 'Invalid tax'], 400));
+
+        $this->submit('key-rejected-0001')->assertStatus(422);
+        $this->submit('key-rejected-0001')->assertStatus(422);
+
+        $this->assertSame(2, $this->orderPosts());
+    }
+
+    // ------------------------------------------------------------------
+
+    /** Zoho fake: contact check ok, `post` answers POST /salesorders, `list` GET /salesorders */
+    private function fakeZoho(callable $post, array $list = ['salesorders' => []]): void
+    {
+        Http::fake(function (ClientRequest $request) use ($post, $list) {
+            $path = parse_url($request->url(), PHP_URL_PATH);
+
+            if (str_ends_with($path, '/contacts/C-1')) {
+                return Http::response(['code' => 0, 'contact' => ['contact_id' => 'C-1']]);
+            }
+            if (str_ends_with($path, '/salesorders')) {
+                return $request->method() === 'POST' ? $post() : Http::response(['code' => 0] + $list);
+            }
+
+            return Http::response(['code' => 0]);
+        });
+    }
+
+    private function submit(string $key, array $extra = [])
+    {
+        return $this->postJson('/api/zoho/salesorders', $extra + [
+            'customer' => ['name' => 'Bowman and Co', 'contact_id' => 'C-1'],
+            'items'    => [
+                ['item_id' => 'I-1', 'name' => 'Laptop', 'qty' => 1, 'rate' => 500],
+            ],
+        ], ['Idempotency-Key' => $key]);
+    }
+
+    private function zohoOrder(array $overrides = []): array
+    {
+        return $overrides + [
+            'salesorder_id'     => 'SO-1',
+            'salesorder_number' => 'SO-00001',
+            'customer_id'       => 'C-1',
+            'reference_number'  => 'SO-REF',
+        ];
+    }
+
+    private function orderPosts(): int
+    {
+        return count(Http::recorded(fn (ClientRequest $request) => $request->method() === 'POST'
+            && str_ends_with(parse_url($request->url(), PHP_URL_PATH), '/salesorders')));
+    }
+}
@@ -0,0 +1,177 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Services\Zoho\ZohoEventBus;
+use Illuminate\Support\Facades\Cache;
+use Tests\TestCase;
+
+class ZohoWebhookTest extends TestCase
+{
+    private const SECRET = 'hook-secret';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config([
+            'zoho.organization_id' => '100',
+            'zoho.webhook_secret'  => self::SECRET,
+            'zoho.webhook_record'  => false,
+        ]);
+    }
+
+    public function test_webhooks_are_refused_without_a_configured_secret(): void
+    {
+        config(['zoho.webhook_secret' => null]);
+
+        $this->postWebhook('salesorder', ['salesorder' => $this->order()], self::SECRET)
+            ->assertStatus(503)
+            ->assertJsonPath('error', 'disabled');
+
+        $this->assertSame([], $this->bus()->since(0));
+    }
+
+    public function test_a_wrong_secret_is_rejected(): void
+    {
+        $this->postWebhook('salesorder', ['salesorder' => $this->order()], 'not-the-secret')
+            ->assertStatus(401)
+            ->assertJsonPath('error', 'auth');
+        $this->postWebhook('salesorder', ['salesorder' => $this->order()], null)
+            ->assertStatus(401);
+
+        $this->assertSame([], $this->bus()->since(0));
+    }
+
+    public function test_sales_order_webhook_becomes_an_order_and_a_stock_event(): void
+    {
+        $this->postWebhook('salesorder', ['salesorder' => $this->order()], self::SECRET)
+            ->assertOk()
+            ->assertJsonPath('data.events', [1, 2]);
+
+        [$order, $stock] = $this->bus()->since(0);
+
+        $this->assertSame('salesorder', $order['type']);
+        $this->assertSame('created', $order['action']);
+        $this->assertSame('SO-1', $order['salesorder_id']);
+        $this->assertSame(['I-1', 'I-2'], $order['item_ids']);
+        // Only list columns are patched
+        $this->assertSame('confirmed', $order['patch']['status']);
+        $this->assertArrayNotHasKey('line_items', $order['patch']);
+        $this->assertArrayNotHasKey('notes', $order['patch']);
+
+        $this->assertSame(['id' => 2, 'at' => $stock['at'], 'type' => 'stock', 'source' => 'salesorder', 'item_ids' => ['I-1', 'I-2']], $stock);
+    }
+
+    public function test_event_query_sets_the_action_and_a_bare_record_needs_the_topic(): void
+    {
+        $order = $this->order(['last_modified_time' => '2026-10-19T10:05:00+0000']);
+
+        $this->postWebhook('salesorder', $order, self::SECRET, ['event' => 'deleted'])->assertOk();
+        $this->postWebhook('salesorder', $order, self::SECRET)->assertOk();
+
+        $events = $this->bus()->since(0);
+        $this->assertSame('deleted', $events[0]['action']);
+        $this->assertSame('updated', $events[2]['action']);
+    }
+
+    public function test_item_and_stock_document_webhooks_become_stock_events(): void
+    {
+        $this->postWebhook('item', ['item' => ['item_id' => 'I-9', 'name' => 'Laptop']], self::SECRET)->assertOk();
+        // Zoho's default "Entity parameters" body: a form with JSONString
+        $this->post('/api/zoho/webhooks/inventory_adjustment', [
+            'JSONString' => json_encode(['inventory_adjustment' => ['line_items' => [['item_id' => 'I-3'], ['item_id' => 'I-3']]]]),
+        ], ['X-Zoho-Webhook-Secret' => self::SECRET])->assertOk();
+
+        [$item, $adjustment] = $this->bus()->since(0);
+
+        $this->assertSame(['stock', 'item', ['I-9'], 'updated'], [$item['type'], $item['source'], $item['item_ids'], $item['action']]);
+        $this->assertSame(['stock', 'inventory_adjustment', ['I-3']], [$adjustment['type'], $adjustment['source'], $adjustment['item_ids']]);
+    }
+
+    public function test_unknown_payload_is_accepted_without_events(): void
+    {
+        $this->postWebhook(null, ['contact' => ['contact_id' => 'C-1']], self::SECRET)
+            ->assertOk()
+            ->assertJsonPath('data.events', []);
+
+        $this->postJson('/api/zoho/webhooks', [], ['X-Zoho-Webhook-Secret' => self::SECRET])
+            ->assertStatus(422);
+
+        $this->assertSame([], $this->bus()->since(0));
+    }
+
+    public function test_stream_and_page_stay_off_without_webhooks(): void
+    {
+        $this->withoutVite();
+        config(['zoho.webhook_secret' => null]);
+
+        $this->get('/api/zoho/events')->assertNoContent();
+        $this->get('/inventory')->assertOk()->assertSee('name="zoho-live-updates" content="off"', false);
+
+        config(['zoho.webhook_secret' => self::SECRET, 'zoho.live_updates' => false]);
+
+        $this->get('/api/zoho/events')->assertNoContent();
+        $this->get('/inventory')->assertSee('name="zoho-live-updates" content="off"', false);
+
+        config(['zoho.live_updates' => true]);
+
+        $this->get('/inventory')->assertSee('name="zoho-live-updates" content="on"', false);
+    }
+
+    public function test_missed_events_come_back_as_one_reset(): void
+    {
+        $bus = $this->bus();
+        foreach (range(1, 3) as $n) {
+            $bus->publish(['type' => 'stock', 'source' => 'item', 'item_ids' => ['I-' . $n]]);
+        }
+
+        $this->assertSame([2, 3], array_column($bus->since(1), 'id'));
+
+        // Expired
+        Cache::forget('zoho.events.100.2');
+        $this->assertSame([['reset', 3]], array_map(static fn ($e) => [$e['type'], $e['id']], $bus->since(1)));
+        $this->assertSame([3], array_column($bus->since(2), 'id'));
+
+        // Cursor from before a cache flush
+        $this->assertSame('reset', $bus->since(40)[0]['type']);
+
+        // Too far behind
+        foreach (range(4, 60) as $n) {
+            $bus->publish(['type' => 'stock', 'source' => 'item', 'item_ids' => ['I-' . $n]]);
+        }
+        $this->assertSame([['reset', 60]], array_map(static fn ($e) => [$e['type'], $e['id']], $bus->since(3)));
+        $this->assertCount(50, $bus->since(10));
+    }
+
+    // ------------------------------------------------------------------
+
+    private function postWebhook(?string $topic, array $payload, ?string $secret, array $query = [])
+    {
+        $url = '/api/zoho/webhooks' . ($topic ? '/' . $topic : '') . ($query ? '?' . http_build_query($query) : '');
+
+        return $this->postJson($url, $payload, $secret === null ? [] : ['X-Zoho-Webhook-Secret' => $secret]);
+    }
+
+    private function bus(): ZohoEventBus
+    {
+        return $this->app->make(ZohoEventBus::class);
+    }
+
+    private function order(array $overrides = []): array
+    {
+        return $overrides + [
+            'salesorder_id'      => 'SO-1',
+            'salesorder_number'  => 'SO-00001',
+            'status'             => 'confirmed',
+            'notes'              => 'Deliver to the back door',
+            'created_time'       => '2026-10-19T10:00:00+0000',
+            'last_modified_time' => '2026-10-19T10:00:00+0000',
+            'line_items'         => [
+                ['item_id' => 'I-1', 'quantity' => 2],
+                ['item_id' => 'I-2', 'quantity' => 1],
+                ['item_id' => 'I-1', 'quantity' => 1],
+            ],
+        ];
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Services\Export\XlsxStreamWriter;
+use PHPUnit\Framework\TestCase;
+use ZipArchive;
+
+class XlsxStreamWriterTest extends TestCase
+{
+    private string $path;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        if (!class_exists(ZipArchive::class)) {
+            $this->markTestSkipped('The zip extension is not installed.');
+        }
+        $this->path = tempnam(sys_get_temp_dir(), 'xlsx');
+    }
+
+    protected function tearDown(): void
+    {
+        if (is_file($this->path)) {
+            unlink($this->path);
+        }
+
+        parent::tearDown();
+    }
+
+    public function test_output_is_a_zip_with_the_workbook_parts(): void
+    {
+        $zip = $this->write(['Number', 'Total'], [['SO-00001', 12.5]]);
+
+        $names = [];
+        for ($i = 0; $i < $zip->numFiles; $i++) {
+            $names[] = $zip->getNameIndex($i);
+        }
+        $this->assertSame([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/worksheets/sheet1.xml',
+        ], $names);
+
+        // Every entry passes the CRC check
+        for ($i = 0; $i < $zip->numFiles; $i++) {
+            $this->assertNotFalse($zip->getFromIndex($i), $names[$i]);
+        }
+        $this->assertStringContainsString('<sheet name="Sales Orders"', $zip->getFromName('xl/workbook.xml'));
+    }
+
+    public function test_sheet_has_the_rows_typed_and_escaped(): void
+    {
+        $zip = $this->write(['Number', 'Total'], [
+            ['SO-00001', 12.5],
+            ['Tom & "Jerry" <Ltd>' . "\x01", 3],
+            ['', null],
+        ]);
+
+        $sheet = simplexml_load_string($zip->getFromName('xl/worksheets/sheet1.xml'));
+        $this->assertNotFalse($sheet);
+        $sheet->registerXPathNamespace('s', 'http://schemas.openxmlformats.org/spreadsheetml/2006/main');
+
+        $rows = $sheet->xpath('//s:sheetData/s:row');
+        $this->assertCount(4, $rows);
+
+        // Header: bold inline strings
+        $this->assertSame('1', (string) $rows[0]->c[0]['s']);
+        $this->assertSame('Number', (string) $rows[0]->c[0]->is->t);
+
+        // Numbers as values, text as inline strings (control characters dropped)
+        $this->assertSame('A2', (string) $rows[1]->c[0]['r']);
+        $this->assertSame('inlineStr', (string) $rows[1]->c[0]['t']);
+        $this->assertSame('12.5', (string) $rows[1]->c[1]->v);
+        $this->assertSame('Tom & "Jerry" <Ltd>', (string) $rows[2]->c[0]->is->t);
+        $this->assertSame('3', (string) $rows[2]->c[1]->v);
+
+        // Empty cells are left out
+        $this->assertCount(0, $rows[3]->c);
+    }
+
+    public function test_columns_past_z_are_named_like_spreadsheets(): void
+    {
+        $zip = $this->write(array_map(static fn ($i) => 'H' . $i, range(1, 28)), []);
+
+        $xml = $zip->getFromName('xl/worksheets/sheet1.xml');
+        $this->assertStringContainsString('<c r="Z1"', $xml);
+        $this->assertStringContainsString('<c r="AA1"', $xml);
+        $this->assertStringContainsString('<c r="AB1"', $xml);
+    }
+
+    /** Workbook written through the output callback to a file, opened with ZipArchive */
+    private function write(array $headers, array $rows): ZipArchive
+    {
+        $file = fopen($this->path, 'wb');
+        $xlsx = new XlsxStreamWriter(static function (string $bytes) use ($file) {
+            fwrite($file, $bytes);
+        });
+        $xlsx->start($headers, 'Sales Orders');
+        foreach ($rows as $row) {
+            $xlsx->row($row);
+        }
+        $xlsx->finish();
+        fclose($file);
+
+        $zip = new ZipArchive();
+        $this->assertTrue($zip->open($this->path, ZipArchive::CHECKCONS));
+
+        return $zip;
+    }
+}